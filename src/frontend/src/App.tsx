@@ -1,5 +1,11 @@
 import FocusExecutionApp from './FocusExecutionApp';
+import { Toaster } from './components/ui/sonner';
 
 export default function App() {
-  return <FocusExecutionApp />;
+  return (
+    <>
+      <FocusExecutionApp />
+      <Toaster position="bottom-center" />
+    </>
+  );
 }
@@ -14,25 +14,115 @@ import {
   RotateCcw,
   Plus,
   X,
-  ChevronRight,
   AlertCircle,
   Sparkles,
   Lightbulb,
   ChevronDown,
   ChevronUp,
+  History,
+  Cloud,
+  CloudOff,
+  AlertTriangle,
+  Repeat,
+  Search,
+  DatabaseBackup,
+  FileWarning,
 } from 'lucide-react';
+import { toast } from 'sonner';
 import TaskEnergyAssistant from './components/TaskEnergyAssistant';
 import BrainDumpView from './components/BrainDumpView';
 import FocusHomeButton from './components/FocusHomeButton';
 import AddTaskModal from './components/AddTaskModal';
 import StreakDetailsPanel from './components/StreakDetailsPanel';
+import StreakHistoryView from './components/StreakHistoryView';
 import BacklogTasksTable from './components/BacklogTasksTable';
+import CompletedTasksHistoryView from './components/CompletedTasksHistoryView';
+import SyncConflictsView from './components/SyncConflictsView';
+import StorageRecoveryView from './components/StorageRecoveryView';
+import StatsDashboardView from './components/StatsDashboardView';
+import FrictionAnalyticsView from './components/FrictionAnalyticsView';
+import FrictionRecoveryModal from './components/FrictionRecoveryModal';
+import TimeboxControls from './components/TimeboxControls';
+import BreakScreen from './components/BreakScreen';
+import WorkSessionsList from './components/WorkSessionsList';
+import NextTaskRecommendations from './components/NextTaskRecommendations';
+import EnergyMenu from './components/EnergyMenu';
+import EnergyLevelCards from './components/EnergyLevelCards';
+import EnergyRecheckPrompt from './components/EnergyRecheckPrompt';
+import BlockTaskModal from './components/BlockTaskModal';
+import TaskStepsEditor from './components/TaskStepsEditor';
+import TaskDetailSheet from './components/TaskDetailSheet';
+import DeleteTaskDialog from './components/DeleteTaskDialog';
+import BacklogBulkActions from './components/BacklogBulkActions';
+import ParkedTaskResumeCard from './components/ParkedTaskResumeCard';
+import BackupRestoreModal from './components/BackupRestoreModal';
+import TaskExportMenu from './components/TaskExportMenu';
+import { Input } from './components/ui/input';
+import EnergyPatternsView from './components/EnergyPatternsView';
 import {
   loadStreakCompletedTasks,
   saveStreakCompletedTasks,
   clearStreakCompletedTasks,
+  archiveStreak,
+  loadStreakArchive,
+  saveStreakArchive,
 } from './lib/streakCompletedTasksStorage';
-import { normalizeBacklogTask, normalizeBrainDumpItem } from './lib/taskModels';
+import { discardQuarantinedRecords, loadQuarantine, loadStore, saveStore } from './lib/storageSchema';
+import {
+  DEFAULT_STREAK_POLICY,
+  dayStreak,
+  graceSkipsLeft,
+  normalizeStreakPolicy,
+  skipBreaksStreak,
+} from './lib/streakPolicy';
+import {
+  duplicateTask,
+  latestParkedTask,
+  touchRecord,
+  withPlannedTimeline,
+} from './lib/taskModels';
+import { useUserDataSync } from './hooks/useUserDataSync';
+import {
+  completionEventsFromArchive,
+  createCompletionEvent,
+} from './lib/completionStats';
+import { createFrictionEvent } from './lib/frictionStats';
+import { FRICTION_REASONS, recoveryFlowFor } from './lib/frictionRecovery';
+import {
+  EMPTY_TIMER,
+  isTimerRunning as isFocusTimerRunning,
+  pauseTimer,
+  startTimer,
+  timerElapsedSeconds,
+} from './lib/focusTimer';
+import {
+  DEFAULT_POMODORO_SETTINGS,
+  beginBreak,
+  endBreak,
+  isLongBreak,
+  normalizePomodoroSettings,
+  playIntervalSignal,
+  startTimebox,
+  workIntervalEnd,
+  workSecondsLeft,
+} from './lib/timebox';
+import { buildCalibration, DEFAULT_ESTIMATE_MINUTES } from './lib/estimateCalibration';
+import { recommendTasks } from './lib/taskRecommender';
+import { parsePlannedTimeline } from './lib/timelineParser';
+import { describeRecurrence, describeSeriesHistory, isQueuedSuccessor, nextRecurringTask } from './lib/recurrence';
+import { dependentTaskIds, releaseBlocker } from './lib/taskDependencies';
+import { frictionCountsByTask, matchesTaskQuery } from './lib/backlogQuery';
+import { downloadTextFile } from './lib/fileDownload';
+import { createBackup, restoredData } from './lib/dataBackup';
+import { TASK_EXPORT_FORMATS, tasksToCsv, tasksToIcs, tasksToMarkdown } from './lib/taskExport';
+import { createEnergyCheckIn } from './lib/energyCheckins';
+import {
+  DEFAULT_ENERGY_RECHECK_SETTINGS,
+  isFirstOpenToday,
+  normalizeEnergyRecheckSettings,
+  recheckDay,
+} from './lib/energyRecheck';
+import { logTimerSessions, sessionsFromTimer, totalSessionSeconds } from './lib/workSessions';
 
 // Storage helpers
 const STORAGE_KEYS = {
@@ -42,24 +132,23 @@ const STORAGE_KEYS = {
   USER_STATS: 'user-stats',
   BRAIN_DUMP_DRAFT: 'brain-dump-draft',
   BRAIN_DUMP_ITEMS: 'brain-dump-items',
+  COMPLETED_TASKS: 'completed-tasks',
+  COMPLETION_EVENTS: 'completion-events',
+  FRICTION_EVENTS: 'friction-events',
+  POMODORO_SETTINGS: 'pomodoro-settings',
+  ENERGY_CHECKINS: 'energy-checkins',
+  ENERGY_RECHECK_SETTINGS: 'energy-recheck-settings',
+  ENERGY_RECHECK_PROMPTED: 'energy-recheck-prompted',
+  STREAK_POLICY: 'streak-policy',
 };
 
+// Values come back migrated to the current schema, with bad records moved to the quarantine
 async function getStorageItem(key) {
-  try {
-    const item = localStorage.getItem(key);
-    return item ? JSON.parse(item) : null;
-  } catch (error) {
-    console.error(`Error reading ${key}:`, error);
-    return null;
-  }
+  return loadStore(key);
 }
 
 async function setStorageItem(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch (error) {
-    console.error(`Error writing ${key}:`, error);
-  }
+  saveStore(key, value);
 }
 
 // Energy levels configuration
@@ -94,14 +183,14 @@ const ENERGY_LEVELS = {
   },
 };
 
-const FRICTION_REASONS = [
-  "Didn't know how to start",
-  'Too tired / low energy',
-  'Forgot a dependency or tool',
-  'Lost motivation / unclear why',
-  'Got distracted',
-  'Takes longer than expected',
-];
+const SYNC_STATUS_LABELS = {
+  signedOut: 'Sign in to keep your tasks across devices',
+  offline: 'Offline: changes will sync when you reconnect',
+  pending: 'Changes waiting to sync (click to sign out)',
+  syncing: 'Syncing… (click to sign out)',
+  synced: 'All changes synced (click to sign out)',
+  error: 'Sync failed, retrying shortly (click to sign out)',
+};
 
 // Format time as MM:SS
 function formatTime(seconds) {
@@ -116,98 +205,277 @@ export default function FocusExecutionApp() {
   const [backlog, setBacklog] = useState([]);
   const [stats, setStats] = useState({ completed: 0, streak: 0, totalTime: 0 });
   const [streakCompletedTasks, setStreakCompletedTasks] = useState([]);
+  const [streakArchive, setStreakArchive] = useState([]); // streaks that ended, newest last
+  const [streakPolicy, setStreakPolicy] = useState(DEFAULT_STREAK_POLICY);
+  const [completedTasks, setCompletedTasks] = useState([]);
+  const [completionEvents, setCompletionEvents] = useState([]);
+  const [frictionEvents, setFrictionEvents] = useState([]);
+  const [energyCheckIns, setEnergyCheckIns] = useState([]);
+  const [energyRecheckSettings, setEnergyRecheckSettings] = useState(DEFAULT_ENERGY_RECHECK_SETTINGS);
+  const [quarantinedRecords, setQuarantinedRecords] = useState([]); // stored records that failed to load
   const [isLoading, setIsLoading] = useState(true);
 
   // UI state
-  const [view, setView] = useState('main'); // 'main' | 'backlog' | 'brainDump'
+  const [view, setView] = useState('main'); // 'main' | 'backlog' | 'brainDump' | 'history' | 'stats' | 'friction' | 'energy' | 'streaks' | 'conflicts' | 'recovery'
   const [showAddTask, setShowAddTask] = useState(false);
-  const [showStats, setShowStats] = useState(false);
   const [showFriction, setShowFriction] = useState(false);
+  const [frictionReason, setFrictionReason] = useState(null); // reason awaiting a prerequisite checklist
+  const [prerequisitesText, setPrerequisitesText] = useState('');
+  const [blockUntilReady, setBlockUntilReady] = useState(false); // keep a skipped task blocked on its checklist
+  const [recoveryFriction, setRecoveryFriction] = useState(null); // friction that triggered the re-entry flow
   const [showAssistant, setShowAssistant] = useState(false);
   const [showAssistantInModal, setShowAssistantInModal] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
   const [energyFilter, setEnergyFilter] = useState('ALL');
   const [isStreakPanelOpen, setIsStreakPanelOpen] = useState(false);
+  const [availableMinutes, setAvailableMinutes] = useState(null); // time the user has for the next task
+  const [energyPrompt, setEnergyPrompt] = useState(null); // trigger of the open energy re-check prompt
+  const [blockEditTask, setBlockEditTask] = useState(null); // backlog task whose blockers are being edited
+  const [detailTask, setDetailTask] = useState(null); // backlog task open in the detail drawer
+  const [pendingDeleteTasks, setPendingDeleteTasks] = useState([]); // tasks awaiting delete confirmation
+  const [backlogQuery, setBacklogQuery] = useState('');
+  const [selectedTaskIds, setSelectedTaskIds] = useState(new Set()); // backlog rows picked for bulk actions
+  const [resumeOfferId, setResumeOfferId] = useState(null); // parked task offered for resuming on this visit
 
   // Brain Dump state
   const [brainDumpDraft, setBrainDumpDraft] = useState('');
   const [brainDumpItems, setBrainDumpItems] = useState([]);
 
   // Timer state
-  const [timerSeconds, setTimerSeconds] = useState(0);
-  const [isTimerRunning, setIsTimerRunning] = useState(false);
+  // Elapsed time is derived from the wall-clock segments stored with the current task
+  const [timerNow, setTimerNow] = useState(() => Date.now());
+  const currentTimer = currentTask?.timer || EMPTY_TIMER;
+  const isTimerRunning = isFocusTimerRunning(currentTimer);
+  const timerSeconds = timerElapsedSeconds(currentTimer, timerNow);
   const timerIntervalRef = useRef(null);
+  const focusStretchRef = useRef({ taskId: null, stretch: 0 }); // last focus stretch that prompted a re-check
+
+  // Estimate-vs-actual ratios learned from completed tasks
+  const estimateCalibration = buildCalibration(completionEvents);
+
+  // Timebox state: pomodoro cycles or a countdown, stored with the current task
+  const [pomodoroSettings, setPomodoroSettings] = useState(DEFAULT_POMODORO_SETTINGS);
+  const timebox = currentTask?.timebox || null;
+  const timeboxMinutes =
+    timebox?.mode === 'countdown' ? currentTask.estimatedMinutes : pomodoroSettings.workMinutes;
+  const timeboxSecondsLeft = timebox ? workSecondsLeft(timebox, timerSeconds, timeboxMinutes) : null;
 
   // Note editing state
   const [isEditingNote, setIsEditingNote] = useState(false);
   const [noteText, setNoteText] = useState('');
 
+  // Replace every local store with a snapshot merged by the sync engine
+  const applySyncedSnapshot = (data) => {
+    if (data.currentEnergy) setCurrentEnergy(data.currentEnergy);
+    setCurrentTask(data.currentTask);
+    if (!isEditingNote) setNoteText(data.currentTask?.note || '');
+    setBacklog(data.backlog);
+    setStats(data.stats);
+    setStreakCompletedTasks(data.streakCompletedTasks);
+    setBrainDumpDraft(data.brainDumpDraft);
+    setBrainDumpItems(data.brainDumpItems);
+    setCompletedTasks(data.completedTasks);
+  };
+
+  const sync = useUserDataSync({
+    enabled: !isLoading,
+    snapshot: {
+      currentEnergy,
+      currentTask,
+      backlog,
+      stats,
+      streakCompletedTasks,
+      brainDumpDraft,
+      brainDumpItems,
+      completedTasks,
+    },
+    onApply: applySyncedSnapshot,
+  });
+
   // Load data on mount
   useEffect(() => {
     async function loadData() {
-      const [energy, task, tasks, userStats, dumpDraft, dumpItems] = await Promise.all([
+      const loadStartedAt = Date.now();
+      const [
+        energy,
+        task,
+        tasks,
+        userStats,
+        dumpDraft,
+        dumpItems,
+        doneTasks,
+        completions,
+        frictions,
+        pomodoro,
+        checkIns,
+        recheckSettings,
+        recheckPromptedDay,
+        policy,
+      ] = await Promise.all([
         getStorageItem(STORAGE_KEYS.CURRENT_ENERGY),
         getStorageItem(STORAGE_KEYS.CURRENT_TASK),
         getStorageItem(STORAGE_KEYS.TASKS_BACKLOG),
         getStorageItem(STORAGE_KEYS.USER_STATS),
         getStorageItem(STORAGE_KEYS.BRAIN_DUMP_DRAFT),
         getStorageItem(STORAGE_KEYS.BRAIN_DUMP_ITEMS),
+        getStorageItem(STORAGE_KEYS.COMPLETED_TASKS),
+        getStorageItem(STORAGE_KEYS.COMPLETION_EVENTS),
+        getStorageItem(STORAGE_KEYS.FRICTION_EVENTS),
+        getStorageItem(STORAGE_KEYS.POMODORO_SETTINGS),
+        getStorageItem(STORAGE_KEYS.ENERGY_CHECKINS),
+        getStorageItem(STORAGE_KEYS.ENERGY_RECHECK_SETTINGS),
+        getStorageItem(STORAGE_KEYS.ENERGY_RECHECK_PROMPTED),
+        getStorageItem(STORAGE_KEYS.STREAK_POLICY),
       ]);
 
       // Load streak completed tasks
       const streakTasks = loadStreakCompletedTasks();
 
       if (energy) setCurrentEnergy(energy);
+      // A running timer keeps counting from its stored start time
       if (task) {
-        const normalizedTask = normalizeBacklogTask(task);
-        setCurrentTask(normalizedTask);
-        setNoteText(normalizedTask.note || '');
+        setCurrentTask(task);
+        setNoteText(task.note || '');
       }
       if (tasks) {
-        const normalizedTasks = tasks.map(normalizeBacklogTask);
-        setBacklog(normalizedTasks);
+        setBacklog(tasks);
+        // Offer to pick up where the last visit left off
+        const parkedTask = task ? null : latestParkedTask(tasks);
+        if (parkedTask) setResumeOfferId(parkedTask.id);
       }
       if (userStats) setStats(userStats);
       if (dumpDraft) setBrainDumpDraft(dumpDraft);
-      if (dumpItems) {
-        const normalizedItems = dumpItems.map(normalizeBrainDumpItem);
-        setBrainDumpItems(normalizedItems);
+      if (dumpItems) setBrainDumpItems(dumpItems);
+      if (doneTasks) setCompletedTasks(doneTasks);
+      if (completions) {
+        setCompletionEvents(completions);
+      } else if (doneTasks) {
+        // Seed the history for data archived before completion events existed
+        setCompletionEvents(completionEventsFromArchive(doneTasks));
+      }
+      if (frictions) setFrictionEvents(frictions);
+      if (pomodoro) setPomodoroSettings(normalizePomodoroSettings(pomodoro));
+      const storedCheckIns = checkIns || [];
+      const normalizedRecheck = normalizeEnergyRecheckSettings(recheckSettings);
+      setEnergyCheckIns(storedCheckIns);
+      setEnergyRecheckSettings(normalizedRecheck);
+      // Yesterday's energy is a guess at best, so ask again on the first open of the day
+      if (
+        energy &&
+        normalizedRecheck.firstOpenOfDay &&
+        isFirstOpenToday(recheckPromptedDay, storedCheckIns)
+      ) {
+        setEnergyPrompt('newDay');
+        setStorageItem(STORAGE_KEYS.ENERGY_RECHECK_PROMPTED, recheckDay());
       }
       setStreakCompletedTasks(streakTasks);
+      setStreakArchive(loadStreakArchive());
+      setStreakPolicy(normalizeStreakPolicy(policy));
+
+      const quarantine = loadQuarantine();
+      setQuarantinedRecords(quarantine);
+      const newlyQuarantined = quarantine.filter((record) => record.quarantinedAt >= loadStartedAt).length;
+      if (newlyQuarantined > 0) {
+        toast(`${newlyQuarantined} saved ${newlyQuarantined === 1 ? 'record' : 'records'} couldn't be loaded`, {
+          description: 'They were set aside so the rest of your data could load.',
+          action: { label: 'Review', onClick: handleOpenRecovery },
+        });
+      }
 
       setIsLoading(false);
     }
     loadData();
   }, []);
 
-  // Timer effect
+  // Timer tick: only refreshes the display, so throttled or sleeping tabs can't drift
   useEffect(() => {
-    if (isTimerRunning) {
-      timerIntervalRef.current = setInterval(() => {
-        setTimerSeconds((prev) => prev + 1);
-      }, 1000);
-    } else {
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-      }
-    }
+    if (!isTimerRunning) return;
+    const tick = () => setTimerNow(Date.now());
+    tick();
+    timerIntervalRef.current = setInterval(tick, 1000);
+    document.addEventListener('visibilitychange', tick);
     return () => {
-      if (timerIntervalRef.current) {
-        clearInterval(timerIntervalRef.current);
-      }
+      clearInterval(timerIntervalRef.current);
+      document.removeEventListener('visibilitychange', tick);
     };
   }, [isTimerRunning]);
 
+  // End the work interval once its time is used up
+  useEffect(() => {
+    if (!timebox || timebox.phase !== 'work' || !isTimerRunning || timeboxSecondsLeft > 0) return;
+
+    if (timebox.mode === 'pomodoro') {
+      handleFinishInterval();
+    } else if (!timebox.signaled) {
+      // The countdown keeps running as overtime after the signal
+      playIntervalSignal();
+      setCurrentTask((prev) => {
+        const completedAt = workIntervalEnd(
+          prev.timebox,
+          timerElapsedSeconds(prev.timer || EMPTY_TIMER),
+          prev.estimatedMinutes
+        );
+        return touchRecord({
+          ...prev,
+          timebox: { ...prev.timebox, signaled: true },
+          focusIntervals: [...prev.focusIntervals, { completedAt, minutes: prev.estimatedMinutes }],
+        });
+      });
+    }
+  }, [timeboxSecondsLeft, isTimerRunning]);
+
+  // Ask for an energy re-check after each long stretch of focus on the same task
+  useEffect(() => {
+    if (!currentTask || !energyRecheckSettings.afterFocus) return;
+    const stretch = Math.floor(timerSeconds / (energyRecheckSettings.focusMinutes * 60));
+    const last = focusStretchRef.current;
+    focusStretchRef.current = { taskId: currentTask.id, stretch };
+    if (last.taskId === currentTask.id && stretch > last.stretch) {
+      setEnergyPrompt((prev) => prev || 'focusTime');
+    }
+  }, [timerSeconds, currentTask?.id, energyRecheckSettings]);
+
   // Persist current task when it changes
   useEffect(() => {
     if (!isLoading) {
       setStorageItem(STORAGE_KEYS.CURRENT_TASK, currentTask);
+      sync.queueChange('currentTask', currentTask);
     }
   }, [currentTask, isLoading]);
 
+  // Persist energy check-in history
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.ENERGY_CHECKINS, energyCheckIns);
+    }
+  }, [energyCheckIns, isLoading]);
+
+  // Persist energy re-check settings when they change
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.ENERGY_RECHECK_SETTINGS, energyRecheckSettings);
+    }
+  }, [energyRecheckSettings, isLoading]);
+
+  // Persist streak rules when they change
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.STREAK_POLICY, streakPolicy);
+    }
+  }, [streakPolicy, isLoading]);
+
+  // Persist pomodoro settings when they change
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.POMODORO_SETTINGS, pomodoroSettings);
+    }
+  }, [pomodoroSettings, isLoading]);
+
   // Persist backlog when it changes
   useEffect(() => {
     if (!isLoading) {
       setStorageItem(STORAGE_KEYS.TASKS_BACKLOG, backlog);
+      sync.queueChange('backlog', backlog);
     }
   }, [backlog, isLoading]);
 
@@ -215,6 +483,7 @@ export default function FocusExecutionApp() {
   useEffect(() => {
     if (!isLoading) {
       setStorageItem(STORAGE_KEYS.USER_STATS, stats);
+      sync.queueChange('stats', stats);
     }
   }, [stats, isLoading]);
 
@@ -222,6 +491,7 @@ export default function FocusExecutionApp() {
   useEffect(() => {
     if (!isLoading && currentEnergy) {
       setStorageItem(STORAGE_KEYS.CURRENT_ENERGY, currentEnergy);
+      sync.queueChange('currentEnergy', currentEnergy);
     }
   }, [currentEnergy, isLoading]);
 
@@ -229,6 +499,7 @@ export default function FocusExecutionApp() {
   useEffect(() => {
     if (!isLoading) {
       setStorageItem(STORAGE_KEYS.BRAIN_DUMP_DRAFT, brainDumpDraft);
+      sync.queueChange('brainDumpDraft', brainDumpDraft);
     }
   }, [brainDumpDraft, isLoading]);
 
@@ -236,44 +507,144 @@ export default function FocusExecutionApp() {
   useEffect(() => {
     if (!isLoading) {
       setStorageItem(STORAGE_KEYS.BRAIN_DUMP_ITEMS, brainDumpItems);
+      sync.queueChange('brainDumpItems', brainDumpItems);
     }
   }, [brainDumpItems, isLoading]);
 
+  // Persist completed task archive
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.COMPLETED_TASKS, completedTasks);
+      sync.queueChange('completedTasks', completedTasks);
+    }
+  }, [completedTasks, isLoading]);
+
+  // Persist completion event history
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.COMPLETION_EVENTS, completionEvents);
+    }
+  }, [completionEvents, isLoading]);
+
+  // Persist friction event history
+  useEffect(() => {
+    if (!isLoading) {
+      setStorageItem(STORAGE_KEYS.FRICTION_EVENTS, frictionEvents);
+    }
+  }, [frictionEvents, isLoading]);
+
   // Persist streak completed tasks when they change
   useEffect(() => {
     if (!isLoading) {
       saveStreakCompletedTasks(streakCompletedTasks);
+      sync.queueChange('streakCompletedTasks', streakCompletedTasks);
     }
   }, [streakCompletedTasks, isLoading]);
 
+  // Persist past streaks
+  useEffect(() => {
+    if (!isLoading) {
+      saveStreakArchive(streakArchive);
+    }
+  }, [streakArchive, isLoading]);
+
   const handleEnergySelect = (energyKey) => {
     setCurrentEnergy(energyKey);
+    setEnergyCheckIns((prev) => [...prev, createEnergyCheckIn(energyKey)]);
   };
 
   const handleSelectTask = (task) => {
-    setCurrentTask(task);
+    // A task skipped with a known friction reason opens its re-entry flow first
+    if (task.lastFriction && recoveryFlowFor(task.lastFriction.reason)) {
+      setRecoveryFriction(task.lastFriction);
+    }
+    setCurrentTask(
+      touchRecord({ ...task, lastFriction: null, parkedAt: null, timer: EMPTY_TIMER, timebox: null })
+    );
     setNoteText(task.note || '');
     setBacklog((prev) => prev.filter((t) => t.id !== task.id));
     setView('main');
-    setTimerSeconds(0);
-    setIsTimerRunning(false);
   };
 
-  const handleToggleStep = (stepIndex) => {
-    if (!currentTask) return;
-    const completedSteps = currentTask.completedSteps || [];
-    const newCompleted = completedSteps.includes(stepIndex)
-      ? completedSteps.filter((i) => i !== stepIndex)
-      : [...completedSteps, stepIndex];
+  const handleSwapTask = (task) => {
+    // The swapped-out task keeps its logged time and goes back without counting as a skip
+    const { timer, timebox: swappedTimebox, ...swappedTask } = logTimerSessions(currentTask);
+    setBacklog((prev) => [...prev, touchRecord(swappedTask)]);
+    setEnergyPrompt(null);
+    handleSelectTask(task);
+  };
+
+  const updateTimer = (update) => {
+    setCurrentTask((prev) =>
+      prev ? touchRecord({ ...prev, timer: update(prev.timer || EMPTY_TIMER) }) : prev
+    );
+  };
+
+  const handleToggleTimer = () => {
+    updateTimer((timer) => (isFocusTimerRunning(timer) ? pauseTimer(timer) : startTimer(timer, currentEnergy)));
+  };
+
+  const handleResetTimer = () => {
+    // Time already worked moves to the session log; only the display starts over
+    setCurrentTask((prev) => (prev ? touchRecord(logTimerSessions(prev)) : prev));
+    if (timebox) handleSelectTimeboxMode(timebox.mode);
+  };
+
+  const handleSelectTimeboxMode = (mode) => {
+    setCurrentTask((prev) => {
+      if (!prev) return prev;
+      const timer = prev.timer || EMPTY_TIMER;
+      return touchRecord({
+        ...prev,
+        timebox: mode ? startTimebox(mode, timerElapsedSeconds(timer)) : null,
+      });
+    });
+  };
 
-    setCurrentTask({ ...currentTask, completedSteps: newCompleted });
+  const handleFinishInterval = () => {
+    playIntervalSignal();
+    setCurrentTask((prev) => {
+      // Stop the clock where the interval was due to end, not when we noticed it
+      const timer = prev.timer || EMPTY_TIMER;
+      const completedAt = workIntervalEnd(
+        prev.timebox,
+        timerElapsedSeconds(timer),
+        pomodoroSettings.workMinutes
+      );
+      return touchRecord({
+        ...prev,
+        timer: pauseTimer(timer, completedAt),
+        timebox: beginBreak(prev.timebox, pomodoroSettings, completedAt),
+        focusIntervals: [...prev.focusIntervals, { completedAt, minutes: pomodoroSettings.workMinutes }],
+      });
+    });
+  };
+
+  const handleFinishBreak = () => {
+    setCurrentTask((prev) => {
+      const timer = prev.timer || EMPTY_TIMER;
+      return touchRecord({
+        ...prev,
+        timer: startTimer(timer, currentEnergy),
+        timebox: endBreak(prev.timebox, timerElapsedSeconds(timer)),
+      });
+    });
+  };
+
+  const handleStepsChange = (steps) => {
+    setCurrentTask((prev) => (prev ? touchRecord({ ...prev, steps }) : prev));
   };
 
   const handleCompleteTask = () => {
     if (!currentTask) return;
 
-    const timeInMinutes = Math.round(timerSeconds / 60);
     const completionTimestamp = Date.now();
+    // Time on task covers every session, including earlier picks that ended in a skip
+    const { timer, timebox: finishedTimebox, ...finishedTask } = logTimerSessions(
+      currentTask,
+      completionTimestamp
+    );
+    const timeInMinutes = Math.round(totalSessionSeconds(finishedTask.workSessions) / 60);
     
     setStats((prev) => ({
       completed: prev.completed + 1,
@@ -290,36 +661,128 @@ export default function FocusExecutionApp() {
       },
     ]);
 
+    // Archive the full task so it stays searchable in history
+    const completedTask = touchRecord({
+      ...finishedTask,
+      completedAt: completionTimestamp,
+      actualMinutes: timeInMinutes,
+    });
+    setCompletedTasks((prev) => [...prev, completedTask]);
+    setCompletionEvents((prev) => [...prev, createCompletionEvent(completedTask, stats.streak + 1)]);
+
+    // Tasks that were waiting on this one can start now
+    const { tasks: releasedBacklog, unblocked } = releaseBlocker(backlog, currentTask.id);
+    setBacklog(releasedBacklog);
+    unblocked.forEach((task) => {
+      toast(`"${task.title}" is unblocked`, {
+        description: `"${currentTask.title}" is done, so it's ready to start`,
+      });
+    });
+
+    // A recurring task queues its next instance straight away
+    const nextInstance = nextRecurringTask(completedTask);
+    if (nextInstance) {
+      setBacklog((prev) => [...prev, nextInstance]);
+    }
+
+    setCurrentTask(null);
+    setNoteText('');
+    if (energyRecheckSettings.afterCompletion) setEnergyPrompt('completion');
+  };
+
+  const handleParkTask = () => {
+    if (!currentTask) return;
+
+    // Parking is a legitimate pause, so it logs the time worked but leaves the streak alone
+    const { timer, timebox: parkedTimebox, ...parkedTask } = logTimerSessions(currentTask);
+    setBacklog((prev) => [touchRecord({ ...parkedTask, note: noteText, parkedAt: Date.now() }), ...prev]);
+    toast(`"${currentTask.title}" is parked`, {
+      description: 'It waits at the top of your backlog, and your streak is untouched',
+    });
     setCurrentTask(null);
-    setTimerSeconds(0);
-    setIsTimerRunning(false);
     setNoteText('');
+    setIsEditingNote(false);
   };
 
   const handleSkipTask = () => {
     setShowFriction(true);
   };
 
-  const handleFrictionSelect = (reason) => {
+  const handleFrictionReasonClick = (reason) => {
+    if (recoveryFlowFor(reason) === 'prerequisites') {
+      setFrictionReason(reason);
+      return;
+    }
+    handleFrictionSelect(reason);
+  };
+
+  const handleFrictionSelect = (reason, prerequisites = [], blockedReason = null) => {
     if (!currentTask) return;
 
-    const updatedTask = {
-      ...currentTask,
-      lastFriction: { reason, timestamp: Date.now() },
-    };
+    const elapsedSeconds = timerElapsedSeconds(currentTimer);
+    const { timer, timebox: skippedTimebox, ...skippedTask } = logTimerSessions(currentTask);
+    const updatedTask = touchRecord({
+      ...skippedTask,
+      lastFriction: {
+        reason,
+        timestamp: Date.now(),
+        ...(prerequisites.length > 0 && { prerequisites }),
+      },
+      ...(blockedReason && { blockedReason }),
+    });
 
     setBacklog((prev) => [...prev, updatedTask]);
-    setStats((prev) => ({ ...prev, streak: 0 }));
-    
-    // Clear streak completed tasks when streak resets
-    setStreakCompletedTasks([]);
-    clearStreakCompletedTasks();
-    
+    setFrictionEvents((prev) => [
+      ...prev,
+      createFrictionEvent(currentTask, reason, elapsedSeconds, currentEnergy),
+    ]);
+    if (skipBreaksStreak(streakPolicy, reason, frictionEvents)) {
+      // The ended streak moves to the archive before the current list is cleared
+      if (stats.streak > 0) {
+        setStreakArchive((prev) => [...prev, archiveStreak(streakCompletedTasks, stats.streak, reason)]);
+      }
+      setStats((prev) => ({ ...prev, streak: 0 }));
+      setStreakCompletedTasks([]);
+      clearStreakCompletedTasks();
+    } else if (stats.streak > 0) {
+      toast('Your streak is safe', {
+        description: streakPolicy.forgivenReasons.includes(reason)
+          ? `"${reason}" doesn't break your streak`
+          : 'That was one of your grace skips for today',
+      });
+    }
+
     setCurrentTask(null);
-    setTimerSeconds(0);
-    setIsTimerRunning(false);
     setNoteText('');
+    handleCloseFriction();
+    if (recoveryFlowFor(reason) === 'energy' && energyRecheckSettings.afterTiredSkip) {
+      setEnergyPrompt('tiredSkip');
+    }
+  };
+
+  const handleCloseFriction = () => {
     setShowFriction(false);
+    setFrictionReason(null);
+    setPrerequisitesText('');
+    setBlockUntilReady(false);
+  };
+
+  const handleRecoveryFinish = ({ task, remainder, parkedThought, backToBacklog }) => {
+    setRecoveryFriction(null);
+    if (remainder) {
+      setBacklog((prev) => [...prev, remainder]);
+    }
+    if (parkedThought) {
+      setBrainDumpDraft((prev) => (prev.trim() ? `${prev}\n${parkedThought}` : parkedThought));
+    }
+    if (backToBacklog) {
+      // Putting it back is not a skip, so the streak stays intact
+      setBacklog((prev) => [...prev, touchRecord(task)]);
+      setCurrentTask(null);
+      setNoteText('');
+      return;
+    }
+    setCurrentTask(touchRecord(task));
   };
 
   const handleAddTask = (newTask) => {
@@ -329,21 +792,46 @@ export default function FocusExecutionApp() {
       why: newTask.why || '',
       energy: newTask.energy,
       steps: newTask.steps || [],
-      estimatedMinutes: newTask.estimatedMinutes || 30,
-      completedSteps: [],
+      estimatedMinutes: newTask.estimatedMinutes || DEFAULT_ESTIMATE_MINUTES,
       note: '',
       lastFriction: null,
+      blockedBy: [],
+      blockedReason: null,
+      focusIntervals: [],
+      workSessions: [],
       createdAt: Date.now(),
       plannedTimeline: newTask.plannedTimeline || '',
+      plannedDue: parsePlannedTimeline(newTask.plannedTimeline),
       completedAt: null,
+      recurrence: newTask.recurrence || null,
+      updatedAt: Date.now(),
+      revision: 1,
     };
     setBacklog((prev) => [...prev, task]);
     setShowAddTask(false);
   };
 
+  const handleReopenTask = (task) => {
+    // Move the archived task back into the backlog, keeping its steps and notes
+    const { actualMinutes, ...reopenedTask } = task;
+    setCompletedTasks((prev) => prev.filter((t) => t.id !== task.id));
+    // Undo the completion so finishing it again isn't counted twice
+    setCompletionEvents((prev) => prev.filter((event) => event.taskId !== task.id));
+    setStats((prev) => ({
+      ...prev,
+      completed: Math.max(0, prev.completed - 1),
+      totalTime: Math.max(0, prev.totalTime - (actualMinutes || 0)),
+    }));
+    // A recurring task's next instance is queued again when it's completed again
+    setBacklog((prev) => [
+      ...prev.filter((t) => !isQueuedSuccessor(t, task)),
+      touchRecord({ ...reopenedTask, completedAt: null }),
+    ]);
+  };
+
   const handleSaveNote = () => {
     if (!currentTask) return;
-    setCurrentTask({ ...currentTask, note: noteText });
+    setCurrentTask(touchRecord({ ...currentTask, note: noteText }));
     setIsEditingNote(false);
   };
 
@@ -353,20 +841,26 @@ export default function FocusExecutionApp() {
   };
 
   const handleAddBrainDumpItemsToBacklog = (items) => {
-    // Create one backlog task per brain dump item, carrying over timestamps and timeline
+    // Create one backlog task per brain dump item, carrying over timestamps, timeline and imported details
     const newTasks = items.map((item) => ({
       id: `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       title: item.text,
-      why: '',
+      why: item.why || '',
       energy: item.selectedCategory,
-      steps: [],
-      estimatedMinutes: 30,
-      completedSteps: [],
-      note: '',
+      steps: item.steps || [],
+      estimatedMinutes: item.estimatedMinutes || DEFAULT_ESTIMATE_MINUTES,
+      note: item.note || '',
       lastFriction: null,
+      blockedBy: [],
+      blockedReason: null,
+      focusIntervals: [],
+      workSessions: [],
       createdAt: item.createdAt || Date.now(),
       plannedTimeline: item.plannedTimeline || '',
+      plannedDue: item.plannedDue || null,
       completedAt: null,
+      updatedAt: Date.now(),
+      revision: 1,
     }));
 
     setBacklog((prev) => [...prev, ...newTasks]);
@@ -386,20 +880,190 @@ export default function FocusExecutionApp() {
   const handleGoHome = () => {
     // Close all modals
     setShowAddTask(false);
-    setShowStats(false);
-    setShowFriction(false);
+    handleCloseFriction();
     setShowAssistant(false);
     setShowAssistantInModal(false);
     setIsStreakPanelOpen(false);
+    setShowBackup(false);
     
     // Return to main view
     setView('main');
   };
 
-  const filteredBacklog =
-    energyFilter === 'ALL'
-      ? backlog
-      : backlog.filter((task) => task.energy === energyFilter);
+  const handleSaveBlock = (taskId, blockedBy, blockedReason) => {
+    setBacklog((prev) =>
+      prev.map((task) => (task.id === taskId ? touchRecord({ ...task, blockedBy, blockedReason }) : task))
+    );
+    setBlockEditTask(null);
+  };
+
+  const handleSaveTaskDetails = (taskId, changes) => {
+    if (Object.keys(changes).length > 0) {
+      setBacklog((prev) => prev.map((task) => (task.id === taskId ? touchRecord({ ...task, ...changes }) : task)));
+    }
+    setDetailTask(null);
+  };
+
+  const handleDuplicateTask = (task) => {
+    // The copy goes right below the original
+    setBacklog((prev) => {
+      const index = prev.findIndex((t) => t.id === task.id);
+      return [...prev.slice(0, index + 1), duplicateTask(task), ...prev.slice(index + 1)];
+    });
+  };
+
+  const handleConfirmDeleteTask = () => {
+    const deletedIds = new Set(pendingDeleteTasks.map((task) => task.id));
+    let remaining = backlog.filter((task) => !deletedIds.has(task.id));
+    const unblockedById = new Map();
+    deletedIds.forEach((id) => {
+      const released = releaseBlocker(remaining, id);
+      remaining = released.tasks;
+      released.unblocked.forEach((task) => unblockedById.set(task.id, task));
+    });
+    setBacklog(remaining);
+    unblockedById.forEach((task) => {
+      toast(`"${task.title}" is unblocked`, {
+        description:
+          pendingDeleteTasks.length === 1
+            ? `"${pendingDeleteTasks[0].title}" was deleted, so it's ready to start`
+            : "What it was waiting on was deleted, so it's ready to start",
+      });
+    });
+    if (detailTask && deletedIds.has(detailTask.id)) setDetailTask(null);
+    setSelectedTaskIds((prev) => new Set([...prev].filter((id) => !deletedIds.has(id))));
+    setPendingDeleteTasks([]);
+  };
+
+  // Bulk edits only touch selected rows that are still visible under the current filter and search
+  const updateSelectedTasks = (update) => {
+    setBacklog((prev) =>
+      prev.map((task) => (selectedBacklog.some((t) => t.id === task.id) ? touchRecord(update(task)) : task))
+    );
+    setSelectedTaskIds(new Set());
+  };
+
+  const handleBulkSetEnergy = (energy) => {
+    updateSelectedTasks((task) => ({ ...task, energy }));
+  };
+
+  const handleBulkSetTimeline = (timeline) => {
+    updateSelectedTasks((task) => withPlannedTimeline(task, timeline));
+  };
+
+  const handleBulkExport = () => {
+    const exportedAt = Date.now();
+    downloadTextFile(
+      `backlog-tasks-${new Date(exportedAt).toISOString().slice(0, 10)}.json`,
+      JSON.stringify({ exportedAt, tasks: selectedBacklog }, null, 2),
+      'application/json'
+    );
+    toast(`Exported ${selectedBacklog.length} ${selectedBacklog.length === 1 ? 'task' : 'tasks'}`);
+  };
+
+  // Exports cover exactly the tasks the view's filters leave on screen
+  const handleExportTasks = (format, tasks, name, title) => {
+    const { extension, mimeType } = TASK_EXPORT_FORMATS[format];
+    const content =
+      format === 'csv'
+        ? tasksToCsv(tasks, ENERGY_LEVELS, frictionCountsByTask(frictionEvents))
+        : format === 'markdown'
+          ? tasksToMarkdown(tasks, ENERGY_LEVELS, title)
+          : tasksToIcs(tasks);
+    downloadTextFile(`${name}-${new Date().toISOString().slice(0, 10)}.${extension}`, content, mimeType);
+  };
+
+  // Every local store, in the shape backups are written and restored
+  const backupData = () => ({
+    currentEnergy,
+    currentTask,
+    backlog,
+    stats,
+    brainDumpDraft,
+    brainDumpItems,
+    completedTasks,
+    completionEvents,
+    frictionEvents,
+    pomodoroSettings,
+    energyCheckIns,
+    energyRecheckSettings,
+    streakPolicy,
+    streakCompletedTasks,
+    streakArchive,
+  });
+
+  const handleExportBackup = () => {
+    const exportedAt = Date.now();
+    downloadTextFile(
+      `focus-backup-${new Date(exportedAt).toISOString().slice(0, 10)}.json`,
+      createBackup(backupData(), exportedAt),
+      'application/json'
+    );
+  };
+
+  const handleDownloadQuarantined = (records) => {
+    downloadTextFile(
+      `focus-unreadable-records-${new Date().toISOString().slice(0, 10)}.json`,
+      JSON.stringify(records, null, 2),
+      'application/json'
+    );
+  };
+
+  // Sync bookkeeping can quarantine records after the first load, so always start from storage
+  const handleOpenRecovery = () => {
+    setQuarantinedRecords(loadQuarantine());
+    setView('recovery');
+  };
+
+  const handleDiscardQuarantined = (recordIds) => {
+    setQuarantinedRecords(discardQuarantinedRecords(recordIds));
+  };
+
+  const handleRestoreBackup = (backup, mode) => {
+    const data = restoredData(backupData(), backup, mode);
+    setCurrentEnergy(data.currentEnergy);
+    setCurrentTask(data.currentTask);
+    setNoteText(data.currentTask?.note || '');
+    setIsEditingNote(false);
+    setBacklog(data.backlog);
+    setStats(data.stats);
+    setBrainDumpDraft(data.brainDumpDraft);
+    setBrainDumpItems(data.brainDumpItems);
+    setCompletedTasks(data.completedTasks);
+    setCompletionEvents(data.completionEvents);
+    setFrictionEvents(data.frictionEvents);
+    setPomodoroSettings(data.pomodoroSettings);
+    setEnergyCheckIns(data.energyCheckIns);
+    setEnergyRecheckSettings(data.energyRecheckSettings);
+    setStreakPolicy(data.streakPolicy);
+    setStreakCompletedTasks(data.streakCompletedTasks);
+    setStreakArchive(data.streakArchive);
+    setSelectedTaskIds(new Set());
+    setShowBackup(false);
+    toast(mode === 'merge' ? 'Backup merged' : 'Backup restored');
+  };
+
+  const openTasks = currentTask ? [currentTask, ...backlog] : backlog;
+  const openTaskTitles = new Map(openTasks.map((task) => [task.id, task.title]));
+
+  // A task can't wait on itself or on anything already waiting on it
+  const blockerCandidatesFor = (task) => {
+    const dependents = dependentTaskIds(backlog, task.id);
+    return openTasks.filter((t) => t.id !== task.id && !dependents.has(t.id));
+  };
+
+  const currentDayStreak = dayStreak(
+    completionEvents.map((event) => event.completedAt),
+    streakPolicy
+  );
+
+  const normalizedBacklogQuery = backlogQuery.trim().toLowerCase();
+  const filteredBacklog = backlog.filter(
+    (task) =>
+      (energyFilter === 'ALL' || task.energy === energyFilter) && matchesTaskQuery(task, normalizedBacklogQuery)
+  );
+  const selectedBacklog = filteredBacklog.filter((task) => selectedTaskIds.has(task.id));
+  const pendingDeleteIds = new Set(pendingDeleteTasks.map((task) => task.id));
 
   if (isLoading) {
     return (
@@ -422,6 +1086,103 @@ export default function FocusExecutionApp() {
         onDraftChange={setBrainDumpDraft}
         onItemsChange={setBrainDumpItems}
         onClear={handleClearBrainDump}
+        calibration={estimateCalibration}
+      />
+    );
+  }
+
+  // Completed Tasks History View
+  if (view === 'history') {
+    return (
+      <CompletedTasksHistoryView
+        tasks={completedTasks}
+        energyLevels={ENERGY_LEVELS}
+        onReopenTask={handleReopenTask}
+        onExport={(format, tasks) => handleExportTasks(format, tasks, 'completed-tasks', 'Completed tasks')}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Stats Dashboard View
+  if (view === 'stats') {
+    return (
+      <StatsDashboardView
+        events={completionEvents}
+        stats={stats}
+        energyLevels={ENERGY_LEVELS}
+        onOpenFriction={() => setView('friction')}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Friction Analytics View
+  if (view === 'friction') {
+    return (
+      <FrictionAnalyticsView
+        events={frictionEvents}
+        reasons={FRICTION_REASONS}
+        energyLevels={ENERGY_LEVELS}
+        onClose={() => setView('stats')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Energy Patterns View
+  if (view === 'energy') {
+    return (
+      <EnergyPatternsView
+        checkIns={energyCheckIns}
+        energyLevels={ENERGY_LEVELS}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Streak History View
+  if (view === 'streaks') {
+    return (
+      <StreakHistoryView
+        streak={stats.streak}
+        streakTasks={streakCompletedTasks}
+        dayStreak={currentDayStreak}
+        archive={streakArchive}
+        policy={streakPolicy}
+        frictionReasons={FRICTION_REASONS}
+        onPolicyChange={setStreakPolicy}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Data Recovery View
+  if (view === 'recovery') {
+    return (
+      <StorageRecoveryView
+        records={quarantinedRecords}
+        onDownload={handleDownloadQuarantined}
+        onDiscard={(recordId) => handleDiscardQuarantined([recordId])}
+        onDiscardAll={() => handleDiscardQuarantined(quarantinedRecords.map((record) => record.id))}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
+      />
+    );
+  }
+
+  // Sync Conflicts View
+  if (view === 'conflicts') {
+    return (
+      <SyncConflictsView
+        conflicts={sync.conflicts}
+        onResolve={sync.resolveConflict}
+        onClose={() => setView('main')}
+        onFocusHome={handleGoHome}
       />
     );
   }
@@ -448,6 +1209,18 @@ export default function FocusExecutionApp() {
 
         {/* Main Content */}
         <main className="max-w-6xl mx-auto px-4 py-8">
+          {/* Search */}
+          <div className="relative mb-4">
+            <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-[#8B7355]" />
+            <Input
+              type="text"
+              value={backlogQuery}
+              onChange={(e) => setBacklogQuery(e.target.value)}
+              placeholder="Search titles, why, notes, steps..."
+              className="pl-10 bg-white font-['Work_Sans']"
+            />
+          </div>
+
           {/* Filter and Add Task */}
           <div className="mb-6 flex items-center justify-between">
             <div className="flex items-center gap-2">
@@ -482,24 +1255,83 @@ export default function FocusExecutionApp() {
                 );
               })}
             </div>
-            <button
-              onClick={() => setShowAddTask(true)}
-              className="flex items-center gap-2 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] hover:scale-105 transition-all shadow-warm"
-            >
-              <Plus size={20} />
-              Add Task
-            </button>
+            <div className="flex items-center gap-2">
+              <TaskExportMenu
+                count={filteredBacklog.length}
+                onExport={(format) => handleExportTasks(format, filteredBacklog, 'backlog', 'Backlog')}
+              />
+              <button
+                onClick={() => setShowAddTask(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] hover:scale-105 transition-all shadow-warm"
+              >
+                <Plus size={20} />
+                Add Task
+              </button>
+            </div>
           </div>
 
+          {selectedBacklog.length > 0 && (
+            <BacklogBulkActions
+              count={selectedBacklog.length}
+              energyLevels={ENERGY_LEVELS}
+              onSetEnergy={handleBulkSetEnergy}
+              onSetTimeline={handleBulkSetTimeline}
+              onExport={handleBulkExport}
+              onDelete={() => setPendingDeleteTasks(selectedBacklog)}
+              onClearSelection={() => setSelectedTaskIds(new Set())}
+            />
+          )}
+
           {/* Backlog Table */}
           <div className="bg-white rounded-2xl shadow-warm overflow-hidden">
             <BacklogTasksTable
               tasks={filteredBacklog}
               energyLevels={ENERGY_LEVELS}
               onSelectTask={handleSelectTask}
+              onEditTask={setDetailTask}
+              onDuplicateTask={handleDuplicateTask}
+              onDeleteTask={(task) => setPendingDeleteTasks([task])}
+              onEditBlock={setBlockEditTask}
+              titlesById={openTaskTitles}
+              energyOrder={Object.keys(ENERGY_LEVELS)}
+              frictionCounts={frictionCountsByTask(frictionEvents)}
+              selectedIds={selectedTaskIds}
+              onSelectionChange={setSelectedTaskIds}
             />
           </div>
         </main>
+
+        {detailTask && (
+          <TaskDetailSheet
+            key={detailTask.id}
+            task={detailTask}
+            energyLevels={ENERGY_LEVELS}
+            blockerCandidates={blockerCandidatesFor(detailTask)}
+            onSave={handleSaveTaskDetails}
+            onDelete={(task) => setPendingDeleteTasks([task])}
+            onClose={() => setDetailTask(null)}
+          />
+        )}
+
+        <DeleteTaskDialog
+          tasks={pendingDeleteTasks}
+          dependentCount={
+            backlog.filter(
+              (task) => !pendingDeleteIds.has(task.id) && task.blockedBy.some((id) => pendingDeleteIds.has(id))
+            ).length
+          }
+          onConfirm={handleConfirmDeleteTask}
+          onCancel={() => setPendingDeleteTasks([])}
+        />
+
+        {blockEditTask && (
+          <BlockTaskModal
+            task={blockEditTask}
+            candidates={blockerCandidatesFor(blockEditTask)}
+            onSave={handleSaveBlock}
+            onClose={() => setBlockEditTask(null)}
+          />
+        )}
       </div>
     );
   }
@@ -515,30 +1347,7 @@ export default function FocusExecutionApp() {
           <p className="text-[#8B7355] text-center mb-12 font-['Work_Sans']">
             Choose your current energy level to see matching tasks
           </p>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {Object.values(ENERGY_LEVELS).map((level, index) => {
-              const Icon = level.icon;
-              return (
-                <button
-                  key={level.key}
-                  onClick={() => handleEnergySelect(level.key)}
-                  className="p-8 bg-white rounded-2xl shadow-warm hover:shadow-warm-lg transition-all duration-300 hover:scale-105 text-left animate-stagger"
-                  style={{
-                    animationDelay: `${index * 0.1}s`,
-                  }}
-                >
-                  <Icon size={40} style={{ color: level.color }} className="mb-4" />
-                  <h3
-                    className="text-2xl font-['Crimson_Pro'] mb-2"
-                    style={{ color: level.color }}
-                  >
-                    {level.label}
-                  </h3>
-                  <p className="text-[#8B7355] font-['Work_Sans']">{level.description}</p>
-                </button>
-              );
-            })}
-          </div>
+          <EnergyLevelCards energyLevels={ENERGY_LEVELS} onSelect={handleEnergySelect} />
         </div>
       </div>
     );
@@ -546,6 +1355,27 @@ export default function FocusExecutionApp() {
 
   // Main view (Current Task or Empty State)
   if (view === 'main') {
+    const recommendOptions = {
+      currentEnergy,
+      energyOrder: Object.keys(ENERGY_LEVELS),
+      energyLabels: Object.fromEntries(
+        Object.values(ENERGY_LEVELS).map((level) => [level.key, level.label])
+      ),
+      availableMinutes,
+    };
+    const recommendations = currentTask ? [] : recommendTasks(backlog, recommendOptions);
+    const skipGraceLeft = graceSkipsLeft(streakPolicy, frictionEvents);
+    // The offer lapses once the parked task is picked, edited away or deleted
+    const resumeOfferTask = backlog.find((task) => task.id === resumeOfferId && task.parkedAt) || null;
+    // Only tasks at exactly the new energy are offered as a swap
+    const swapCandidates =
+      energyPrompt && currentTask
+        ? recommendTasks(backlog, { ...recommendOptions, limit: backlog.length })
+            .filter(({ task }) => task.energy === currentEnergy)
+            .slice(0, 3)
+            .map(({ task }) => task)
+        : [];
+
     return (
       <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
         {/* Header */}
@@ -553,6 +1383,13 @@ export default function FocusExecutionApp() {
           <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
             <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Focus</h1>
             <div className="flex items-center gap-4">
+              <EnergyMenu
+                currentEnergy={currentEnergy}
+                energyLevels={ENERGY_LEVELS}
+                onSelect={handleEnergySelect}
+                onOpenPatterns={() => setView('energy')}
+                onOpenReminders={() => setEnergyPrompt('manual')}
+              />
               {/* Clickable streak indicator with expandable panel */}
               <div className="relative">
                 <button
@@ -572,8 +1409,56 @@ export default function FocusExecutionApp() {
                 <StreakDetailsPanel
                   tasks={streakCompletedTasks}
                   isOpen={isStreakPanelOpen}
+                  dayStreak={currentDayStreak.days}
+                  onOpenHistory={() => {
+                    setIsStreakPanelOpen(false);
+                    setView('streaks');
+                  }}
                 />
               </div>
+              {sync.conflicts.length > 0 && (
+                <button
+                  onClick={() => setView('conflicts')}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-[#E07A5F]/10 rounded-full hover:bg-[#E07A5F]/20 transition-all hover:scale-105"
+                  title="Resolve sync conflicts"
+                >
+                  <AlertTriangle size={16} style={{ color: '#E07A5F' }} />
+                  <span className="text-sm font-['Work_Sans'] text-[#3E3833]">
+                    {sync.conflicts.length}
+                  </span>
+                </button>
+              )}
+              {quarantinedRecords.length > 0 && (
+                <button
+                  onClick={handleOpenRecovery}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-[#E07A5F]/10 rounded-full hover:bg-[#E07A5F]/20 transition-all hover:scale-105"
+                  title="Records that failed to load"
+                >
+                  <FileWarning size={16} style={{ color: '#E07A5F' }} />
+                  <span className="text-sm font-['Work_Sans'] text-[#3E3833]">
+                    {quarantinedRecords.length}
+                  </span>
+                </button>
+              )}
+              <button
+                onClick={sync.isSignedIn ? sync.logout : sync.login}
+                disabled={sync.isLoggingIn}
+                className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105 disabled:opacity-50"
+                title={SYNC_STATUS_LABELS[sync.status]}
+              >
+                {sync.status === 'signedOut' || sync.status === 'offline' ? (
+                  <CloudOff
+                    size={20}
+                    style={{ color: sync.status === 'offline' ? '#E07A5F' : '#8B7355' }}
+                  />
+                ) : (
+                  <Cloud
+                    size={20}
+                    style={{ color: sync.status === 'error' ? '#8B7355' : '#E07A5F' }}
+                    className={sync.status === 'syncing' || sync.status === 'pending' ? 'animate-pulse' : ''}
+                  />
+                )}
+              </button>
               <button
                 onClick={() => setView('brainDump')}
                 className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105"
@@ -589,11 +1474,26 @@ export default function FocusExecutionApp() {
                 <Sparkles size={20} style={{ color: '#E07A5F' }} />
               </button>
               <button
-                onClick={() => setShowStats(true)}
+                onClick={() => setView('history')}
+                className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105"
+                title="Completed Tasks"
+              >
+                <History size={20} style={{ color: '#E07A5F' }} />
+              </button>
+              <button
+                onClick={() => setView('stats')}
                 className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105"
+                title="Your Stats"
               >
                 <TrendingUp size={20} style={{ color: '#E07A5F' }} />
               </button>
+              <button
+                onClick={() => setShowBackup(true)}
+                className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105"
+                title="Backup & Restore"
+              >
+                <DatabaseBackup size={20} style={{ color: '#E07A5F' }} />
+              </button>
               <button
                 onClick={() => setView('backlog')}
                 className="flex items-center gap-2 px-3 py-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all hover:scale-105"
@@ -615,6 +1515,22 @@ export default function FocusExecutionApp() {
               <p className="text-[#8B7355] mb-8 font-['Work_Sans']">
                 Ready to focus on your next task?
               </p>
+              {resumeOfferTask && (
+                <ParkedTaskResumeCard
+                  task={resumeOfferTask}
+                  onResume={handleSelectTask}
+                  onDismiss={() => setResumeOfferId(null)}
+                />
+              )}
+              {recommendations.length > 0 && (
+                <NextTaskRecommendations
+                  recommendations={recommendations}
+                  energyLevels={ENERGY_LEVELS}
+                  availableMinutes={availableMinutes}
+                  onAvailableMinutesChange={setAvailableMinutes}
+                  onStart={handleSelectTask}
+                />
+              )}
               <div className="flex items-center justify-center gap-4">
                 <button
                   onClick={() => setView('backlog')}
@@ -643,11 +1559,20 @@ export default function FocusExecutionApp() {
                       isTimerRunning ? 'animate-pulse' : ''
                     }`}
                   >
-                    {formatTime(timerSeconds)}
+                    {timeboxSecondsLeft === null
+                      ? formatTime(timerSeconds)
+                      : timeboxSecondsLeft >= 0
+                        ? formatTime(timeboxSecondsLeft)
+                        : `+${formatTime(-timeboxSecondsLeft)}`}
                   </div>
+                  {timebox && (
+                    <div className="-mt-3 mb-4 text-xs text-[#8B7355] font-['Work_Sans']">
+                      {formatTime(timerSeconds)} focused in total
+                    </div>
+                  )}
                   <div className="flex items-center gap-2">
                     <button
-                      onClick={() => setIsTimerRunning(!isTimerRunning)}
+                      onClick={handleToggleTimer}
                       className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] hover:scale-105 transition-all"
                     >
                       {isTimerRunning ? (
@@ -663,16 +1588,20 @@ export default function FocusExecutionApp() {
                       )}
                     </button>
                     <button
-                      onClick={() => {
-                        setTimerSeconds(0);
-                        setIsTimerRunning(false);
-                      }}
+                      onClick={handleResetTimer}
                       className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
                       title="Reset timer"
                     >
                       <RotateCcw size={18} style={{ color: '#E07A5F' }} />
                     </button>
                   </div>
+                  <TimeboxControls
+                    timebox={timebox}
+                    settings={pomodoroSettings}
+                    intervalsCompleted={currentTask.focusIntervals.length}
+                    onSelectMode={handleSelectTimeboxMode}
+                    onSettingsChange={setPomodoroSettings}
+                  />
                 </div>
 
                 <div className="bg-white rounded-2xl p-6 shadow-warm">
@@ -697,6 +1626,14 @@ export default function FocusExecutionApp() {
                   {currentTask.title}
                 </h2>
 
+                {currentTask.recurrence && (
+                  <div className="mb-6 flex items-center gap-2 text-sm text-[#8B7355] font-['Work_Sans']">
+                    <Repeat size={16} style={{ color: '#F2A65A' }} />
+                    {describeRecurrence(currentTask.recurrence)} ·{' '}
+                    {describeSeriesHistory(currentTask.recurrence)}
+                  </div>
+                )}
+
                 {currentTask.why && (
                   <div className="mb-6 p-4 bg-[#F2A65A]/10 rounded-xl">
                     <div className="text-sm text-[#8B7355] mb-1 font-['Work_Sans']">Why this matters:</div>
@@ -704,42 +1641,10 @@ export default function FocusExecutionApp() {
                   </div>
                 )}
 
-                {currentTask.steps && currentTask.steps.length > 0 && (
-                  <div className="mb-6">
-                    <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-3">Steps</h3>
-                    <div className="space-y-2">
-                      {currentTask.steps.map((step, index) => {
-                        const isCompleted = currentTask.completedSteps?.includes(index);
-                        return (
-                          <button
-                            key={index}
-                            onClick={() => handleToggleStep(index)}
-                            className="w-full flex items-start gap-3 p-3 rounded-lg hover:bg-[#F7F3E9] transition-all text-left"
-                          >
-                            <div
-                              className={`mt-0.5 w-5 h-5 rounded border-2 flex items-center justify-center transition-all ${
-                                isCompleted
-                                  ? 'bg-[#E07A5F] border-[#E07A5F]'
-                                  : 'border-[#8B7355]/30'
-                              }`}
-                            >
-                              {isCompleted && <ChevronRight size={14} className="text-white" />}
-                            </div>
-                            <span
-                              className={`font-['Work_Sans'] ${
-                                isCompleted
-                                  ? 'text-[#8B7355] line-through'
-                                  : 'text-[#3E3833]'
-                              }`}
-                            >
-                              {step}
-                            </span>
-                          </button>
-                        );
-                      })}
-                    </div>
-                  </div>
-                )}
+                <div className="mb-6">
+                  <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-3">Steps</h3>
+                  <TaskStepsEditor steps={currentTask.steps} onChange={handleStepsChange} />
+                </div>
 
                 {/* Notes Section */}
                 <div className="mb-6">
@@ -787,6 +1692,18 @@ export default function FocusExecutionApp() {
                   )}
                 </div>
 
+                {/* Work Sessions */}
+                <div className="mb-6">
+                  <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-2">Work sessions</h3>
+                  <WorkSessionsList
+                    sessions={[
+                      ...currentTask.workSessions,
+                      ...sessionsFromTimer(currentTimer, timerNow),
+                    ]}
+                    energyLevels={ENERGY_LEVELS}
+                  />
+                </div>
+
                 {/* Action Buttons */}
                 <div className="flex items-center gap-4">
                   <button
@@ -795,6 +1712,14 @@ export default function FocusExecutionApp() {
                   >
                     Complete Task
                   </button>
+                  <button
+                    onClick={handleParkTask}
+                    className="flex items-center gap-2 px-6 py-3 bg-white text-[#8B7355] border-2 border-[#8B7355]/20 rounded-xl font-['Work_Sans'] hover:border-[#F2A65A] hover:text-[#F2A65A] transition-all"
+                    title="Set this aside for now without counting it as a skip"
+                  >
+                    <Pause size={18} />
+                    Park
+                  </button>
                   <button
                     onClick={handleSkipTask}
                     className="px-6 py-3 bg-white text-[#8B7355] border-2 border-[#8B7355]/20 rounded-xl font-['Work_Sans'] hover:border-[#E07A5F] hover:text-[#E07A5F] transition-all"
@@ -814,48 +1739,10 @@ export default function FocusExecutionApp() {
             onClose={() => setShowAddTask(false)}
             onAdd={handleAddTask}
             energyLevels={ENERGY_LEVELS}
+            calibration={estimateCalibration}
           />
         )}
 
-        {showStats && (
-          <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-2xl p-8 max-w-md w-full shadow-warm-lg animate-scale-in">
-              <div className="flex items-center justify-between mb-6">
-                <h2 className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">Your Stats</h2>
-                <button
-                  onClick={() => setShowStats(false)}
-                  className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
-                >
-                  <X size={20} style={{ color: '#E07A5F' }} />
-                </button>
-              </div>
-
-              <div className="space-y-6">
-                <div className="flex items-center justify-between p-4 bg-[#F7F3E9] rounded-xl">
-                  <span className="text-[#8B7355] font-['Work_Sans']">Tasks Completed</span>
-                  <span className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">
-                    {stats.completed}
-                  </span>
-                </div>
-
-                <div className="flex items-center justify-between p-4 bg-[#F2A65A]/10 rounded-xl">
-                  <span className="text-[#8B7355] font-['Work_Sans']">Current Streak</span>
-                  <span className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">
-                    {stats.streak}
-                  </span>
-                </div>
-
-                <div className="flex items-center justify-between p-4 bg-[#E07A5F]/10 rounded-xl">
-                  <span className="text-[#8B7355] font-['Work_Sans']">Total Focus Time</span>
-                  <span className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">
-                    {stats.totalTime} min
-                  </span>
-                </div>
-              </div>
-            </div>
-          </div>
-        )}
-
         {showFriction && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
             <div className="bg-white rounded-2xl p-8 max-w-md w-full shadow-warm-lg animate-scale-in">
@@ -864,7 +1751,7 @@ export default function FocusExecutionApp() {
                   What caused friction?
                 </h2>
                 <button
-                  onClick={() => setShowFriction(false)}
+                  onClick={handleCloseFriction}
                   className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
                 >
                   <X size={20} style={{ color: '#E07A5F' }} />
@@ -875,28 +1762,119 @@ export default function FocusExecutionApp() {
                 Understanding friction helps you improve future task planning
               </p>
 
-              <div className="space-y-2">
-                {FRICTION_REASONS.map((reason) => (
+              {frictionReason ? (
+                <div className="space-y-4">
+                  <label className="block text-[#3E3833] font-['Work_Sans']">
+                    What do you need before trying again? (one per line)
+                    <textarea
+                      value={prerequisitesText}
+                      onChange={(e) => setPrerequisitesText(e.target.value)}
+                      placeholder="e.g., Charger for the drill, Login for the tax portal"
+                      className="mt-2 w-full h-28 p-3 border border-[#8B7355]/20 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-[#E07A5F]/30 font-['Work_Sans']"
+                      autoFocus
+                    />
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-[#8B7355] font-['Work_Sans']">
+                    <input
+                      type="checkbox"
+                      checked={blockUntilReady}
+                      onChange={(e) => setBlockUntilReady(e.target.checked)}
+                      className="accent-[#E07A5F]"
+                    />
+                    Mark it blocked until I have these
+                  </label>
                   <button
-                    key={reason}
-                    onClick={() => handleFrictionSelect(reason)}
-                    className="w-full p-4 text-left bg-[#F7F3E9] hover:bg-[#E07A5F]/10 rounded-xl transition-all font-['Work_Sans'] text-[#3E3833]"
+                    onClick={() => {
+                      const prerequisites = prerequisitesText
+                        .split('\n')
+                        .map((line) => line.trim())
+                        .filter((line) => line.length > 0);
+                      handleFrictionSelect(
+                        frictionReason,
+                        prerequisites,
+                        blockUntilReady && prerequisites.length > 0 ? prerequisites.join('; ') : null
+                      );
+                    }}
+                    className="w-full px-6 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] hover:scale-105 transition-all"
                   >
-                    {reason}
+                    Save checklist and skip
                   </button>
-                ))}
-              </div>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {FRICTION_REASONS.map((reason) => (
+                    <button
+                      key={reason}
+                      onClick={() => handleFrictionReasonClick(reason)}
+                      className="w-full p-4 text-left bg-[#F7F3E9] hover:bg-[#E07A5F]/10 rounded-xl transition-all font-['Work_Sans'] text-[#3E3833] flex items-center justify-between gap-2"
+                    >
+                      {reason}
+                      {streakPolicy.forgivenReasons.includes(reason) && (
+                        <span className="text-xs text-[#8B7355]">keeps streak</span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
 
               <div className="mt-6 p-4 bg-[#F2A65A]/10 rounded-xl flex items-start gap-2">
                 <AlertCircle size={18} style={{ color: '#F2A65A' }} className="mt-0.5" />
                 <p className="text-sm text-[#8B7355] font-['Work_Sans']">
-                  This will reset your streak and return the task to your backlog
+                  {skipGraceLeft > 0
+                    ? `You have ${skipGraceLeft} grace ${skipGraceLeft === 1 ? 'skip' : 'skips'} left today, so your streak stays. The task goes back to your backlog`
+                    : streakPolicy.forgivenReasons.length > 0
+                      ? 'Unless the reason is one you keep your streak for, this will reset your streak. The task goes back to your backlog'
+                      : 'This will reset your streak and return the task to your backlog'}
                 </p>
               </div>
             </div>
           </div>
         )}
 
+        {showBackup && (
+          <BackupRestoreModal
+            currentData={backupData()}
+            onExport={handleExportBackup}
+            onRestore={handleRestoreBackup}
+            onClose={() => setShowBackup(false)}
+          />
+        )}
+
+        {timebox?.phase === 'break' && (
+          <BreakScreen
+            breakEndsAt={timebox.breakEndsAt}
+            isLongBreak={isLongBreak(timebox.completedCycles, pomodoroSettings)}
+            completedCycles={timebox.completedCycles}
+            taskTitle={currentTask.title}
+            onFinishBreak={handleFinishBreak}
+          />
+        )}
+
+        {energyPrompt && (
+          <EnergyRecheckPrompt
+            trigger={energyPrompt}
+            energyLevels={ENERGY_LEVELS}
+            currentEnergy={currentEnergy}
+            currentTask={currentTask}
+            swapCandidates={swapCandidates}
+            settings={energyRecheckSettings}
+            onSettingsChange={setEnergyRecheckSettings}
+            onSelectEnergy={handleEnergySelect}
+            onSwapTask={handleSwapTask}
+            onClose={() => setEnergyPrompt(null)}
+          />
+        )}
+
+        {recoveryFriction && currentTask && (
+          <FrictionRecoveryModal
+            task={currentTask}
+            friction={recoveryFriction}
+            currentEnergy={currentEnergy}
+            energyLevels={ENERGY_LEVELS}
+            onFinish={handleRecoveryFinish}
+          />
+        )}
+
         {showAssistant && (
           <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
             <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[80vh] overflow-y-auto shadow-warm-lg animate-scale-in">
@@ -7,5 +7,38 @@ export interface None {
     __kind__: "None";
 }
 export type Option<T> = Some<T> | None;
+export interface StoredRecord {
+    id: string;
+    updatedAt: bigint;
+    payload: string;
+}
+export interface StreakCompletedTask {
+    title: string;
+    completedAt: bigint;
+}
+export interface UserData {
+    backlog: Array<StoredRecord>;
+    currentTask?: StoredRecord;
+    currentEnergy?: string;
+    stats?: UserStats;
+    streakCompletedTasks: Array<StreakCompletedTask>;
+    brainDumpDraft: string;
+    brainDumpItems: Array<StoredRecord>;
+    completedTasks: Array<StoredRecord>;
+    updatedAt: bigint;
+}
+export interface UserStats {
+    completed: bigint;
+    streak: bigint;
+    totalTime: bigint;
+}
 export interface backendInterface {
+    getUserData(): Promise<UserData | null>;
+    saveBacklog(arg0: Array<StoredRecord>): Promise<void>;
+    saveBrainDump(arg0: string, arg1: Array<StoredRecord>): Promise<void>;
+    saveCompletedTasks(arg0: Array<StoredRecord>): Promise<void>;
+    saveCurrentEnergy(arg0: string): Promise<void>;
+    saveCurrentTask(arg0: StoredRecord | null): Promise<void>;
+    saveStats(arg0: UserStats): Promise<void>;
+    saveStreakCompletedTasks(arg0: Array<StreakCompletedTask>): Promise<void>;
 }
@@ -8,6 +8,7 @@
 
 import { Actor, HttpAgent, type HttpAgentOptions, type ActorConfig, type Agent, type ActorSubclass } from "@icp-sdk/core/agent";
 import type { Principal } from "@icp-sdk/core/principal";
+import type { StoredRecord as _StoredRecord, UserData as _UserData } from "./declarations/backend.did";
 import { idlFactory, type _SERVICE } from "./declarations/backend.did";
 export interface Some<T> {
     __kind__: "Some";
@@ -89,10 +90,177 @@ export class ExternalBlob {
         return this;
     }
 }
+export interface StoredRecord {
+    id: string;
+    updatedAt: bigint;
+    payload: string;
+}
+export interface StreakCompletedTask {
+    title: string;
+    completedAt: bigint;
+}
+export interface UserData {
+    backlog: Array<StoredRecord>;
+    currentTask?: StoredRecord;
+    currentEnergy?: string;
+    stats?: UserStats;
+    streakCompletedTasks: Array<StreakCompletedTask>;
+    brainDumpDraft: string;
+    brainDumpItems: Array<StoredRecord>;
+    completedTasks: Array<StoredRecord>;
+    updatedAt: bigint;
+}
+export interface UserStats {
+    completed: bigint;
+    streak: bigint;
+    totalTime: bigint;
+}
 export interface backendInterface {
+    getUserData(): Promise<UserData | null>;
+    saveBacklog(arg0: Array<StoredRecord>): Promise<void>;
+    saveBrainDump(arg0: string, arg1: Array<StoredRecord>): Promise<void>;
+    saveCompletedTasks(arg0: Array<StoredRecord>): Promise<void>;
+    saveCurrentEnergy(arg0: string): Promise<void>;
+    saveCurrentTask(arg0: StoredRecord | null): Promise<void>;
+    saveStats(arg0: UserStats): Promise<void>;
+    saveStreakCompletedTasks(arg0: Array<StreakCompletedTask>): Promise<void>;
 }
 export class Backend implements backendInterface {
     constructor(private actor: ActorSubclass<_SERVICE>, private _uploadFile: (file: ExternalBlob) => Promise<Uint8Array>, private _downloadFile: (file: Uint8Array) => Promise<ExternalBlob>, private processError?: (error: unknown) => never){}
+    async getUserData(): Promise<UserData | null> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.getUserData();
+                return from_candid_opt_n1(this._uploadFile, this._downloadFile, result);
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.getUserData();
+            return from_candid_opt_n1(this._uploadFile, this._downloadFile, result);
+        }
+    }
+    async saveBacklog(arg0: Array<StoredRecord>): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveBacklog(arg0);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveBacklog(arg0);
+            return result;
+        }
+    }
+    async saveBrainDump(arg0: string, arg1: Array<StoredRecord>): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveBrainDump(arg0, arg1);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveBrainDump(arg0, arg1);
+            return result;
+        }
+    }
+    async saveCompletedTasks(arg0: Array<StoredRecord>): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveCompletedTasks(arg0);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveCompletedTasks(arg0);
+            return result;
+        }
+    }
+    async saveCurrentEnergy(arg0: string): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveCurrentEnergy(arg0);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveCurrentEnergy(arg0);
+            return result;
+        }
+    }
+    async saveCurrentTask(arg0: StoredRecord | null): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveCurrentTask(to_candid_opt_n4(this._uploadFile, this._downloadFile, arg0));
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveCurrentTask(to_candid_opt_n4(this._uploadFile, this._downloadFile, arg0));
+            return result;
+        }
+    }
+    async saveStats(arg0: UserStats): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveStats(arg0);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveStats(arg0);
+            return result;
+        }
+    }
+    async saveStreakCompletedTasks(arg0: Array<StreakCompletedTask>): Promise<void> {
+        if (this.processError) {
+            try {
+                const result = await this.actor.saveStreakCompletedTasks(arg0);
+                return result;
+            } catch (e) {
+                this.processError(e);
+                throw new Error("unreachable");
+            }
+        } else {
+            const result = await this.actor.saveStreakCompletedTasks(arg0);
+            return result;
+        }
+    }
+}
+function from_candid_opt_n1(_uploadFile: (file: ExternalBlob) => Promise<Uint8Array>, _downloadFile: (file: Uint8Array) => Promise<ExternalBlob>, value: [] | [_UserData]): UserData | null {
+    return value.length === 0 ? null : from_candid_UserData_n2(_uploadFile, _downloadFile, value[0]);
+}
+function from_candid_UserData_n2(_uploadFile: (file: ExternalBlob) => Promise<Uint8Array>, _downloadFile: (file: Uint8Array) => Promise<ExternalBlob>, value: _UserData): UserData {
+    return {
+        backlog: value.backlog,
+        currentTask: record_opt_to_undefined(from_candid_opt_n3(_uploadFile, _downloadFile, value.currentTask)),
+        currentEnergy: record_opt_to_undefined(from_candid_opt_n3(_uploadFile, _downloadFile, value.currentEnergy)),
+        stats: record_opt_to_undefined(from_candid_opt_n3(_uploadFile, _downloadFile, value.stats)),
+        streakCompletedTasks: value.streakCompletedTasks,
+        brainDumpDraft: value.brainDumpDraft,
+        brainDumpItems: value.brainDumpItems,
+        completedTasks: value.completedTasks,
+        updatedAt: value.updatedAt
+    };
+}
+function from_candid_opt_n3<T>(_uploadFile: (file: ExternalBlob) => Promise<Uint8Array>, _downloadFile: (file: Uint8Array) => Promise<ExternalBlob>, value: [] | [T]): T | null {
+    return value.length === 0 ? null : value[0];
+}
+function to_candid_opt_n4(_uploadFile: (file: ExternalBlob) => Promise<Uint8Array>, _downloadFile: (file: Uint8Array) => Promise<ExternalBlob>, value: StoredRecord | null): [] | [_StoredRecord] {
+    return value === null ? candid_none() : candid_some(value);
 }
 export interface CreateActorOptions {
     agent?: Agent;
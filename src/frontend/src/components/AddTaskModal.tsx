@@ -1,10 +1,20 @@
 import { useState } from 'react';
-import { X, Plus } from 'lucide-react';
+import { X, Plus, Sparkles, Repeat } from 'lucide-react';
 import EnergyCategorySelector, { EnergyCategory } from './EnergyCategorySelector';
+import TaskStepsEditor from './TaskStepsEditor';
+import RecurrencePicker from './RecurrencePicker';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Textarea } from './ui/textarea';
 import { Label } from './ui/label';
+import {
+  DEFAULT_ESTIMATE_MINUTES,
+  describeSuggestion,
+  suggestEstimate,
+  type EstimateCalibration,
+} from '../lib/estimateCalibration';
+import type { Recurrence } from '../lib/recurrence';
+import type { TaskStep } from '../lib/taskSteps';
 
 interface AddTaskModalProps {
   isOpen: boolean;
@@ -13,9 +23,10 @@ interface AddTaskModalProps {
     title: string;
     why: string;
     energy: EnergyCategory;
-    steps: string[];
+    steps: TaskStep[];
     estimatedMinutes: number;
     plannedTimeline?: string;
+    recurrence?: Recurrence | null;
   }) => void;
   energyLevels: {
     [key: string]: {
@@ -26,6 +37,7 @@ interface AddTaskModalProps {
       color: string;
     };
   };
+  calibration?: EstimateCalibration;
 }
 
 export default function AddTaskModal({
@@ -33,13 +45,26 @@ export default function AddTaskModal({
   onClose,
   onAdd,
   energyLevels,
+  calibration,
 }: AddTaskModalProps) {
   const [title, setTitle] = useState('');
   const [why, setWhy] = useState('');
   const [energy, setEnergy] = useState<EnergyCategory>('STEADY');
-  const [steps, setSteps] = useState('');
-  const [estimatedMinutes, setEstimatedMinutes] = useState('30');
+  const [steps, setSteps] = useState<TaskStep[]>([]);
+  const [estimatedMinutes, setEstimatedMinutes] = useState(String(DEFAULT_ESTIMATE_MINUTES));
   const [plannedTimeline, setPlannedTimeline] = useState('');
+  const [appliedEstimate, setAppliedEstimate] = useState<string | null>(null);
+  const [recurrence, setRecurrence] = useState<Recurrence | null>(null);
+
+  // Hide the suggestion once it has been applied, until the estimate is edited again
+  const suggestion =
+    calibration && title.trim() && appliedEstimate !== estimatedMinutes
+      ? suggestEstimate(calibration, {
+          title,
+          energy,
+          estimatedMinutes: parseInt(estimatedMinutes) || DEFAULT_ESTIMATE_MINUTES,
+        })
+      : null;
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -48,27 +73,25 @@ export default function AddTaskModal({
       return;
     }
 
-    const stepsArray = steps
-      .split('\n')
-      .map((s) => s.trim())
-      .filter((s) => s.length > 0);
-
     onAdd({
       title: title.trim(),
       why: why.trim(),
       energy,
-      steps: stepsArray,
-      estimatedMinutes: parseInt(estimatedMinutes) || 30,
+      steps,
+      estimatedMinutes: parseInt(estimatedMinutes) || DEFAULT_ESTIMATE_MINUTES,
       plannedTimeline: plannedTimeline.trim(),
+      recurrence,
     });
 
     // Reset form
     setTitle('');
     setWhy('');
     setEnergy('STEADY');
-    setSteps('');
-    setEstimatedMinutes('30');
+    setSteps([]);
+    setEstimatedMinutes(String(DEFAULT_ESTIMATE_MINUTES));
     setPlannedTimeline('');
+    setAppliedEstimate(null);
+    setRecurrence(null);
   };
 
   if (!isOpen) return null;
@@ -144,18 +167,24 @@ export default function AddTaskModal({
             />
           </div>
 
+          {/* Recurrence */}
+          <div>
+            <Label className="text-[#3E3833] font-['Work_Sans'] mb-2 flex items-center gap-2">
+              <Repeat size={16} style={{ color: '#8B7355' }} />
+              Repeat
+            </Label>
+            <RecurrencePicker value={recurrence} onChange={setRecurrence} />
+          </div>
+
           {/* Steps */}
           <div>
-            <Label htmlFor="steps" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
-              Steps (one per line)
+            <Label className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+              Steps
             </Label>
-            <Textarea
-              id="steps"
-              value={steps}
-              onChange={(e) => setSteps(e.target.value)}
-              placeholder="Break down the task into smaller steps..."
-              className="w-full h-32 font-['Work_Sans']"
-            />
+            <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-1">
+              Break down the task into smaller steps
+            </p>
+            <TaskStepsEditor steps={steps} onChange={setSteps} checkable={false} />
           </div>
 
           {/* Estimated Time */}
@@ -171,6 +200,28 @@ export default function AddTaskModal({
               min="1"
               className="w-full font-['Work_Sans']"
             />
+            {suggestion && (
+              <div className="mt-2 p-3 bg-[#F2A65A]/10 rounded-lg flex items-center justify-between gap-3">
+                <p className="text-sm text-[#8B7355] font-['Work_Sans'] flex items-start gap-2">
+                  <Sparkles size={16} className="mt-0.5 shrink-0" style={{ color: '#F2A65A' }} />
+                  <span>
+                    Try {suggestion.minutes} min:{' '}
+                    {describeSuggestion(suggestion, energyLevels[energy]?.label || energy)}
+                  </span>
+                </p>
+                <button
+                  type="button"
+                  onClick={() => {
+                    const minutes = String(suggestion.minutes);
+                    setEstimatedMinutes(minutes);
+                    setAppliedEstimate(minutes);
+                  }}
+                  className="px-3 py-1 text-sm text-[#E07A5F] border border-[#E07A5F]/30 rounded-lg font-['Work_Sans'] hover:bg-[#E07A5F]/10 transition-all whitespace-nowrap"
+                >
+                  Use {suggestion.minutes} min
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Actions */}
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { ChevronDown, Download, Trash2, X, CalendarClock } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { Input } from './ui/input';
+
+interface BacklogBulkActionsProps {
+  count: number;
+  energyLevels: Record<
+    string,
+    {
+      key: string;
+      label: string;
+      color: string;
+      icon: React.ComponentType<{ size?: number; style?: React.CSSProperties }>;
+    }
+  >;
+  onSetEnergy: (energy: string) => void;
+  onSetTimeline: (timeline: string) => void;
+  onExport: () => void;
+  onDelete: () => void;
+  onClearSelection: () => void;
+}
+
+/**
+ * Action bar for the tasks selected in the backlog table
+ */
+export default function BacklogBulkActions({
+  count,
+  energyLevels,
+  onSetEnergy,
+  onSetTimeline,
+  onExport,
+  onDelete,
+  onClearSelection,
+}: BacklogBulkActionsProps) {
+  const [timeline, setTimeline] = useState('');
+
+  const buttonClass =
+    "flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-white text-[#3E3833] font-['Work_Sans'] hover:bg-[#F2A65A]/20 transition-all";
+
+  return (
+    <div className="mb-4 p-3 bg-[#F2A65A]/10 rounded-xl flex flex-wrap items-center gap-2 animate-slide-up">
+      <span className="px-2 text-sm text-[#3E3833] font-['Work_Sans'] font-medium">{count} selected</span>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <button className={buttonClass}>
+            Set energy
+            <ChevronDown size={14} style={{ color: '#8B7355' }} />
+          </button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent className="font-['Work_Sans']">
+          {Object.values(energyLevels).map((level) => {
+            const Icon = level.icon;
+            return (
+              <DropdownMenuItem key={level.key} onSelect={() => onSetEnergy(level.key)} className="text-[#3E3833]">
+                <Icon size={16} style={{ color: level.color }} />
+                {level.label}
+              </DropdownMenuItem>
+            );
+          })}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSetTimeline(timeline.trim());
+          setTimeline('');
+        }}
+        className="flex items-center gap-1"
+      >
+        <Input
+          value={timeline}
+          onChange={(e) => setTimeline(e.target.value)}
+          placeholder="e.g., Next week"
+          className="w-36 h-8 text-sm bg-white font-['Work_Sans']"
+        />
+        <button type="submit" className={buttonClass} title="Set the planned timeline; leave empty to clear it">
+          <CalendarClock size={14} style={{ color: '#8B7355' }} />
+          Set timeline
+        </button>
+      </form>
+
+      <button onClick={onExport} className={buttonClass}>
+        <Download size={14} style={{ color: '#8B7355' }} />
+        Export
+      </button>
+      <button onClick={onDelete} className={`${buttonClass} text-[#E07A5F]`}>
+        <Trash2 size={14} style={{ color: '#E07A5F' }} />
+        Delete
+      </button>
+
+      <button
+        onClick={onClearSelection}
+        className="ml-auto p-1.5 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+        title="Clear selection"
+      >
+        <X size={16} style={{ color: '#E07A5F' }} />
+      </button>
+    </div>
+  );
+}
@@ -1,18 +1,95 @@
+import { useState } from 'react';
+import { ArrowDown, ArrowUp, ArrowUpDown, Copy, Lock, MoreHorizontal, Pause, Pencil, Play, Repeat, Trash2 } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
-import { formatDate, formatTime, formatPlannedTimeline, formatCompletedTime } from '../lib/dateTimeFormat';
+import { Checkbox } from './ui/checkbox';
+import { formatDate, formatTime, formatPlannedTimeline } from '../lib/dateTimeFormat';
 import type { BacklogTask } from '../lib/taskModels';
+import { sortBacklog, toggleVisibleSelection, type BacklogSort, type BacklogSortKey } from '../lib/backlogQuery';
+import { describeRecurrence } from '../lib/recurrence';
+import { describeBlock, isTaskBlocked } from '../lib/taskDependencies';
+import DueStatusBadge from './DueStatusBadge';
 
 interface BacklogTasksTableProps {
   tasks: BacklogTask[];
   energyLevels: Record<string, { key: string; label: string; color: string }>;
   onSelectTask: (task: BacklogTask) => void;
+  onEditTask: (task: BacklogTask) => void;
+  onDuplicateTask: (task: BacklogTask) => void;
+  onDeleteTask: (task: BacklogTask) => void;
+  onEditBlock: (task: BacklogTask) => void;
+  /** Titles of all open tasks, for naming blockers outside the current filter */
+  titlesById: Map<string, string>;
+  /** Energy keys from most to least demanding, for sorting by energy */
+  energyOrder: string[];
+  frictionCounts: Map<string, number>;
+  selectedIds: Set<string>;
+  onSelectionChange: (selectedIds: Set<string>) => void;
+}
+
+interface SortableHeadProps {
+  label: string;
+  sortKey: BacklogSortKey;
+  sort: BacklogSort | null;
+  onSort: (key: BacklogSortKey) => void;
+}
+
+function SortableHead({ label, sortKey, sort, onSort }: SortableHeadProps) {
+  const active = sort?.key === sortKey;
+  const Icon = !active ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <TableHead className="font-['Work_Sans'] text-[#3E3833]">
+      <button
+        onClick={() => onSort(sortKey)}
+        className="inline-flex items-center gap-1 hover:text-[#E07A5F] transition-colors"
+        title={`Sort by ${label.toLowerCase()}`}
+      >
+        {label}
+        <Icon size={14} style={{ color: active ? '#E07A5F' : '#8B7355' }} />
+      </button>
+    </TableHead>
+  );
 }
 
 export default function BacklogTasksTable({
   tasks,
   energyLevels,
   onSelectTask,
+  onEditTask,
+  onDuplicateTask,
+  onDeleteTask,
+  onEditBlock,
+  titlesById,
+  energyOrder,
+  frictionCounts,
+  selectedIds,
+  onSelectionChange,
 }: BacklogTasksTableProps) {
+  const [sort, setSort] = useState<BacklogSort | null>(null);
+
+  // Each click cycles ascending, descending, then back to the backlog's own order
+  const handleSort = (key: BacklogSortKey) => {
+    if (sort?.key !== key) setSort({ key, direction: 'asc' });
+    else if (sort.direction === 'asc') setSort({ key, direction: 'desc' });
+    else setSort(null);
+  };
+
+  const toggleSelected = (id: string) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onSelectionChange(next);
+  };
+
+  const selectedCount = tasks.filter((task) => selectedIds.has(task.id)).length;
+  const allSelected = selectedCount === tasks.length;
+
   if (tasks.length === 0) {
     return (
       <div className="text-center py-12 text-[#8B7355] font-['Work_Sans']">
@@ -26,25 +103,65 @@ export default function BacklogTasksTable({
       <Table>
         <TableHeader>
           <TableRow className="border-[#8B7355]/10">
+            <TableHead className="w-10">
+              <Checkbox
+                checked={allSelected ? true : selectedCount > 0 ? 'indeterminate' : false}
+                onCheckedChange={() =>
+                  onSelectionChange(toggleVisibleSelection(selectedIds, tasks.map((task) => task.id)))
+                }
+                aria-label="Select all tasks"
+              />
+            </TableHead>
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Task</TableHead>
-            <TableHead className="font-['Work_Sans'] text-[#3E3833]">Energy</TableHead>
-            <TableHead className="font-['Work_Sans'] text-[#3E3833]">Creation Date</TableHead>
+            <SortableHead label="Energy" sortKey="energy" sort={sort} onSort={handleSort} />
+            <SortableHead label="Creation Date" sortKey="created" sort={sort} onSort={handleSort} />
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Creation Time</TableHead>
-            <TableHead className="font-['Work_Sans'] text-[#3E3833]">Planned Timeline</TableHead>
-            <TableHead className="font-['Work_Sans'] text-[#3E3833]">Completed Time</TableHead>
+            <SortableHead label="Planned Timeline" sortKey="timeline" sort={sort} onSort={handleSort} />
+            <SortableHead label="Estimate" sortKey="estimate" sort={sort} onSort={handleSort} />
+            <SortableHead label="Skips" sortKey="friction" sort={sort} onSort={handleSort} />
+            <TableHead className="w-10" />
           </TableRow>
         </TableHeader>
         <TableBody>
-          {tasks.map((task) => {
+          {(sort ? sortBacklog(tasks, sort, { energyOrder, frictionCounts }) : tasks).map((task) => {
             const energyLevel = energyLevels[task.energy];
+            // Blocked tasks can't be picked until whatever they wait on is done
+            const blocked = isTaskBlocked(task);
             return (
               <TableRow
                 key={task.id}
-                className="border-[#8B7355]/10 hover:bg-[#F7F3E9] cursor-pointer transition-colors"
-                onClick={() => onSelectTask(task)}
+                className={`border-[#8B7355]/10 transition-colors ${
+                  blocked ? 'bg-[#F7F3E9]/50 cursor-default' : 'hover:bg-[#F7F3E9] cursor-pointer'
+                }`}
+                onClick={blocked ? undefined : () => onSelectTask(task)}
               >
+                <TableCell onClick={(e) => e.stopPropagation()}>
+                  <Checkbox
+                    checked={selectedIds.has(task.id)}
+                    onCheckedChange={() => toggleSelected(task.id)}
+                    aria-label={`Select ${task.title}`}
+                  />
+                </TableCell>
                 <TableCell className="font-['Work_Sans'] text-[#3E3833] font-medium">
                   {task.title}
+                  {blocked && (
+                    <div className="mt-1 flex items-start gap-1 text-xs font-normal text-[#E07A5F]">
+                      <Lock size={12} className="mt-0.5 shrink-0" />
+                      {describeBlock(task, titlesById)}
+                    </div>
+                  )}
+                  {task.parkedAt && (
+                    <div className="flex items-center gap-1 text-xs font-normal text-[#F2A65A]">
+                      <Pause size={12} />
+                      Parked {formatDate(task.parkedAt)} at {formatTime(task.parkedAt)}
+                    </div>
+                  )}
+                  {task.recurrence && (
+                    <div className="flex items-center gap-1 text-xs font-normal text-[#8B7355]">
+                      <Repeat size={12} />
+                      {describeRecurrence(task.recurrence)}
+                    </div>
+                  )}
                 </TableCell>
                 <TableCell>
                   <span
@@ -64,10 +181,55 @@ export default function BacklogTasksTable({
                   {formatTime(task.createdAt)}
                 </TableCell>
                 <TableCell className="font-['Work_Sans'] text-[#8B7355]">
-                  {formatPlannedTimeline(task.plannedTimeline)}
+                  <div className="flex flex-col items-start gap-1">
+                    {formatPlannedTimeline(task.plannedTimeline)}
+                    <DueStatusBadge due={task.plannedDue} />
+                  </div>
+                </TableCell>
+                <TableCell className="font-['Work_Sans'] text-[#8B7355] whitespace-nowrap">
+                  {task.estimatedMinutes} min
                 </TableCell>
                 <TableCell className="font-['Work_Sans'] text-[#8B7355]">
-                  {formatCompletedTime(task.completedAt)}
+                  {frictionCounts.get(task.id) || 0}
+                </TableCell>
+                <TableCell onClick={(e) => e.stopPropagation()}>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <button
+                        className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+                        title="Task actions"
+                      >
+                        <MoreHorizontal size={16} style={{ color: '#8B7355' }} />
+                      </button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end" className="font-['Work_Sans']">
+                      <DropdownMenuItem
+                        onSelect={() => onSelectTask(task)}
+                        disabled={blocked}
+                        className="text-[#3E3833]"
+                      >
+                        <Play size={16} style={{ color: '#8B7355' }} />
+                        Start now
+                      </DropdownMenuItem>
+                      <DropdownMenuItem onSelect={() => onEditTask(task)} className="text-[#3E3833]">
+                        <Pencil size={16} style={{ color: '#8B7355' }} />
+                        Edit details
+                      </DropdownMenuItem>
+                      <DropdownMenuItem onSelect={() => onDuplicateTask(task)} className="text-[#3E3833]">
+                        <Copy size={16} style={{ color: '#8B7355' }} />
+                        Duplicate
+                      </DropdownMenuItem>
+                      <DropdownMenuItem onSelect={() => onEditBlock(task)} className="text-[#3E3833]">
+                        <Lock size={16} style={{ color: '#8B7355' }} />
+                        {blocked ? 'Edit what it waits on' : 'Mark as blocked'}
+                      </DropdownMenuItem>
+                      <DropdownMenuSeparator />
+                      <DropdownMenuItem onSelect={() => onDeleteTask(task)} className="text-[#E07A5F]">
+                        <Trash2 size={16} style={{ color: '#E07A5F' }} />
+                        Delete
+                      </DropdownMenuItem>
+                    </DropdownMenuContent>
+                  </DropdownMenu>
                 </TableCell>
               </TableRow>
             );
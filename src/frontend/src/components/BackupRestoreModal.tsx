@@ -0,0 +1,197 @@
+import { useRef, useState } from 'react';
+import { X, Download, Upload, AlertCircle, DatabaseBackup } from 'lucide-react';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import {
+  describeRestore,
+  parseBackup,
+  restoredData,
+  type BackupData,
+  type RestoreMode,
+} from '../lib/dataBackup';
+
+interface BackupRestoreModalProps {
+  /** Everything stored on this device right now */
+  currentData: BackupData;
+  onExport: () => void;
+  onRestore: (data: BackupData, mode: RestoreMode) => void;
+  onClose: () => void;
+}
+
+const MODE_OPTIONS: { mode: RestoreMode; label: string; description: string }[] = [
+  {
+    mode: 'merge',
+    label: 'Merge',
+    description:
+      'Add what is missing here and keep the newest copy of each record. Settings, stats and streaks stay as they are on this device.',
+  },
+  {
+    mode: 'replace',
+    label: 'Replace',
+    description: 'Swap everything on this device for the backup, including settings, stats and streaks.',
+  },
+];
+
+export default function BackupRestoreModal({ currentData, onExport, onRestore, onClose }: BackupRestoreModalProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [backup, setBackup] = useState<{ data: BackupData; exportedAt: number | null; skipped: number } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [mode, setMode] = useState<RestoreMode>('merge');
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setFileName(file.name);
+    const result = parseBackup(await file.text());
+    if (result.ok) {
+      setBackup({ data: result.data, exportedAt: result.exportedAt, skipped: result.skipped });
+      setError(null);
+    } else {
+      setBackup(null);
+      setError(result.error);
+    }
+  };
+
+  const changes = backup ? describeRestore(currentData, restoredData(currentData, backup.data, mode)) : [];
+  const hasChanges = changes.some((change) => change.added + change.updated + change.removed > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-warm-lg animate-scale-in">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="flex items-center gap-2 text-2xl font-['Crimson_Pro'] text-[#3E3833]">
+            <DatabaseBackup size={22} style={{ color: '#E07A5F' }} />
+            Backup & Restore
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all">
+            <X size={20} style={{ color: '#E07A5F' }} />
+          </button>
+        </div>
+
+        {/* Export */}
+        <div className="mb-8">
+          <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-1">Back up this device</h3>
+          <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-3">
+            Saves your tasks, history, streaks and settings to one file you can restore in any browser.
+          </p>
+          <button
+            onClick={onExport}
+            className="flex items-center gap-2 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] hover:scale-105 transition-all shadow-warm"
+          >
+            <Download size={18} />
+            Download backup
+          </button>
+        </div>
+
+        {/* Restore */}
+        <div>
+          <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-1">Restore from a backup</h3>
+          <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-3">
+            Nothing changes until you review the preview and confirm.
+          </p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              handleFile(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-2 px-4 py-2 bg-white text-[#8B7355] border-2 border-[#8B7355]/20 rounded-lg font-['Work_Sans'] hover:border-[#E07A5F] hover:text-[#E07A5F] transition-all"
+          >
+            <Upload size={18} />
+            {fileName ? 'Choose another file' : 'Choose backup file'}
+          </button>
+
+          {error && (
+            <div className="mt-4 p-4 bg-[#E07A5F]/10 rounded-xl flex items-start gap-2">
+              <AlertCircle size={18} style={{ color: '#E07A5F' }} className="mt-0.5 shrink-0" />
+              <p className="text-sm text-[#3E3833] font-['Work_Sans']">
+                {fileName}: {error}
+              </p>
+            </div>
+          )}
+
+          {backup && (
+            <div className="mt-4 space-y-4">
+              <p className="text-sm text-[#3E3833] font-['Work_Sans']">
+                {fileName}
+                {backup.exportedAt &&
+                  ` · backed up ${formatDate(backup.exportedAt)} at ${formatTime(backup.exportedAt)}`}
+              </p>
+              {backup.skipped > 0 && (
+                <p className="text-sm text-[#E07A5F] font-['Work_Sans']">
+                  {backup.skipped} {backup.skipped === 1 ? "record in this backup can't" : "records in this backup can't"} be
+                  read and will be left out.
+                </p>
+              )}
+
+              <div className="grid grid-cols-2 gap-2">
+                {MODE_OPTIONS.map((option) => (
+                  <button
+                    key={option.mode}
+                    onClick={() => setMode(option.mode)}
+                    className={`p-3 rounded-xl text-left font-['Work_Sans'] transition-all border-2 ${
+                      mode === option.mode
+                        ? 'border-[#E07A5F] bg-[#E07A5F]/5'
+                        : 'border-transparent bg-[#F7F3E9] hover:bg-[#F2A65A]/10'
+                    }`}
+                  >
+                    <div className="text-[#3E3833] font-medium">{option.label}</div>
+                    <div className="text-xs text-[#8B7355] mt-1">{option.description}</div>
+                  </button>
+                ))}
+              </div>
+
+              <div className="rounded-xl border border-[#8B7355]/10 overflow-hidden">
+                <table className="w-full text-sm font-['Work_Sans']">
+                  <thead className="bg-[#F7F3E9] text-[#3E3833]">
+                    <tr>
+                      <th className="text-left font-medium px-4 py-2">What changes</th>
+                      <th className="text-right font-medium px-4 py-2">Added</th>
+                      <th className="text-right font-medium px-4 py-2">Updated</th>
+                      <th className="text-right font-medium px-4 py-2">Removed</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-[#8B7355]">
+                    {changes.map((change) => (
+                      <tr key={change.label} className="border-t border-[#8B7355]/10">
+                        <td className="px-4 py-2 text-[#3E3833]">{change.label}</td>
+                        <td className="px-4 py-2 text-right">{change.added || '—'}</td>
+                        <td className="px-4 py-2 text-right">{change.updated || '—'}</td>
+                        <td className={`px-4 py-2 text-right ${change.removed ? 'text-[#E07A5F]' : ''}`}>
+                          {change.removed || '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {mode === 'replace' && (
+                <div className="p-4 bg-[#F2A65A]/10 rounded-xl flex items-start gap-2">
+                  <AlertCircle size={18} style={{ color: '#F2A65A' }} className="mt-0.5 shrink-0" />
+                  <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                    Anything not in the backup is removed from this device. Download a backup first if you might
+                    want it back.
+                  </p>
+                </div>
+              )}
+
+              <button
+                onClick={() => onRestore(backup.data, mode)}
+                disabled={mode === 'merge' && !hasChanges}
+                className="w-full px-6 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] hover:scale-105 transition-all disabled:opacity-50 disabled:hover:scale-100"
+              >
+                {mode === 'merge' ? (hasChanges ? 'Merge backup' : 'Nothing new to merge') : 'Replace my data'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
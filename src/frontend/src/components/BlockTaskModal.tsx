@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { X, Lock } from 'lucide-react';
+import TaskBlockersFields from './TaskBlockersFields';
+import type { BacklogTask } from '../lib/taskModels';
+
+interface BlockTaskModalProps {
+  task: BacklogTask;
+  /** Open tasks that can block this one without creating a cycle */
+  candidates: { id: string; title: string }[];
+  onSave: (taskId: string, blockedBy: string[], blockedReason: string | null) => void;
+  onClose: () => void;
+}
+
+export default function BlockTaskModal({ task, candidates, onSave, onClose }: BlockTaskModalProps) {
+  const [blockedBy, setBlockedBy] = useState<string[]>(task.blockedBy);
+  const [reason, setReason] = useState(task.blockedReason || '');
+
+  // Blockers that no longer exist are dropped on save
+  const validBlockedBy = blockedBy.filter((id) => candidates.some((candidate) => candidate.id === id));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-lg w-full max-h-[90vh] overflow-y-auto shadow-warm-lg animate-scale-in">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="flex items-center gap-2 text-2xl font-['Crimson_Pro'] text-[#3E3833]">
+            <Lock size={20} style={{ color: '#E07A5F' }} />
+            What is this waiting on?
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+          >
+            <X size={20} style={{ color: '#E07A5F' }} />
+          </button>
+        </div>
+        <p className="text-[#8B7355] mb-6 font-['Work_Sans']">{task.title}</p>
+
+        <div className="space-y-6">
+          <TaskBlockersFields
+            candidates={candidates}
+            blockedBy={blockedBy}
+            onBlockedByChange={setBlockedBy}
+            reason={reason}
+            onReasonChange={setReason}
+          />
+
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => onSave(task.id, validBlockedBy, reason.trim() || null)}
+              className="flex-1 px-6 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] hover:scale-105 transition-all"
+            >
+              Save
+            </button>
+            {(task.blockedBy.length > 0 || task.blockedReason) && (
+              <button
+                onClick={() => onSave(task.id, [], null)}
+                className="px-6 py-3 text-[#8B7355] border border-[#8B7355]/20 rounded-xl font-['Work_Sans'] hover:bg-[#F7F3E9] transition-all"
+              >
+                Unblock
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
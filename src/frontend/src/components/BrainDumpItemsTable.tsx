@@ -1,7 +1,11 @@
+import { useState } from 'react';
+import { ArrowUpDown } from 'lucide-react';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
-import { formatDate, formatTime, formatPlannedTimeline } from '../lib/dateTimeFormat';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
 import { Input } from './ui/input';
 import type { BrainDumpItem } from '../lib/taskModels';
+import { compareByDue } from '../lib/timelineParser';
+import DueStatusBadge from './DueStatusBadge';
 
 interface BrainDumpItemsTableProps {
   items: BrainDumpItem[];
@@ -14,6 +18,8 @@ export default function BrainDumpItemsTable({
   energyLevels,
   onUpdatePlannedTimeline,
 }: BrainDumpItemsTableProps) {
+  const [sortByDue, setSortByDue] = useState(false);
+
   if (items.length === 0) {
     return (
       <div className="text-center py-12 text-[#8B7355] font-['Work_Sans']">
@@ -31,12 +37,21 @@ export default function BrainDumpItemsTable({
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Energy</TableHead>
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Creation Date</TableHead>
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Creation Time</TableHead>
-            <TableHead className="font-['Work_Sans'] text-[#3E3833]">Planned Timeline</TableHead>
+            <TableHead className="font-['Work_Sans'] text-[#3E3833]">
+              <button
+                onClick={() => setSortByDue(!sortByDue)}
+                className="inline-flex items-center gap-1 hover:text-[#E07A5F] transition-colors"
+                title={sortByDue ? 'Back to the original order' : 'Sort by due date'}
+              >
+                Planned Timeline
+                <ArrowUpDown size={14} style={{ color: sortByDue ? '#E07A5F' : '#8B7355' }} />
+              </button>
+            </TableHead>
             <TableHead className="font-['Work_Sans'] text-[#3E3833]">Completed Time</TableHead>
           </TableRow>
         </TableHeader>
         <TableBody>
-          {items.map((item) => {
+          {(sortByDue ? [...items].sort(compareByDue) : items).map((item) => {
             const energyLevel = energyLevels[item.selectedCategory];
             return (
               <TableRow key={item.id} className="border-[#8B7355]/10">
@@ -63,14 +78,17 @@ export default function BrainDumpItemsTable({
                   {formatTime(item.createdAt)}
                 </TableCell>
                 <TableCell>
-                  <Input
-                    type="text"
-                    value={item.plannedTimeline || ''}
-                    onChange={(e) => onUpdatePlannedTimeline(item.id, e.target.value)}
-                    placeholder="e.g., Next week"
-                    className="w-32 h-8 text-sm font-['Work_Sans']"
-                    onClick={(e) => e.stopPropagation()}
-                  />
+                  <div className="flex flex-col items-start gap-1">
+                    <Input
+                      type="text"
+                      value={item.plannedTimeline || ''}
+                      onChange={(e) => onUpdatePlannedTimeline(item.id, e.target.value)}
+                      placeholder="e.g., Next week"
+                      className="w-32 h-8 text-sm font-['Work_Sans']"
+                      onClick={(e) => e.stopPropagation()}
+                    />
+                    <DueStatusBadge due={item.plannedDue} />
+                  </div>
                 </TableCell>
                 <TableCell className="font-['Work_Sans'] text-[#8B7355]">
                   —
@@ -1,11 +1,21 @@
 import { useState, useEffect } from 'react';
-import { Trash2, Plus, ChevronDown, Check, Mic, MicOff, ListTodo, X, Info, Table as TableIcon } from 'lucide-react';
+import { Trash2, Plus, ChevronDown, Check, Mic, MicOff, ListTodo, X, Info, Table as TableIcon, FileInput } from 'lucide-react';
 import { classifyTaskEnergy, type EnergyCategory } from '../lib/taskEnergyClassifier';
 import { extractTasksFromBrainDump } from '../lib/brainDumpTaskExtractor';
 import { useSpeechToText } from '../hooks/useSpeechToText';
 import FocusHomeButton from './FocusHomeButton';
 import BrainDumpItemsTable from './BrainDumpItemsTable';
-import type { BrainDumpItem } from '../lib/taskModels';
+import ImportTasksDialog from './ImportTasksDialog';
+import { touchRecord, withPlannedTimeline, type BrainDumpItem } from '../lib/taskModels';
+import {
+  DEFAULT_ESTIMATE_MINUTES,
+  describeSuggestion,
+  suggestEstimate,
+  type EstimateCalibration,
+} from '../lib/estimateCalibration';
+import { parsePlannedTimeline } from '../lib/timelineParser';
+import { createStep } from '../lib/taskSteps';
+import type { ImportedTask } from '../lib/taskImport';
 
 interface BrainDumpViewProps {
   energyLevels: Record<string, { key: string; label: string; color: string }>;
@@ -17,6 +27,7 @@ interface BrainDumpViewProps {
   onDraftChange?: (draft: string) => void;
   onItemsChange?: (items: BrainDumpItem[]) => void;
   onClear?: () => void;
+  calibration?: EstimateCalibration;
 }
 
 export default function BrainDumpView({
@@ -29,12 +40,14 @@ export default function BrainDumpView({
   onDraftChange,
   onItemsChange,
   onClear,
+  calibration,
 }: BrainDumpViewProps) {
   const [draftText, setDraftText] = useState(initialDraft);
   const [items, setItems] = useState<BrainDumpItem[]>(initialItems);
   const [selectedItems, setSelectedItems] = useState<Set<string>>(new Set());
   const [expandedCategory, setExpandedCategory] = useState<string | null>(null);
   const [showTableView, setShowTableView] = useState(false);
+  const [showImport, setShowImport] = useState(false);
 
   const {
     isListening,
@@ -71,33 +84,65 @@ export default function BrainDumpView({
     }
   }, [transcript, resetTranscript]);
 
+  const suggestionFor = (text: string, category: string) =>
+    calibration ? suggestEstimate(calibration, { title: text, energy: category }) : null;
+
+  const calibratedEstimate = (text: string, category: string) =>
+    suggestionFor(text, category)?.minutes || DEFAULT_ESTIMATE_MINUTES;
+
+  const estimateHint = (item: BrainDumpItem) => {
+    if (item.estimateOverridden) return null;
+    const suggestion = suggestionFor(item.text, item.selectedCategory);
+    const label = energyLevels[item.selectedCategory]?.label || item.selectedCategory;
+    return suggestion ? `calibrated, ${describeSuggestion(suggestion, label)}` : null;
+  };
+
+  // Create a BrainDumpItem with unique ID and timestamp, letting the classifier suggest its energy
+  const createItem = (text: string, imported?: ImportedTask): BrainDumpItem => {
+    const classification = classifyTaskEnergy(text);
+    // Handle error case - default to STEADY if classification fails
+    const category = 'error' in classification ? 'STEADY' : classification.category;
+    const now = Date.now();
+
+    return {
+      id: `item-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      text,
+      suggestedCategory: category,
+      selectedCategory: category,
+      categoryOverridden: false,
+      estimatedMinutes: imported?.estimatedMinutes || calibratedEstimate(text, category),
+      estimateOverridden: !!imported?.estimatedMinutes,
+      createdAt: now,
+      plannedTimeline: imported?.plannedTimeline || '',
+      plannedDue: imported?.plannedTimeline ? parsePlannedTimeline(imported.plannedTimeline, now) : null,
+      why: imported?.why || '',
+      note: imported?.note || '',
+      steps: (imported?.steps || []).map((step) => ({
+        ...createStep(step.text, now),
+        doneAt: step.done ? now : null,
+      })),
+      updatedAt: now,
+      revision: 1,
+    };
+  };
+
   const handleConvertToTasks = () => {
     if (!draftText.trim()) return;
 
     // Extract tasks using the enhanced local smart parser
     const extractedTexts = extractTasksFromBrainDump(draftText);
 
-    // Create BrainDumpItem for each extracted task with unique ID and timestamp
-    const newItems = extractedTexts.map((text) => {
-      const classification = classifyTaskEnergy(text);
-      // Handle error case - default to STEADY if classification fails
-      const category = 'error' in classification ? 'STEADY' : classification.category;
-      
-      return {
-        id: `item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        text,
-        suggestedCategory: category,
-        selectedCategory: category,
-        categoryOverridden: false,
-        createdAt: Date.now(),
-        plannedTimeline: '',
-      };
-    });
-
-    setItems(newItems);
+    // Keep items already waiting for review, such as tasks imported from a file
+    setItems((prev) => [...prev, ...extractedTexts.map((text) => createItem(text))]);
     setDraftText('');
   };
 
+  const handleImportTasks = (tasks: ImportedTask[]) => {
+    // Imported tasks join whatever is already waiting for review
+    setItems((prev) => [...prev, ...tasks.map((task) => createItem(task.title, task))]);
+    setShowImport(false);
+  };
+
   const handleUpdateItemText = (id: string, newText: string) => {
     setItems((prev) =>
       prev.map((item) => {
@@ -108,23 +153,29 @@ export default function BrainDumpView({
           const classification = classifyTaskEnergy(newText);
           const category = 'error' in classification ? 'STEADY' : classification.category;
           
-          return {
+          return touchRecord({
             ...item,
             text: newText,
             suggestedCategory: category,
             selectedCategory: category,
-          };
+            estimatedMinutes: item.estimateOverridden
+              ? item.estimatedMinutes
+              : calibratedEstimate(newText, category),
+          });
         }
 
         // User has overridden category, just update text and suggestion (but keep selected)
         const classification = classifyTaskEnergy(newText);
         const category = 'error' in classification ? item.suggestedCategory : classification.category;
         
-        return {
+        return touchRecord({
           ...item,
           text: newText,
           suggestedCategory: category,
-        };
+          estimatedMinutes: item.estimateOverridden
+            ? item.estimatedMinutes
+            : calibratedEstimate(newText, item.selectedCategory),
+        });
       })
     );
   };
@@ -133,7 +184,24 @@ export default function BrainDumpView({
     setItems((prev) =>
       prev.map((item) =>
         item.id === id
-          ? { ...item, selectedCategory: category, categoryOverridden: true }
+          ? touchRecord({
+              ...item,
+              selectedCategory: category,
+              categoryOverridden: true,
+              estimatedMinutes: item.estimateOverridden
+                ? item.estimatedMinutes
+                : calibratedEstimate(item.text, category),
+            })
+          : item
+      )
+    );
+  };
+
+  const handleUpdateItemEstimate = (id: string, minutes: number) => {
+    setItems((prev) =>
+      prev.map((item) =>
+        item.id === id
+          ? touchRecord({ ...item, estimatedMinutes: minutes, estimateOverridden: true })
           : item
       )
     );
@@ -142,7 +210,7 @@ export default function BrainDumpView({
   const handleUpdatePlannedTimeline = (id: string, timeline: string) => {
     setItems((prev) =>
       prev.map((item) =>
-        item.id === id ? { ...item, plannedTimeline: timeline } : item
+        item.id === id ? touchRecord(withPlannedTimeline(item, timeline)) : item
       )
     );
   };
@@ -238,6 +306,13 @@ export default function BrainDumpView({
               Dump your thoughts
             </h2>
             <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowImport(true)}
+                className="p-2 rounded-lg transition-all hover:bg-[#E07A5F]/10 text-[#E07A5F]"
+                title="Import tasks from a file"
+              >
+                <FileInput size={20} />
+              </button>
               {isSupported && (
                 <button
                   onClick={handleToggleSpeech}
@@ -432,6 +507,28 @@ export default function BrainDumpView({
                                     </button>
                                   ))}
                                 </div>
+
+                                <div className="mt-2 flex items-center gap-2 text-xs text-[#8B7355] font-['Work_Sans']">
+                                  <input
+                                    type="number"
+                                    min="1"
+                                    value={item.estimatedMinutes}
+                                    onChange={(e) =>
+                                      handleUpdateItemEstimate(
+                                        item.id,
+                                        parseInt(e.target.value) || DEFAULT_ESTIMATE_MINUTES
+                                      )
+                                    }
+                                    className="w-16 px-2 py-1 border border-[#8B7355]/20 rounded focus:border-[#E07A5F] focus:outline-none text-[#3E3833]"
+                                  />
+                                  <span>min</span>
+                                  {estimateHint(item) && <span>· {estimateHint(item)}</span>}
+                                  {item.steps.length > 0 && (
+                                    <span>
+                                      · {item.steps.length} {item.steps.length === 1 ? 'step' : 'steps'}
+                                    </span>
+                                  )}
+                                </div>
                               </div>
 
                               <button
@@ -452,6 +549,8 @@ export default function BrainDumpView({
           </div>
         )}
       </main>
+
+      {showImport && <ImportTasksDialog onImport={handleImportTasks} onClose={() => setShowImport(false)} />}
     </div>
   );
 }
@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react';
+import { Coffee } from 'lucide-react';
+import { playIntervalSignal } from '../lib/timebox';
+
+interface BreakScreenProps {
+  breakEndsAt: number;
+  isLongBreak: boolean;
+  completedCycles: number;
+  taskTitle: string;
+  onFinishBreak: () => void;
+}
+
+function formatCountdown(seconds: number): string {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Full-screen break between pomodoro intervals. It covers the task controls on
+ * purpose so the break isn't spent switching to something else.
+ */
+export default function BreakScreen({
+  breakEndsAt,
+  isLongBreak,
+  completedCycles,
+  taskTitle,
+  onFinishBreak,
+}: BreakScreenProps) {
+  const [now, setNow] = useState(() => Date.now());
+  const signaledRef = useRef(false);
+
+  const secondsLeft = Math.max(0, Math.ceil((breakEndsAt - now) / 1000));
+  const isOver = secondsLeft === 0;
+
+  useEffect(() => {
+    const tick = () => setNow(Date.now());
+    const interval = setInterval(tick, 1000);
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (isOver && !signaledRef.current) {
+      signaledRef.current = true;
+      playIntervalSignal();
+    }
+  }, [isOver]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      <div className="max-w-md w-full text-center animate-scale-in">
+        <Coffee size={48} className="mx-auto mb-6" style={{ color: '#F2A65A' }} />
+        <h2 className="text-4xl font-['Crimson_Pro'] text-[#3E3833] mb-2">
+          {isOver ? 'Break is over' : isLongBreak ? 'Long break' : 'Take a break'}
+        </h2>
+        <p className="text-[#8B7355] font-['Work_Sans'] mb-8">
+          {completedCycles} {completedCycles === 1 ? 'interval' : 'intervals'} done. Step away from
+          the screen; <span className="text-[#3E3833]">{taskTitle}</span> will be right here.
+        </p>
+        <div
+          className={`text-7xl font-['Crimson_Pro'] text-[#3E3833] mb-8 ${isOver ? 'animate-pulse' : ''}`}
+        >
+          {formatCountdown(secondsLeft)}
+        </div>
+        {isOver ? (
+          <button
+            onClick={onFinishBreak}
+            className="px-8 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] shadow-warm hover:shadow-warm-lg transition-all hover:scale-105"
+          >
+            Start next interval
+          </button>
+        ) : (
+          <button
+            onClick={onFinishBreak}
+            className="text-sm text-[#8B7355] hover:text-[#E07A5F] font-['Work_Sans'] transition-all"
+          >
+            End break early
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import { X, Search, RotateCcw, CheckCircle2, Clock, ListChecks } from 'lucide-react';
+import FocusHomeButton from './FocusHomeButton';
+import { Input } from './ui/input';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import type { CompletedTask } from '../lib/taskModels';
+import { countDoneSteps } from '../lib/taskSteps';
+import { matchesTaskQuery } from '../lib/backlogQuery';
+import WorkSessionsList from './WorkSessionsList';
+import TaskExportMenu from './TaskExportMenu';
+import type { TaskExportFormat } from '../lib/taskExport';
+
+interface CompletedTasksHistoryViewProps {
+  tasks: CompletedTask[];
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  onReopenTask: (task: CompletedTask) => void;
+  /** Export the tasks left after search and filters */
+  onExport?: (format: TaskExportFormat, tasks: CompletedTask[]) => void;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+export default function CompletedTasksHistoryView({
+  tasks,
+  energyLevels,
+  onReopenTask,
+  onExport,
+  onClose,
+  onFocusHome,
+}: CompletedTasksHistoryViewProps) {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [energyFilter, setEnergyFilter] = useState('ALL');
+
+  const normalizedQuery = searchQuery.trim().toLowerCase();
+
+  // Most recently completed first
+  const filteredTasks = tasks
+    .filter((task) => energyFilter === 'ALL' || task.energy === energyFilter)
+    .filter((task) => matchesTaskQuery(task, normalizedQuery))
+    .sort((a, b) => b.completedAt - a.completedAt);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Completed Tasks</h1>
+          <div className="flex items-center gap-2">
+            {onExport && (
+              <TaskExportMenu count={filteredTasks.length} onExport={(format) => onExport(format, filteredTasks)} />
+            )}
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        {/* Search and Filter */}
+        <div className="space-y-4">
+          <div className="relative">
+            <Search
+              size={18}
+              className="absolute left-3 top-1/2 -translate-y-1/2 text-[#8B7355]"
+            />
+            <Input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search titles, notes, steps..."
+              className="pl-10 bg-white font-['Work_Sans']"
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setEnergyFilter('ALL')}
+              className={`px-4 py-2 rounded-lg font-['Work_Sans'] transition-all ${
+                energyFilter === 'ALL'
+                  ? 'bg-[#E07A5F] text-white'
+                  : 'bg-white text-[#8B7355] hover:bg-[#F7F3E9]'
+              }`}
+            >
+              All ({tasks.length})
+            </button>
+            {Object.values(energyLevels).map((level) => {
+              const count = tasks.filter((t) => t.energy === level.key).length;
+              return (
+                <button
+                  key={level.key}
+                  onClick={() => setEnergyFilter(level.key)}
+                  className={`px-4 py-2 rounded-lg font-['Work_Sans'] transition-all ${
+                    energyFilter === level.key ? 'text-white' : 'bg-white hover:bg-[#F7F3E9]'
+                  }`}
+                  style={{
+                    backgroundColor: energyFilter === level.key ? level.color : undefined,
+                    color: energyFilter === level.key ? 'white' : level.color,
+                  }}
+                >
+                  {level.label} ({count})
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Completed Task List */}
+        {filteredTasks.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-warm text-center py-12 text-[#8B7355] font-['Work_Sans']">
+            {tasks.length === 0 ? 'No completed tasks yet' : 'No completed tasks match your search'}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {filteredTasks.map((task) => {
+              const energyLevel = energyLevels[task.energy];
+              const totalSteps = task.steps.length;
+              const doneSteps = countDoneSteps(task.steps);
+              return (
+                <div key={task.id} className="bg-white rounded-2xl p-6 shadow-warm">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 mb-2">
+                        <CheckCircle2 size={18} className="text-[#F2A65A] shrink-0" />
+                        <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] break-words">
+                          {task.title}
+                        </h2>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-3 text-sm text-[#8B7355] font-['Work_Sans']">
+                        <span
+                          className="inline-flex items-center px-2 py-1 rounded-full text-xs"
+                          style={{
+                            backgroundColor: `${energyLevel?.color}20`,
+                            color: energyLevel?.color || '#8B7355',
+                          }}
+                        >
+                          {energyLevel?.label || task.energy}
+                        </span>
+                        <span>
+                          {formatDate(task.completedAt)} · {formatTime(task.completedAt)}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <Clock size={14} />
+                          {task.actualMinutes} min of {task.estimatedMinutes} min
+                        </span>
+                        {totalSteps > 0 && (
+                          <span className="flex items-center gap-1">
+                            <ListChecks size={14} />
+                            {doneSteps}/{totalSteps} steps
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => onReopenTask(task)}
+                      className="flex items-center gap-2 px-3 py-2 text-sm text-[#E07A5F] border border-[#E07A5F]/30 rounded-lg font-['Work_Sans'] hover:bg-[#E07A5F]/10 transition-all"
+                      title="Reopen into backlog"
+                    >
+                      <RotateCcw size={16} />
+                      Reopen
+                    </button>
+                  </div>
+
+                  {task.why && (
+                    <p className="mt-4 text-sm text-[#3E3833] font-['Work_Sans']">
+                      <span className="text-[#8B7355]">Why: </span>
+                      {task.why}
+                    </p>
+                  )}
+
+                  {totalSteps > 0 && (
+                    <ul className="mt-4 space-y-1">
+                      {task.steps.map((step) => (
+                        <li
+                          key={step.id}
+                          className={`text-sm font-['Work_Sans'] ${
+                            step.doneAt !== null ? 'text-[#8B7355] line-through' : 'text-[#3E3833]'
+                          }`}
+                        >
+                          {step.text}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {task.workSessions.length > 0 && (
+                    <details className="mt-4">
+                      <summary className="text-sm text-[#8B7355] font-['Work_Sans'] cursor-pointer">
+                        Work sessions
+                      </summary>
+                      <div className="mt-2">
+                        <WorkSessionsList sessions={task.workSessions} energyLevels={energyLevels} />
+                      </div>
+                    </details>
+                  )}
+
+                  {task.note && (
+                    <p className="mt-4 p-3 bg-[#F7F3E9] rounded-lg text-sm text-[#8B7355] font-['Work_Sans'] whitespace-pre-wrap">
+                      {task.note}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
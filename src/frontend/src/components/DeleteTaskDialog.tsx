@@ -0,0 +1,50 @@
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from './ui/alert-dialog';
+
+interface DeleteTaskDialogProps {
+  /** Tasks pending deletion; the dialog is closed when empty */
+  tasks: { title: string }[];
+  /** Number of other tasks waiting on these, which will be released */
+  dependentCount: number;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+export default function DeleteTaskDialog({ tasks, dependentCount, onConfirm, onCancel }: DeleteTaskDialogProps) {
+  return (
+    <AlertDialog open={tasks.length > 0} onOpenChange={(open) => !open && onCancel()}>
+      <AlertDialogContent className="bg-[#FDF8ED]">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="font-['Crimson_Pro'] text-2xl text-[#3E3833]">
+            {tasks.length === 1 ? 'Delete this task?' : `Delete ${tasks.length} tasks?`}
+          </AlertDialogTitle>
+          <AlertDialogDescription className="font-['Work_Sans'] text-[#8B7355]">
+            {tasks.length === 1 ? `"${tasks[0].title}" and its` : 'These tasks and their'} notes, steps and work
+            sessions will be removed. This can't be undone.
+            {dependentCount > 0 &&
+              ` ${dependentCount === 1 ? '1 task is' : `${dependentCount} tasks are`} waiting on ${
+                tasks.length === 1 ? 'it' : 'them'
+              } and will no longer be blocked.`}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel className="font-['Work_Sans']">Keep it</AlertDialogCancel>
+          <AlertDialogAction
+            onClick={onConfirm}
+            className="bg-[#E07A5F] hover:bg-[#E07A5F]/90 text-white font-['Work_Sans']"
+          >
+            Delete
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
@@ -0,0 +1,31 @@
+import { formatDueWindow } from '../lib/dateTimeFormat';
+import { DUE_STATUS_LABELS, dueStatus, type DueStatus, type DueWindow } from '../lib/timelineParser';
+
+const STATUS_COLORS: Record<DueStatus, string> = {
+  overdue: '#E07A5F',
+  today: '#F2A65A',
+  upcoming: '#8B7355',
+};
+
+interface DueStatusBadgeProps {
+  due: DueWindow | null | undefined;
+}
+
+/**
+ * Pill showing whether a parsed timeline is overdue, due today or upcoming, with its dates
+ */
+export default function DueStatusBadge({ due }: DueStatusBadgeProps) {
+  const status = dueStatus(due);
+  if (!status) return null;
+  const color = STATUS_COLORS[status];
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-['Work_Sans'] whitespace-nowrap"
+      style={{ backgroundColor: `${color}20`, color }}
+    >
+      {DUE_STATUS_LABELS[status]}
+      <span className="opacity-75">· {formatDueWindow(due)}</span>
+    </span>
+  );
+}
@@ -0,0 +1,59 @@
+interface EnergyLevelCardsProps {
+  energyLevels: Record<
+    string,
+    {
+      key: string;
+      label: string;
+      description: string;
+      color: string;
+      icon: React.ComponentType<{ size?: number; style?: React.CSSProperties; className?: string }>;
+    }
+  >;
+  onSelect: (energy: string) => void;
+  /** Smaller cards for use inside prompts */
+  compact?: boolean;
+  currentEnergy?: string | null;
+}
+
+/**
+ * The energy level cards shown on the "How's your energy?" screen and in re-check prompts
+ */
+export default function EnergyLevelCards({
+  energyLevels,
+  onSelect,
+  compact = false,
+  currentEnergy = null,
+}: EnergyLevelCardsProps) {
+  return (
+    <div className={`grid grid-cols-1 md:grid-cols-2 ${compact ? 'gap-3' : 'gap-6'}`}>
+      {Object.values(energyLevels).map((level, index) => {
+        const Icon = level.icon;
+        return (
+          <button
+            key={level.key}
+            onClick={() => onSelect(level.key)}
+            className={`${
+              compact ? 'p-4' : 'p-8'
+            } bg-white rounded-2xl shadow-warm hover:shadow-warm-lg transition-all duration-300 hover:scale-105 text-left animate-stagger ${
+              level.key === currentEnergy ? 'ring-2 ring-[#F2A65A]/50' : ''
+            }`}
+            style={{
+              animationDelay: `${index * 0.1}s`,
+            }}
+          >
+            <Icon size={compact ? 24 : 40} style={{ color: level.color }} className={compact ? 'mb-2' : 'mb-4'} />
+            <h3
+              className={`${compact ? 'text-xl' : 'text-2xl'} font-['Crimson_Pro'] mb-2`}
+              style={{ color: level.color }}
+            >
+              {level.label}
+            </h3>
+            <p className={`text-[#8B7355] font-['Work_Sans'] ${compact ? 'text-sm' : ''}`}>
+              {level.description}
+            </p>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { ChevronDown, BarChart3, BellRing } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+
+interface EnergyMenuProps {
+  currentEnergy: string;
+  energyLevels: Record<
+    string,
+    {
+      key: string;
+      label: string;
+      color: string;
+      icon: React.ComponentType<{ size?: number; style?: React.CSSProperties }>;
+    }
+  >;
+  onSelect: (energy: string) => void;
+  onOpenPatterns: () => void;
+  onOpenReminders: () => void;
+}
+
+/**
+ * Header control showing the current energy level, with a quick way to update it
+ */
+export default function EnergyMenu({
+  currentEnergy,
+  energyLevels,
+  onSelect,
+  onOpenPatterns,
+  onOpenReminders,
+}: EnergyMenuProps) {
+  const current = energyLevels[currentEnergy];
+  const CurrentIcon = current?.icon;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          className="flex items-center gap-2 px-3 py-1.5 rounded-full hover:scale-105 transition-all"
+          style={{ backgroundColor: `${current?.color}15` }}
+          title="Update your energy"
+        >
+          {CurrentIcon && <CurrentIcon size={16} style={{ color: current.color }} />}
+          <span className="text-sm font-['Work_Sans'] text-[#3E3833]">
+            {current?.label || currentEnergy}
+          </span>
+          <ChevronDown size={14} style={{ color: current?.color }} />
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="font-['Work_Sans']">
+        <DropdownMenuLabel className="text-[#8B7355]">How's your energy now?</DropdownMenuLabel>
+        {Object.values(energyLevels).map((level) => {
+          const Icon = level.icon;
+          return (
+            <DropdownMenuItem
+              key={level.key}
+              onSelect={() => onSelect(level.key)}
+              className="text-[#3E3833]"
+            >
+              <Icon size={16} style={{ color: level.color }} />
+              {level.label}
+              {level.key === currentEnergy && (
+                <span className="ml-auto text-xs text-[#8B7355]">current</span>
+              )}
+            </DropdownMenuItem>
+          );
+        })}
+        <DropdownMenuSeparator />
+        <DropdownMenuItem onSelect={onOpenPatterns} className="text-[#3E3833]">
+          <BarChart3 size={16} style={{ color: '#8B7355' }} />
+          Energy patterns
+        </DropdownMenuItem>
+        <DropdownMenuItem onSelect={onOpenReminders} className="text-[#3E3833]">
+          <BellRing size={16} style={{ color: '#8B7355' }} />
+          Check-in reminders
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,124 @@
+import { X, Sun } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+import FocusHomeButton from './FocusHomeButton';
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from './ui/chart';
+import {
+  energyByDayPart,
+  energyByWeekday,
+  peakSlot,
+  type EnergyCheckIn,
+} from '../lib/energyCheckins';
+
+interface EnergyPatternsViewProps {
+  checkIns: EnergyCheckIn[];
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+export default function EnergyPatternsView({
+  checkIns,
+  energyLevels,
+  onClose,
+  onFocusHome,
+}: EnergyPatternsViewProps) {
+  const energyKeys = Object.keys(energyLevels);
+  const chartConfig = Object.fromEntries(
+    energyKeys.map((key) => [key, { label: energyLevels[key].label, color: energyLevels[key].color }])
+  ) satisfies ChartConfig;
+
+  const byDayPart = energyByDayPart(checkIns, energyKeys);
+  const byWeekday = energyByWeekday(checkIns, energyKeys);
+  const insights = energyKeys
+    .map((key) => ({ key, slot: peakSlot(checkIns, key) }))
+    .filter((insight) => insight.slot);
+
+  const charts = [
+    { title: 'By time of day', data: byDayPart },
+    { title: 'By day of the week', data: byWeekday },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Energy Patterns</h1>
+          <div className="flex items-center gap-2">
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {checkIns.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-warm text-center py-12 text-[#8B7355] font-['Work_Sans']">
+            Update your energy through the day to see your patterns here
+          </div>
+        ) : (
+          <>
+            {/* Insights */}
+            <div className="p-4 bg-[#F2A65A]/10 rounded-xl space-y-2">
+              <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                Based on {checkIns.length} energy {checkIns.length === 1 ? 'check-in' : 'check-ins'}
+              </p>
+              {insights.length === 0 ? (
+                <p className="text-sm text-[#3E3833] font-['Work_Sans']">
+                  Keep checking in. Patterns show up after a few days.
+                </p>
+              ) : (
+                insights.map(({ key, slot }) => (
+                  <p key={key} className="flex items-start gap-2 text-sm text-[#3E3833] font-['Work_Sans']">
+                    <Sun size={16} className="mt-0.5 shrink-0" style={{ color: energyLevels[key].color }} />
+                    <span>
+                      You most often feel <strong>{energyLevels[key].label}</strong> on{' '}
+                      {slot!.weekday} {slot!.dayPart.toLowerCase()}s ({slot!.count} times)
+                    </span>
+                  </p>
+                ))
+              )}
+            </div>
+
+            {charts.map((chart) => (
+              <div key={chart.title} className="bg-white rounded-2xl p-6 shadow-warm">
+                <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">{chart.title}</h2>
+                <ChartContainer config={chartConfig} className="h-64 w-full aspect-auto">
+                  <BarChart data={chart.data}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                    <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={24} />
+                    <ChartTooltip content={<ChartTooltipContent />} />
+                    <ChartLegend content={<ChartLegendContent />} />
+                    {energyKeys.map((key, index) => (
+                      <Bar
+                        key={key}
+                        dataKey={key}
+                        stackId="energy"
+                        fill={`var(--color-${key})`}
+                        radius={index === energyKeys.length - 1 ? [4, 4, 0, 0] : 0}
+                      />
+                    ))}
+                  </BarChart>
+                </ChartContainer>
+              </div>
+            ))}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
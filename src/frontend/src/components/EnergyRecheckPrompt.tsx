@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { X, Settings, ArrowLeftRight } from 'lucide-react';
+import EnergyLevelCards from './EnergyLevelCards';
+import { Input } from './ui/input';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import {
+  RECHECK_PROMPTS,
+  normalizeEnergyRecheckSettings,
+  type EnergyRecheckSettings,
+  type EnergyRecheckTrigger,
+} from '../lib/energyRecheck';
+import type { BacklogTask } from '../lib/taskModels';
+
+interface EnergyRecheckPromptProps {
+  trigger: EnergyRecheckTrigger;
+  energyLevels: React.ComponentProps<typeof EnergyLevelCards>['energyLevels'];
+  currentEnergy: string | null;
+  currentTask: BacklogTask | null;
+  /** Backlog tasks that suit the current energy, best first */
+  swapCandidates: BacklogTask[];
+  settings: EnergyRecheckSettings;
+  onSettingsChange: (settings: EnergyRecheckSettings) => void;
+  onSelectEnergy: (energy: string) => void;
+  onSwapTask: (task: BacklogTask) => void;
+  onClose: () => void;
+}
+
+const TOGGLES: { key: 'afterCompletion' | 'afterFocus' | 'afterTiredSkip' | 'firstOpenOfDay'; label: string }[] = [
+  { key: 'afterCompletion', label: 'After completing a task' },
+  { key: 'afterFocus', label: 'After a long focus stretch' },
+  { key: 'afterTiredSkip', label: 'After skipping a task for low energy' },
+  { key: 'firstOpenOfDay', label: 'First time I open the app each day' },
+];
+
+export default function EnergyRecheckPrompt({
+  trigger,
+  energyLevels,
+  currentEnergy,
+  currentTask,
+  swapCandidates,
+  settings,
+  onSettingsChange,
+  onSelectEnergy,
+  onSwapTask,
+  onClose,
+}: EnergyRecheckPromptProps) {
+  const [step, setStep] = useState<'pick' | 'swap'>('pick');
+  const [showSettings, setShowSettings] = useState(trigger === 'manual');
+
+  const handleSelect = (energy: string) => {
+    onSelectEnergy(energy);
+    if (currentTask && currentTask.energy !== energy) {
+      setStep('swap');
+    } else {
+      onClose();
+    }
+  };
+
+  const taskLevel = currentTask ? energyLevels[currentTask.energy] : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-[#FDF8ED] rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-warm-lg animate-scale-in">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">
+            {step === 'pick' ? RECHECK_PROMPTS[trigger] : 'Swap to a better match?'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+          >
+            <X size={20} style={{ color: '#E07A5F' }} />
+          </button>
+        </div>
+
+        {step === 'pick' ? (
+          <>
+            <EnergyLevelCards
+              energyLevels={energyLevels}
+              onSelect={handleSelect}
+              currentEnergy={currentEnergy}
+              compact
+            />
+
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className="mt-6 flex items-center gap-2 text-sm text-[#8B7355] hover:text-[#E07A5F] font-['Work_Sans'] transition-all"
+            >
+              <Settings size={14} />
+              When should we ask?
+            </button>
+            {showSettings && (
+              <div className="mt-3 p-4 bg-white rounded-xl space-y-3">
+                {TOGGLES.map((toggle) => (
+                  <div key={toggle.key} className="flex items-center justify-between gap-4">
+                    <Label
+                      htmlFor={`recheck-${toggle.key}`}
+                      className="text-sm text-[#3E3833] font-['Work_Sans']"
+                    >
+                      {toggle.label}
+                    </Label>
+                    <Switch
+                      id={`recheck-${toggle.key}`}
+                      checked={settings[toggle.key]}
+                      onCheckedChange={(checked) =>
+                        onSettingsChange({ ...settings, [toggle.key]: checked })
+                      }
+                    />
+                  </div>
+                ))}
+                {settings.afterFocus && (
+                  <div className="flex items-center justify-between gap-4">
+                    <Label
+                      htmlFor="recheck-focusMinutes"
+                      className="text-sm text-[#8B7355] font-['Work_Sans']"
+                    >
+                      Focus stretch (minutes)
+                    </Label>
+                    <Input
+                      id="recheck-focusMinutes"
+                      type="number"
+                      min="1"
+                      value={settings.focusMinutes}
+                      onChange={(e) =>
+                        onSettingsChange(
+                          normalizeEnergyRecheckSettings({ ...settings, focusMinutes: e.target.value })
+                        )
+                      }
+                      className="w-20 h-8 font-['Work_Sans']"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-[#8B7355] font-['Work_Sans']">
+              <span className="text-[#3E3833]">{currentTask?.title}</span> is a{' '}
+              {taskLevel?.label || currentTask?.energy} task, which may not fit how you feel now.
+            </p>
+            {swapCandidates.length === 0 ? (
+              <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                Nothing in your backlog fits better right now.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {swapCandidates.map((task) => (
+                  <button
+                    key={task.id}
+                    onClick={() => onSwapTask(task)}
+                    className="w-full p-4 text-left bg-white hover:bg-[#E07A5F]/10 rounded-xl transition-all font-['Work_Sans'] text-[#3E3833] flex items-center justify-between gap-4"
+                  >
+                    <span>
+                      {task.title}
+                      <span className="block text-xs text-[#8B7355]">
+                        {energyLevels[task.energy]?.label || task.energy} · {task.estimatedMinutes} min
+                      </span>
+                    </span>
+                    <ArrowLeftRight size={16} style={{ color: '#E07A5F' }} />
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={onClose}
+              className="w-full px-6 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] hover:scale-105 transition-all"
+            >
+              Keep going with this task
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
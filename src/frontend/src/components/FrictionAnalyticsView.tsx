@@ -0,0 +1,233 @@
+import { useState } from 'react';
+import { X, AlertCircle } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+import FocusHomeButton from './FocusHomeButton';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from './ui/chart';
+import {
+  countFrictionBy,
+  findChronicSkippers,
+  frictionInRange,
+  type FrictionEvent,
+} from '../lib/frictionStats';
+
+interface FrictionAnalyticsViewProps {
+  events: FrictionEvent[];
+  reasons: string[];
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+// null means all time
+const RANGE_OPTIONS: (number | null)[] = [7, 30, 90, null];
+
+const RECENT_LIMIT = 20;
+
+const reasonChartConfig = {
+  count: { label: 'Skips', color: '#E07A5F' },
+} satisfies ChartConfig;
+
+const energyChartConfig = {
+  taskEnergy: { label: 'Task energy', color: '#F2A65A' },
+  currentEnergy: { label: 'Your energy', color: '#8B7355' },
+} satisfies ChartConfig;
+
+function formatElapsed(seconds: number): string {
+  const mins = Math.floor(seconds / 60);
+  return mins > 0 ? `${mins} min in` : `${seconds}s in`;
+}
+
+export default function FrictionAnalyticsView({
+  events,
+  reasons,
+  energyLevels,
+  onClose,
+  onFocusHome,
+}: FrictionAnalyticsViewProps) {
+  const [rangeDays, setRangeDays] = useState<number | null>(30);
+
+  const rangeEvents = rangeDays === null ? events : frictionInRange(events, rangeDays);
+  const energyKeys = Object.keys(energyLevels);
+
+  const byReason = countFrictionBy(rangeEvents, reasons, (e) => e.reason)
+    .filter((entry) => entry.count > 0)
+    .sort((a, b) => b.count - a.count);
+  const byTaskEnergy = countFrictionBy(rangeEvents, energyKeys, (e) => e.taskEnergy);
+  const byCurrentEnergy = countFrictionBy(rangeEvents, energyKeys, (e) => e.currentEnergy);
+  const byEnergy = energyKeys.map((key, index) => ({
+    label: energyLevels[key].label,
+    taskEnergy: byTaskEnergy[index].count,
+    currentEnergy: byCurrentEnergy[index].count,
+  }));
+  const chronicSkippers = findChronicSkippers(rangeEvents);
+  const recentEvents = [...rangeEvents]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, RECENT_LIMIT);
+
+  const averageElapsed = rangeEvents.length
+    ? Math.round(rangeEvents.reduce((sum, e) => sum + e.elapsedSeconds, 0) / rangeEvents.length)
+    : 0;
+
+  const summaryCards = [
+    { label: 'Skips', value: rangeEvents.length, className: 'bg-[#E07A5F]/10' },
+    {
+      label: 'Top Reason',
+      value: byReason[0]?.key || '—',
+      className: 'bg-[#F2A65A]/10',
+    },
+    { label: 'Avg. Time Before Skip', value: formatElapsed(averageElapsed), className: 'bg-[#F7F3E9]' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Friction Patterns</h1>
+          <div className="flex items-center gap-2">
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {/* Range selector */}
+        <div className="flex items-center gap-2">
+          {RANGE_OPTIONS.map((days) => (
+            <button
+              key={days ?? 'all'}
+              onClick={() => setRangeDays(days)}
+              className={`px-4 py-2 rounded-lg font-['Work_Sans'] transition-all ${
+                rangeDays === days
+                  ? 'bg-[#E07A5F] text-white'
+                  : 'bg-white text-[#8B7355] hover:bg-[#F7F3E9]'
+              }`}
+            >
+              {days === null ? 'All time' : `${days} days`}
+            </button>
+          ))}
+        </div>
+
+        {rangeEvents.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-warm text-center py-12 text-[#8B7355] font-['Work_Sans']">
+            No skipped tasks in this range
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {summaryCards.map((card) => (
+                <div key={card.label} className={`p-4 rounded-xl ${card.className}`}>
+                  <div className="text-sm text-[#8B7355] font-['Work_Sans']">{card.label}</div>
+                  <div className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">{card.value}</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Dominant reasons */}
+            <div className="bg-white rounded-2xl p-6 shadow-warm">
+              <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">Why tasks get skipped</h2>
+              <ChartContainer config={reasonChartConfig} className="h-64 w-full aspect-auto">
+                <BarChart data={byReason} layout="vertical" margin={{ left: 16 }}>
+                  <CartesianGrid horizontal={false} />
+                  <XAxis type="number" allowDecimals={false} tickLine={false} axisLine={false} />
+                  <YAxis
+                    type="category"
+                    dataKey="key"
+                    tickLine={false}
+                    axisLine={false}
+                    width={180}
+                  />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Bar dataKey="count" fill="var(--color-count)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            </div>
+
+            {/* Friction by energy */}
+            <div className="bg-white rounded-2xl p-6 shadow-warm">
+              <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-1">
+                Friction by energy level
+              </h2>
+              <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-4">
+                The energy the task needed, next to the energy you had when you skipped it
+              </p>
+              <ChartContainer config={energyChartConfig} className="h-56 w-full aspect-auto">
+                <BarChart data={byEnergy}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                  <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={24} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Bar dataKey="taskEnergy" fill="var(--color-taskEnergy)" radius={4} />
+                  <Bar dataKey="currentEnergy" fill="var(--color-currentEnergy)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            </div>
+
+            {/* Chronic skippers */}
+            <div className="bg-white rounded-2xl p-6 shadow-warm">
+              <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+                Tasks you keep skipping
+              </h2>
+              {chronicSkippers.length === 0 ? (
+                <p className="text-center py-4 text-[#8B7355] font-['Work_Sans']">
+                  No task has been skipped more than once
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {chronicSkippers.map((skipper) => (
+                    <div
+                      key={skipper.taskId}
+                      className="p-3 bg-[#F7F3E9] rounded-lg flex items-start justify-between gap-4"
+                    >
+                      <div>
+                        <div className="text-[#3E3833] font-['Work_Sans'] font-medium">
+                          {skipper.title}
+                        </div>
+                        <div className="text-xs text-[#8B7355] font-['Work_Sans']">
+                          Mostly: {skipper.topReason} · last skipped{' '}
+                          {new Date(skipper.lastSkippedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <span className="px-2 py-1 bg-[#E07A5F]/10 text-[#E07A5F] rounded-full text-xs font-['Work_Sans'] whitespace-nowrap">
+                        {skipper.skips} skips
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Recent history */}
+            <div className="bg-white rounded-2xl p-6 shadow-warm">
+              <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">Recent skips</h2>
+              <div className="space-y-2">
+                {recentEvents.map((event) => (
+                  <div key={event.id} className="flex items-start gap-3 text-sm font-['Work_Sans']">
+                    <AlertCircle size={16} className="mt-0.5 shrink-0" style={{ color: '#F2A65A' }} />
+                    <div>
+                      <div className="text-[#3E3833]">{event.title}</div>
+                      <div className="text-xs text-[#8B7355]">
+                        {event.reason} · {formatElapsed(event.elapsedSeconds)} ·{' '}
+                        {energyLevels[event.taskEnergy]?.label || event.taskEnergy} task
+                        {event.currentEnergy &&
+                          `, you were ${energyLevels[event.currentEnergy]?.label || event.currentEnergy}`}{' '}
+                        · {new Date(event.timestamp).toLocaleString()}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
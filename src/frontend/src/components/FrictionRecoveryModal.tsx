@@ -0,0 +1,284 @@
+import { useState } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+import { Label } from './ui/label';
+import { Checkbox } from './ui/checkbox';
+import { addFirstStep, recoveryFlowFor, splitTask } from '../lib/frictionRecovery';
+import type { BacklogTask } from '../lib/taskModels';
+
+export interface FrictionRecoveryResult {
+  task: BacklogTask;
+  /** Steps split off into a new backlog task */
+  remainder?: BacklogTask;
+  /** A distracting thought to park in the brain dump */
+  parkedThought?: string;
+  /** Put the task back instead of starting it */
+  backToBacklog?: boolean;
+}
+
+interface FrictionRecoveryModalProps {
+  task: BacklogTask;
+  friction: NonNullable<BacklogTask['lastFriction']>;
+  currentEnergy: string | null;
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  onFinish: (result: FrictionRecoveryResult) => void;
+}
+
+const FLOW_PROMPTS = {
+  firstStep: "What's the tiniest thing you could do first? Something that takes two minutes.",
+  energy: 'This task felt like too much last time. Does it still fit your energy?',
+  prerequisites: 'Last time something was missing. Check you have everything before starting.',
+  why: 'Why does this matter to you? Rewriting it in your own words can bring the spark back.',
+  distraction: 'Something pulled you away last time. Park anything on your mind so it can wait.',
+  scope: 'This took longer than expected. Give it a fresh estimate or split off the rest.',
+};
+
+export default function FrictionRecoveryModal({
+  task,
+  friction,
+  currentEnergy,
+  energyLevels,
+  onFinish,
+}: FrictionRecoveryModalProps) {
+  const flow = recoveryFlowFor(friction.reason);
+  const prerequisites = friction.prerequisites || [];
+
+  const [firstStep, setFirstStep] = useState('');
+  const [checkedPrerequisites, setCheckedPrerequisites] = useState<number[]>([]);
+  const [why, setWhy] = useState(task.why);
+  const [parkedThought, setParkedThought] = useState('');
+  const [estimatedMinutes, setEstimatedMinutes] = useState(String(task.estimatedMinutes));
+  const [splitAfter, setSplitAfter] = useState(0); // 0 keeps the task whole
+
+  if (!flow) return null;
+
+  const taskEnergy = energyLevels[task.energy];
+  const userEnergy = currentEnergy ? energyLevels[currentEnergy] : null;
+  const allPrerequisitesChecked = checkedPrerequisites.length === prerequisites.length;
+
+  const togglePrerequisite = (index: number) => {
+    setCheckedPrerequisites((prev) =>
+      prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]
+    );
+  };
+
+  const handleStart = () => {
+    switch (flow) {
+      case 'firstStep':
+        onFinish({ task: firstStep.trim() ? addFirstStep(task, firstStep.trim()) : task });
+        return;
+      case 'why':
+        onFinish({ task: { ...task, why: why.trim() } });
+        return;
+      case 'distraction':
+        onFinish({ task, parkedThought: parkedThought.trim() || undefined });
+        return;
+      case 'scope': {
+        if (splitAfter > 0) {
+          onFinish(splitTask(task, splitAfter));
+          return;
+        }
+        onFinish({
+          task: { ...task, estimatedMinutes: parseInt(estimatedMinutes) || task.estimatedMinutes },
+        });
+        return;
+      }
+      default:
+        onFinish({ task });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-md w-full max-h-[90vh] overflow-y-auto shadow-warm-lg animate-scale-in">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-2xl font-['Crimson_Pro'] text-[#3E3833] flex items-center gap-2">
+            <RotateCcw size={20} style={{ color: '#E07A5F' }} />
+            Back to {task.title}
+          </h2>
+          <button
+            onClick={() => onFinish({ task })}
+            className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+          >
+            <X size={20} style={{ color: '#E07A5F' }} />
+          </button>
+        </div>
+        <p className="text-xs text-[#8B7355] font-['Work_Sans'] mb-4">
+          Skipped {new Date(friction.timestamp).toLocaleDateString()}: {friction.reason}
+        </p>
+        <p className="text-[#8B7355] mb-6 font-['Work_Sans']">{FLOW_PROMPTS[flow]}</p>
+
+        <div className="space-y-4">
+          {flow === 'firstStep' && (
+            <div>
+              <Label htmlFor="firstStep" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                Tiny first step
+              </Label>
+              <Input
+                id="firstStep"
+                value={firstStep}
+                onChange={(e) => setFirstStep(e.target.value)}
+                placeholder="e.g., Open the document and write the title"
+                className="w-full font-['Work_Sans']"
+                autoFocus
+              />
+            </div>
+          )}
+
+          {flow === 'energy' && (
+            <div className="p-4 bg-[#F7F3E9] rounded-xl space-y-1 font-['Work_Sans'] text-sm text-[#3E3833]">
+              <div>
+                Task needs: <strong>{taskEnergy?.label || task.energy}</strong>
+              </div>
+              {userEnergy && (
+                <div>
+                  You have: <strong>{userEnergy.label}</strong>
+                </div>
+              )}
+            </div>
+          )}
+
+          {flow === 'prerequisites' &&
+            (prerequisites.length === 0 ? (
+              <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                No checklist was saved. Take a moment to gather what you need.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {prerequisites.map((item, index) => (
+                  <label
+                    key={index}
+                    className="flex items-center gap-3 p-3 bg-[#F7F3E9] rounded-lg cursor-pointer font-['Work_Sans'] text-[#3E3833]"
+                  >
+                    <Checkbox
+                      checked={checkedPrerequisites.includes(index)}
+                      onCheckedChange={() => togglePrerequisite(index)}
+                    />
+                    {item}
+                  </label>
+                ))}
+              </div>
+            ))}
+
+          {flow === 'why' && (
+            <div>
+              <Label htmlFor="recoveryWhy" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                Why does this matter?
+              </Label>
+              <Textarea
+                id="recoveryWhy"
+                value={why}
+                onChange={(e) => setWhy(e.target.value)}
+                className="w-full h-24 font-['Work_Sans']"
+                autoFocus
+              />
+            </div>
+          )}
+
+          {flow === 'distraction' && (
+            <div>
+              <Label htmlFor="parkedThought" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                Park it in your brain dump
+              </Label>
+              <Textarea
+                id="parkedThought"
+                value={parkedThought}
+                onChange={(e) => setParkedThought(e.target.value)}
+                placeholder="Anything nagging at you..."
+                className="w-full h-24 font-['Work_Sans']"
+                autoFocus
+              />
+            </div>
+          )}
+
+          {flow === 'scope' && (
+            <>
+              <div>
+                <Label htmlFor="reestimate" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                  New estimate (minutes)
+                </Label>
+                <Input
+                  id="reestimate"
+                  type="number"
+                  min="1"
+                  value={estimatedMinutes}
+                  onChange={(e) => setEstimatedMinutes(e.target.value)}
+                  disabled={splitAfter > 0}
+                  className="w-full font-['Work_Sans']"
+                />
+              </div>
+              {task.steps.length > 1 && (
+                <div>
+                  <Label className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                    Or do only part of it now
+                  </Label>
+                  <div className="space-y-1">
+                    {[0, ...task.steps.slice(0, -1).map((_, index) => index + 1)].map((count) => (
+                      <button
+                        key={count}
+                        type="button"
+                        onClick={() => setSplitAfter(count)}
+                        className={`w-full p-2 text-left rounded-lg text-sm font-['Work_Sans'] transition-all ${
+                          splitAfter === count
+                            ? 'bg-[#E07A5F] text-white'
+                            : 'bg-[#F7F3E9] text-[#3E3833] hover:bg-[#E07A5F]/10'
+                        }`}
+                      >
+                        {count === 0
+                          ? 'Keep the whole task'
+                          : `Stop after "${task.steps[count - 1].text}"`}
+                      </button>
+                    ))}
+                  </div>
+                  {splitAfter > 0 && (
+                    <p className="mt-2 text-xs text-[#8B7355] font-['Work_Sans']">
+                      The other {task.steps.length - splitAfter} steps go back to your backlog as a
+                      new task.
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center gap-4 pt-6">
+          <Button
+            onClick={handleStart}
+            disabled={flow === 'prerequisites' && !allPrerequisitesChecked}
+            className="flex-1 bg-[#E07A5F] hover:bg-[#E07A5F]/90 text-white font-['Work_Sans']"
+          >
+            {flow === 'prerequisites' ? "I've got everything" : "Let's go"}
+          </Button>
+          {flow === 'energy' || flow === 'prerequisites' ? (
+            <Button
+              onClick={() => onFinish({ task, backToBacklog: true })}
+              variant="outline"
+              className="px-6 font-['Work_Sans']"
+            >
+              Not now
+            </Button>
+          ) : (
+            <Button
+              onClick={() => onFinish({ task })}
+              variant="outline"
+              className="px-6 font-['Work_Sans']"
+            >
+              Skip
+            </Button>
+          )}
+        </div>
+        {flow === 'energy' && userEnergy && currentEnergy !== task.energy && (
+          <button
+            onClick={() => onFinish({ task: { ...task, energy: currentEnergy! } })}
+            className="mt-3 w-full text-sm text-[#8B7355] hover:text-[#E07A5F] font-['Work_Sans'] transition-all"
+          >
+            It actually fits {userEnergy.label}: relabel and start
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
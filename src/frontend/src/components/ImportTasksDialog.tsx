@@ -0,0 +1,208 @@
+import { useRef, useState } from 'react';
+import { X, Upload, FileInput, AlertCircle } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import {
+  CSV_FIELDS,
+  IMPORT_SOURCE_LABELS,
+  detectImportSource,
+  guessCsvMapping,
+  jsonImportItems,
+  parseCsv,
+  tasksFromCsv,
+  tasksFromJsonList,
+  tasksFromMarkdown,
+  tasksFromThingsJson,
+  tasksFromTodoistCsv,
+  type CsvColumnMapping,
+  type ImportSource,
+  type ImportedTask,
+} from '../lib/taskImport';
+
+interface ImportTasksDialogProps {
+  onImport: (tasks: ImportedTask[]) => void;
+  onClose: () => void;
+}
+
+interface LoadedFile {
+  name: string;
+  source: ImportSource;
+  text: string;
+  /** Parsed rows, only for CSV files */
+  rows: string[][];
+}
+
+const UNMAPPED = 'none';
+
+function importedTasks(file: LoadedFile, mapping: CsvColumnMapping): ImportedTask[] {
+  switch (file.source) {
+    case 'markdown':
+      return tasksFromMarkdown(file.text);
+    case 'csv':
+      return tasksFromCsv(file.rows, mapping);
+    case 'todoist-csv':
+      return tasksFromTodoistCsv(file.rows);
+    case 'things-json':
+      return tasksFromThingsJson(jsonImportItems(file.text));
+    case 'json':
+      return tasksFromJsonList(jsonImportItems(file.text));
+  }
+}
+
+/**
+ * Pick a file of tasks to send to the Brain Dump review list
+ */
+export default function ImportTasksDialog({ onImport, onClose }: ImportTasksDialogProps) {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [file, setFile] = useState<LoadedFile | null>(null);
+  const [mapping, setMapping] = useState<CsvColumnMapping>({});
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFile = async (selected: File | undefined) => {
+    if (!selected) return;
+    let text: string;
+    try {
+      text = await selected.text();
+    } catch (readError) {
+      console.error('Error reading import file:', readError);
+      setFile(null);
+      setError(`${selected.name} couldn't be read. Try choosing it again.`);
+      return;
+    }
+    const source = detectImportSource(selected.name, text);
+    if (!source) {
+      setFile(null);
+      setError(`${selected.name} isn't a Markdown checklist, CSV or task list we can read.`);
+      return;
+    }
+    const rows = source === 'csv' || source === 'todoist-csv' ? parseCsv(text) : [];
+    setFile({ name: selected.name, source, text, rows });
+    setMapping(source === 'csv' ? guessCsvMapping(rows[0] || []) : {});
+    setError(null);
+  };
+
+  const tasks = file ? importedTasks(file, mapping) : [];
+  const headers = file?.source === 'csv' ? file.rows[0] || [] : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-warm-lg animate-scale-in">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="flex items-center gap-2 text-2xl font-['Crimson_Pro'] text-[#3E3833]">
+            <FileInput size={22} style={{ color: '#E07A5F' }} />
+            Import Tasks
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all">
+            <X size={20} style={{ color: '#E07A5F' }} />
+          </button>
+        </div>
+        <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-6">
+          Markdown checklists, CSV files, and Todoist or Things exports. Imported tasks land in the review list
+          below, where you can check their energy before adding them to the backlog.
+        </p>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".md,.markdown,.txt,.csv,.json,text/markdown,text/csv,application/json"
+          className="hidden"
+          onChange={(e) => {
+            handleFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-2 px-4 py-2 bg-white text-[#8B7355] border-2 border-[#8B7355]/20 rounded-lg font-['Work_Sans'] hover:border-[#E07A5F] hover:text-[#E07A5F] transition-all"
+        >
+          <Upload size={18} />
+          {file ? 'Choose another file' : 'Choose file'}
+        </button>
+
+        {error && (
+          <div className="mt-4 p-4 bg-[#E07A5F]/10 rounded-xl flex items-start gap-2">
+            <AlertCircle size={18} style={{ color: '#E07A5F' }} className="mt-0.5 shrink-0" />
+            <p className="text-sm text-[#3E3833] font-['Work_Sans']">{error}</p>
+          </div>
+        )}
+
+        {file && (
+          <div className="mt-6 space-y-6">
+            <p className="text-sm text-[#3E3833] font-['Work_Sans']">
+              {file.name} · {IMPORT_SOURCE_LABELS[file.source]}
+            </p>
+
+            {file.source === 'csv' && (
+              <div>
+                <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-3">Match the columns</h3>
+                <div className="grid grid-cols-2 gap-4">
+                  {CSV_FIELDS.map(({ field, label }) => (
+                    <div key={field}>
+                      <Label className="text-[#3E3833] font-['Work_Sans'] mb-1 block">
+                        {label}
+                        {field === 'title' && ' *'}
+                      </Label>
+                      <Select
+                        value={mapping[field] === undefined ? UNMAPPED : String(mapping[field])}
+                        onValueChange={(value) =>
+                          setMapping((prev) => ({ ...prev, [field]: value === UNMAPPED ? undefined : Number(value) }))
+                        }
+                      >
+                        <SelectTrigger className="w-full font-['Work_Sans']">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="font-['Work_Sans']">
+                          <SelectItem value={UNMAPPED}>Don't import</SelectItem>
+                          {headers.map((header, index) => (
+                            <SelectItem key={index} value={String(index)}>
+                              {header || `Column ${index + 1}`}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-2">
+                {tasks.length} {tasks.length === 1 ? 'task' : 'tasks'} found
+              </h3>
+              {tasks.length === 0 ? (
+                <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                  {file.source === 'csv' && mapping.title === undefined
+                    ? 'Pick the column that holds task titles.'
+                    : 'There are no open tasks in this file.'}
+                </p>
+              ) : (
+                <ul className="max-h-56 overflow-y-auto divide-y divide-[#8B7355]/10 border border-[#8B7355]/10 rounded-xl">
+                  {tasks.map((task, index) => (
+                    <li key={index} className="px-4 py-2 text-sm font-['Work_Sans']">
+                      <span className="text-[#3E3833]">{task.title}</span>
+                      {(task.steps.length > 0 || task.plannedTimeline) && (
+                        <span className="text-[#8B7355]">
+                          {task.steps.length > 0 && ` · ${task.steps.length} ${task.steps.length === 1 ? 'step' : 'steps'}`}
+                          {task.plannedTimeline && ` · ${task.plannedTimeline}`}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <button
+              onClick={() => onImport(tasks)}
+              disabled={tasks.length === 0}
+              className="w-full px-6 py-3 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] hover:scale-105 transition-all disabled:opacity-50 disabled:hover:scale-100"
+            >
+              Review {tasks.length} {tasks.length === 1 ? 'task' : 'tasks'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { Play, Clock, Sparkles } from 'lucide-react';
+import type { TaskRecommendation } from '../lib/taskRecommender';
+import type { BacklogTask } from '../lib/taskModels';
+
+interface NextTaskRecommendationsProps {
+  recommendations: TaskRecommendation[];
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  availableMinutes: number | null;
+  onAvailableMinutesChange: (minutes: number | null) => void;
+  onStart: (task: BacklogTask) => void;
+}
+
+const TIME_OPTIONS: { minutes: number | null; label: string }[] = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 30, label: '30 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: null, label: 'No limit' },
+];
+
+export default function NextTaskRecommendations({
+  recommendations,
+  energyLevels,
+  availableMinutes,
+  onAvailableMinutesChange,
+  onStart,
+}: NextTaskRecommendationsProps) {
+  return (
+    <div className="max-w-xl mx-auto mb-8 text-left">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="flex items-center gap-2 text-xl font-['Crimson_Pro'] text-[#3E3833]">
+          <Sparkles size={18} style={{ color: '#F2A65A' }} />
+          Suggested for you
+        </h3>
+        <div className="flex items-center gap-1 text-xs font-['Work_Sans']">
+          <span className="text-[#8B7355] mr-1">Time I have:</span>
+          {TIME_OPTIONS.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => onAvailableMinutesChange(option.minutes)}
+              className={`px-2 py-1 rounded-lg transition-all ${
+                availableMinutes === option.minutes
+                  ? 'bg-[#F2A65A] text-white'
+                  : 'bg-white text-[#8B7355] hover:bg-[#F2A65A]/20'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {recommendations.map(({ task, reasons }, index) => {
+          const energyLevel = energyLevels[task.energy];
+          return (
+            <div
+              key={task.id}
+              className="p-4 bg-white rounded-xl shadow-warm flex items-start justify-between gap-4 animate-stagger"
+              style={{ animationDelay: `${index * 0.1}s` }}
+            >
+              <div className="min-w-0">
+                <div className="font-['Work_Sans'] text-[#3E3833] font-medium break-words">
+                  {task.title}
+                </div>
+                <div className="mt-1 flex flex-wrap items-center gap-2 text-xs font-['Work_Sans'] text-[#8B7355]">
+                  <span
+                    className="px-2 py-0.5 rounded-full"
+                    style={{
+                      backgroundColor: `${energyLevel?.color}20`,
+                      color: energyLevel?.color || '#8B7355',
+                    }}
+                  >
+                    {energyLevel?.label || task.energy}
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <Clock size={12} />
+                    {task.estimatedMinutes} min
+                  </span>
+                </div>
+                <ul className="mt-2 space-y-0.5">
+                  {reasons.map((reason) => (
+                    <li key={reason} className="text-sm text-[#8B7355] font-['Work_Sans']">
+                      · {reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                onClick={() => onStart(task)}
+                className="shrink-0 flex items-center gap-1 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] text-sm hover:scale-105 transition-all"
+              >
+                <Play size={14} />
+                Start
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
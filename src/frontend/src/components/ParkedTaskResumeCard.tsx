@@ -0,0 +1,46 @@
+import { Pause, Play } from 'lucide-react';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import { totalSessionSeconds } from '../lib/workSessions';
+import type { BacklogTask } from '../lib/taskModels';
+
+interface ParkedTaskResumeCardProps {
+  task: BacklogTask;
+  onResume: (task: BacklogTask) => void;
+  onDismiss: () => void;
+}
+
+/**
+ * Offer to pick a parked task back up where it was left
+ */
+export default function ParkedTaskResumeCard({ task, onResume, onDismiss }: ParkedTaskResumeCardProps) {
+  const workedMinutes = Math.round(totalSessionSeconds(task.workSessions) / 60);
+
+  return (
+    <div className="max-w-xl mx-auto mb-8 p-6 bg-white rounded-2xl shadow-warm text-left animate-slide-up">
+      <p className="flex items-center gap-2 text-sm text-[#8B7355] font-['Work_Sans'] mb-2">
+        <Pause size={16} style={{ color: '#F2A65A' }} />
+        Parked {formatDate(task.parkedAt)} at {formatTime(task.parkedAt)}
+        {workedMinutes > 0 && ` after ${workedMinutes} min of work`}
+      </p>
+      <h3 className="text-2xl font-['Crimson_Pro'] text-[#3E3833] mb-4">{task.title}</h3>
+      {task.note && (
+        <p className="text-sm text-[#8B7355] font-['Work_Sans'] whitespace-pre-wrap mb-4 line-clamp-3">{task.note}</p>
+      )}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => onResume(task)}
+          className="flex items-center gap-2 px-6 py-2 bg-[#E07A5F] text-white rounded-xl font-['Work_Sans'] shadow-warm hover:scale-105 transition-all"
+        >
+          <Play size={16} />
+          Resume
+        </button>
+        <button
+          onClick={onDismiss}
+          className="px-6 py-2 text-[#8B7355] border border-[#8B7355]/20 rounded-xl font-['Work_Sans'] hover:bg-[#F7F3E9] transition-all"
+        >
+          Not now
+        </button>
+      </div>
+    </div>
+  );
+}
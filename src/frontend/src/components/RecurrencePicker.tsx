@@ -0,0 +1,91 @@
+import { Input } from './ui/input';
+import {
+  RECURRENCE_OPTIONS,
+  WEEKDAY_SHORT_LABELS,
+  createRecurrence,
+  type Recurrence,
+  type RecurrenceKind,
+} from '../lib/recurrence';
+
+interface RecurrencePickerProps {
+  value: Recurrence | null;
+  onChange: (recurrence: Recurrence | null) => void;
+}
+
+/**
+ * Repeat options for a task; changing the rule keeps the series and its history
+ */
+export default function RecurrencePicker({ value, onChange }: RecurrencePickerProps) {
+  const selectKind = (kind: RecurrenceKind | null) => {
+    if (!kind) onChange(null);
+    else onChange(value ? { ...value, kind } : createRecurrence(kind, { intervalDays: 7 }));
+  };
+
+  const toggleWeekday = (day: number) => {
+    if (!value) return;
+    const { weekdays } = value;
+    if (weekdays.includes(day) && weekdays.length === 1) return;
+    onChange({
+      ...value,
+      weekdays: weekdays.includes(day)
+        ? weekdays.filter((d) => d !== day)
+        : [...weekdays, day].sort((a, b) => a - b),
+    });
+  };
+
+  const options: { kind: RecurrenceKind | null; label: string }[] = [
+    { kind: null, label: 'Never' },
+    ...RECURRENCE_OPTIONS,
+  ];
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {options.map((option) => (
+          <button
+            key={option.label}
+            type="button"
+            onClick={() => selectKind(option.kind)}
+            className={`px-3 py-1.5 text-sm rounded-lg font-['Work_Sans'] transition-all ${
+              (value?.kind ?? null) === option.kind
+                ? 'bg-[#F2A65A] text-white'
+                : 'bg-[#F7F3E9] text-[#8B7355] hover:bg-[#F2A65A]/20'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {value?.kind === 'weekly' && (
+        <div className="mt-3 flex flex-wrap gap-1">
+          {WEEKDAY_SHORT_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`w-11 py-1 text-xs rounded-lg font-['Work_Sans'] transition-all ${
+                value.weekdays.includes(day)
+                  ? 'bg-[#E07A5F] text-white'
+                  : 'bg-[#F7F3E9] text-[#8B7355] hover:bg-[#E07A5F]/20'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {value?.kind === 'afterCompletion' && (
+        <div className="mt-3 flex items-center gap-2 text-sm text-[#8B7355] font-['Work_Sans']">
+          <Input
+            type="number"
+            min="1"
+            value={value.intervalDays}
+            onChange={(e) => onChange({ ...value, intervalDays: Math.max(1, parseInt(e.target.value) || 1) })}
+            className="w-20 h-8 font-['Work_Sans']"
+          />
+          days after each completion
+        </div>
+      )}
+    </div>
+  );
+}
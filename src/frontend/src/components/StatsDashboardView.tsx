@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import { X, TrendingUp, TrendingDown, Minus, AlertCircle } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, Cell, XAxis, YAxis } from 'recharts';
+import FocusHomeButton from './FocusHomeButton';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from './ui/chart';
+import {
+  completionsPerDay,
+  completionsPerWeek,
+  eventsInRange,
+  longestStreak,
+  rangeTrend,
+  summarizeByEnergy,
+  type CompletionEvent,
+} from '../lib/completionStats';
+import { buildCalibration, formatRatio } from '../lib/estimateCalibration';
+
+interface StatsDashboardViewProps {
+  events: CompletionEvent[];
+  stats: { completed: number; streak: number; totalTime: number };
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+  onOpenFriction?: () => void;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+const completionsChartConfig = {
+  completions: { label: 'Completed', color: '#E07A5F' },
+} satisfies ChartConfig;
+
+const minutesChartConfig = {
+  minutes: { label: 'Minutes focused', color: '#F2A65A' },
+} satisfies ChartConfig;
+
+const pomodoroChartConfig = {
+  pomodoros: { label: 'Pomodoros', color: '#E07A5F' },
+} satisfies ChartConfig;
+
+const estimateChartConfig = {
+  averageEstimated: { label: 'Avg. estimate (min)', color: '#C89F7E' },
+  averageActual: { label: 'Avg. actual (min)', color: '#E07A5F' },
+} satisfies ChartConfig;
+
+function TrendBadge({ current, previous }: { current: number; previous: number }) {
+  if (current === previous) {
+    return (
+      <span className="flex items-center gap-1 text-xs text-[#8B7355]">
+        <Minus size={14} /> same as before
+      </span>
+    );
+  }
+  const isUp = current > previous;
+  const percent = previous === 0 ? null : Math.round((Math.abs(current - previous) / previous) * 100);
+  const Icon = isUp ? TrendingUp : TrendingDown;
+  return (
+    <span
+      className="flex items-center gap-1 text-xs"
+      style={{ color: isUp ? '#E07A5F' : '#8B7355' }}
+    >
+      <Icon size={14} />
+      {percent === null ? 'new' : `${isUp ? '+' : '-'}${percent}%`} vs previous
+    </span>
+  );
+}
+
+export default function StatsDashboardView({
+  events,
+  stats,
+  energyLevels,
+  onOpenFriction,
+  onClose,
+  onFocusHome,
+}: StatsDashboardViewProps) {
+  const [rangeDays, setRangeDays] = useState(30);
+
+  const rangeEvents = eventsInRange(events, rangeDays);
+  const trend = rangeTrend(events, rangeDays);
+  const perDay = completionsPerDay(events, rangeDays);
+  const perWeek = completionsPerWeek(events, rangeDays);
+  const byEnergy = summarizeByEnergy(rangeEvents, Object.keys(energyLevels)).map((summary) => ({
+    ...summary,
+    label: energyLevels[summary.energy]?.label || summary.energy,
+    color: energyLevels[summary.energy]?.color || '#8B7355',
+  }));
+  const estimatedEnergy = byEnergy.filter((summary) => summary.completions > 0);
+
+  // Overrun factors use all history, since calibration needs enough samples
+  const calibration = buildCalibration(events);
+  const energyOverruns = Object.keys(energyLevels)
+    .filter((key) => calibration.byEnergy[key])
+    .map((key) => `${energyLevels[key].label} ${formatRatio(calibration.byEnergy[key].ratio)}`);
+
+  const summaryCards = [
+    { label: 'Tasks Completed', value: stats.completed, className: 'bg-[#F7F3E9]' },
+    { label: 'Current Streak', value: stats.streak, className: 'bg-[#F2A65A]/10' },
+    {
+      label: 'Longest Streak',
+      value: longestStreak(events, stats.streak),
+      className: 'bg-[#F2A65A]/10',
+    },
+    { label: 'Total Focus Time', value: `${stats.totalTime} min`, className: 'bg-[#E07A5F]/10' },
+    {
+      label: 'Overrun Factor',
+      value: calibration.overall ? formatRatio(calibration.overall.ratio) : '—',
+      className: 'bg-[#E07A5F]/10',
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Your Stats</h1>
+          <div className="flex items-center gap-2">
+            {onOpenFriction && (
+              <button
+                onClick={onOpenFriction}
+                className="flex items-center gap-2 px-3 py-2 text-sm text-[#8B7355] hover:bg-[#E07A5F]/10 rounded-lg font-['Work_Sans'] transition-all"
+                title="See why tasks get skipped"
+              >
+                <AlertCircle size={16} />
+                Friction
+              </button>
+            )}
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {/* All-time summary */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {summaryCards.map((card) => (
+            <div key={card.label} className={`p-4 rounded-xl ${card.className}`}>
+              <div className="text-sm text-[#8B7355] font-['Work_Sans']">{card.label}</div>
+              <div className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">{card.value}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Range selector and trend */}
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-2">
+            {RANGE_OPTIONS.map((days) => (
+              <button
+                key={days}
+                onClick={() => setRangeDays(days)}
+                className={`px-4 py-2 rounded-lg font-['Work_Sans'] transition-all ${
+                  rangeDays === days
+                    ? 'bg-[#E07A5F] text-white'
+                    : 'bg-white text-[#8B7355] hover:bg-[#F7F3E9]'
+                }`}
+              >
+                {days} days
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-6 font-['Work_Sans']">
+            <div>
+              <div className="text-sm text-[#3E3833]">{trend.completions} completed</div>
+              <TrendBadge current={trend.completions} previous={trend.previousCompletions} />
+            </div>
+            <div>
+              <div className="text-sm text-[#3E3833]">{trend.minutes} min focused</div>
+              <TrendBadge current={trend.minutes} previous={trend.previousMinutes} />
+            </div>
+          </div>
+        </div>
+
+        {/* Completions per day */}
+        <div className="bg-white rounded-2xl p-6 shadow-warm">
+          <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">Completions per day</h2>
+          <ChartContainer config={completionsChartConfig} className="h-56 w-full aspect-auto">
+            <BarChart data={perDay}>
+              <CartesianGrid vertical={false} />
+              <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={16} />
+              <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={24} />
+              <ChartTooltip content={<ChartTooltipContent />} />
+              <Bar dataKey="completions" fill="var(--color-completions)" radius={4} />
+            </BarChart>
+          </ChartContainer>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Completions per week */}
+          <div className="bg-white rounded-2xl p-6 shadow-warm">
+            <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+              Completions per week
+            </h2>
+            <ChartContainer config={completionsChartConfig} className="h-56 w-full aspect-auto">
+              <BarChart data={perWeek}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={16} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={24} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Bar dataKey="completions" fill="var(--color-completions)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          </div>
+
+          {/* Minutes per energy level */}
+          <div className="bg-white rounded-2xl p-6 shadow-warm">
+            <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+              Minutes focused per energy level
+            </h2>
+            <ChartContainer config={minutesChartConfig} className="h-56 w-full aspect-auto">
+              <BarChart data={byEnergy}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Bar dataKey="minutes" radius={4}>
+                  {byEnergy.map((summary) => (
+                    <Cell key={summary.energy} fill={summary.color} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ChartContainer>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Estimate vs actual */}
+          <div className="bg-white rounded-2xl p-6 shadow-warm">
+            <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+              Average actual time vs estimate
+            </h2>
+            {energyOverruns.length > 0 && (
+              <p className="-mt-3 mb-4 text-sm text-[#8B7355] font-['Work_Sans']">
+                Actual time per estimated minute: {energyOverruns.join(' · ')}
+              </p>
+            )}
+            {estimatedEnergy.length === 0 ? (
+              <p className="text-center py-8 text-[#8B7355] font-['Work_Sans']">
+                Complete tasks in this range to compare estimates with reality
+              </p>
+            ) : (
+              <ChartContainer config={estimateChartConfig} className="h-56 w-full aspect-auto">
+                <BarChart data={estimatedEnergy}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                  <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Bar dataKey="averageEstimated" fill="var(--color-averageEstimated)" radius={4} />
+                  <Bar dataKey="averageActual" fill="var(--color-averageActual)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            )}
+          </div>
+
+          {/* Pomodoros per energy level */}
+          <div className="bg-white rounded-2xl p-6 shadow-warm">
+            <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+              Pomodoros per energy level
+            </h2>
+            {byEnergy.every((summary) => summary.pomodoros === 0) ? (
+              <p className="text-center py-8 text-[#8B7355] font-['Work_Sans']">
+                Use pomodoro mode on tasks in this range to see your intervals here
+              </p>
+            ) : (
+              <ChartContainer config={pomodoroChartConfig} className="h-56 w-full aspect-auto">
+                <BarChart data={byEnergy}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                  <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={24} />
+                  <ChartTooltip content={<ChartTooltipContent />} />
+                  <Bar dataKey="pomodoros" fill="var(--color-pomodoros)" radius={4} />
+                </BarChart>
+              </ChartContainer>
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
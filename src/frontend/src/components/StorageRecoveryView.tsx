@@ -0,0 +1,138 @@
+import { X, FileWarning, Download, Trash2 } from 'lucide-react';
+import FocusHomeButton from './FocusHomeButton';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import { storeLabel, type QuarantinedRecord } from '../lib/storageSchema';
+
+interface StorageRecoveryViewProps {
+  records: QuarantinedRecord[];
+  onDownload: (records: QuarantinedRecord[]) => void;
+  onDiscard: (recordId: string) => void;
+  onDiscardAll: () => void;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+function recordTitle(record: QuarantinedRecord): string {
+  const value = record.record as any;
+  const title = value?.title ?? value?.text;
+  return typeof title === 'string' && title.trim() ? title : storeLabel(record.storageKey);
+}
+
+function recordPreview(record: QuarantinedRecord): string {
+  const text = typeof record.record === 'string' ? record.record : JSON.stringify(record.record, null, 2);
+  return text === undefined ? String(record.record) : text;
+}
+
+/**
+ * Records that failed to load, kept so they can be saved elsewhere before they're discarded
+ */
+export default function StorageRecoveryView({
+  records,
+  onDownload,
+  onDiscard,
+  onDiscardAll,
+  onClose,
+  onFocusHome,
+}: StorageRecoveryViewProps) {
+  const storageKeys = [...new Set(records.map((record) => record.storageKey))];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Data Recovery</h1>
+          <div className="flex items-center gap-2">
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-[#8B7355] font-['Work_Sans'] max-w-2xl">
+            These saved records couldn't be read, so they were set aside and everything else loaded as usual.
+            Download them if you want to keep a copy, then discard them.
+          </p>
+          {records.length > 0 && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => onDownload(records)}
+                className="flex items-center gap-2 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] hover:scale-105 transition-all shadow-warm"
+              >
+                <Download size={18} />
+                Download all
+              </button>
+              <button
+                onClick={onDiscardAll}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-[#8B7355] border-2 border-[#8B7355]/20 rounded-lg font-['Work_Sans'] hover:border-[#E07A5F] hover:text-[#E07A5F] transition-all"
+              >
+                <Trash2 size={18} />
+                Discard all
+              </button>
+            </div>
+          )}
+        </div>
+
+        {records.length === 0 ? (
+          <div className="bg-white rounded-2xl p-6 shadow-warm">
+            <p className="text-sm text-[#8B7355] font-['Work_Sans']">Everything you've saved loaded without problems.</p>
+          </div>
+        ) : (
+          storageKeys.map((storageKey) => (
+            <div key={storageKey} className="bg-white rounded-2xl p-6 shadow-warm">
+              <h2 className="flex items-center gap-2 text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+                <FileWarning size={18} style={{ color: '#E07A5F' }} />
+                {storeLabel(storageKey)}
+              </h2>
+              <div className="divide-y divide-[#8B7355]/10">
+                {records
+                  .filter((record) => record.storageKey === storageKey)
+                  .map((record) => (
+                    <div key={record.id} className="py-4">
+                      <div className="flex flex-wrap items-start justify-between gap-2">
+                        <div>
+                          <div className="text-[#3E3833] font-['Work_Sans']">{recordTitle(record)}</div>
+                          <p className="text-xs text-[#E07A5F] font-['Work_Sans'] mt-1">{record.reason}</p>
+                          <p className="text-xs text-[#8B7355] font-['Work_Sans'] mt-1">
+                            Set aside {formatDate(record.quarantinedAt)} at {formatTime(record.quarantinedAt)}
+                            {record.schemaVersion !== null && ` · saved with schema version ${record.schemaVersion}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => onDownload([record])}
+                            className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+                            title="Download"
+                          >
+                            <Download size={16} style={{ color: '#8B7355' }} />
+                          </button>
+                          <button
+                            onClick={() => onDiscard(record.id)}
+                            className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+                            title="Discard"
+                          >
+                            <Trash2 size={16} style={{ color: '#E07A5F' }} />
+                          </button>
+                        </div>
+                      </div>
+                      <pre className="mt-3 p-3 bg-[#F7F3E9] rounded-lg text-xs text-[#3E3833] max-h-40 overflow-auto whitespace-pre-wrap break-all">
+                        {recordPreview(record)}
+                      </pre>
+                    </div>
+                  ))}
+              </div>
+            </div>
+          ))
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { CheckCircle2, Clock } from 'lucide-react';
+import { CheckCircle2, Clock, CalendarCheck, ChevronRight } from 'lucide-react';
 import { format } from 'date-fns';
 
 interface StreakCompletedTask {
@@ -9,9 +9,11 @@ interface StreakCompletedTask {
 interface StreakDetailsPanelProps {
   tasks: StreakCompletedTask[];
   isOpen: boolean;
+  dayStreak?: number;
+  onOpenHistory?: () => void;
 }
 
-export default function StreakDetailsPanel({ tasks, isOpen }: StreakDetailsPanelProps) {
+export default function StreakDetailsPanel({ tasks, isOpen, dayStreak, onOpenHistory }: StreakDetailsPanelProps) {
   if (!isOpen) return null;
 
   return (
@@ -25,6 +27,12 @@ export default function StreakDetailsPanel({ tasks, isOpen }: StreakDetailsPanel
             ? 'Complete tasks to build your streak'
             : `${tasks.length} task${tasks.length === 1 ? '' : 's'} completed`}
         </p>
+        {dayStreak !== undefined && (
+          <p className="flex items-center gap-1.5 text-xs text-[#8B7355] font-['Work_Sans'] mt-1">
+            <CalendarCheck size={12} />
+            {dayStreak} {dayStreak === 1 ? 'day' : 'days'} in a row
+          </p>
+        )}
       </div>
 
       <div className="max-h-96 overflow-y-auto">
@@ -67,6 +75,16 @@ export default function StreakDetailsPanel({ tasks, isOpen }: StreakDetailsPanel
           </div>
         )}
       </div>
+
+      {onOpenHistory && (
+        <button
+          onClick={onOpenHistory}
+          className="w-full p-3 flex items-center justify-between border-t border-[#8B7355]/10 text-sm text-[#E07A5F] font-['Work_Sans'] hover:bg-[#F2A65A]/5 transition-colors"
+        >
+          Streak history and rules
+          <ChevronRight size={16} />
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,216 @@
+import { X, Award, CalendarCheck, Snowflake } from 'lucide-react';
+import { format } from 'date-fns';
+import FocusHomeButton from './FocusHomeButton';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Switch } from './ui/switch';
+import type { ArchivedStreak, StreakCompletedTask } from '../lib/streakCompletedTasksStorage';
+import { normalizeStreakPolicy, type DayStreak, type StreakPolicy } from '../lib/streakPolicy';
+
+interface StreakHistoryViewProps {
+  streak: number;
+  streakTasks: StreakCompletedTask[];
+  dayStreak: DayStreak;
+  archive: ArchivedStreak[];
+  policy: StreakPolicy;
+  frictionReasons: string[];
+  onPolicyChange: (policy: StreakPolicy) => void;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+const NUMBER_SETTINGS: {
+  key: 'dailyGoal' | 'graceSkipsPerDay' | 'freezesPerMonth';
+  label: string;
+  hint: string;
+  min: number;
+}[] = [
+  {
+    key: 'dailyGoal',
+    label: 'Daily goal',
+    hint: 'Completions that make a day count toward the day streak',
+    min: 1,
+  },
+  {
+    key: 'graceSkipsPerDay',
+    label: 'Grace skips per day',
+    hint: "Skips each day that don't reset the completion streak",
+    min: 0,
+  },
+  {
+    key: 'freezesPerMonth',
+    label: 'Streak freezes per month',
+    hint: 'Missed days each month that keep the day streak going',
+    min: 0,
+  },
+];
+
+function formatRange(startedAt: number, endedAt: number): string {
+  const start = format(startedAt, 'MMM d, yyyy');
+  const end = format(endedAt, 'MMM d, yyyy');
+  return start === end ? start : `${start} – ${end}`;
+}
+
+export default function StreakHistoryView({
+  streak,
+  streakTasks,
+  dayStreak,
+  archive,
+  policy,
+  frictionReasons,
+  onPolicyChange,
+  onClose,
+  onFocusHome,
+}: StreakHistoryViewProps) {
+  const longestArchived = archive.reduce((max, past) => Math.max(max, past.length), 0);
+  const pastStreaks = [...archive].sort((a, b) => b.endedAt - a.endedAt);
+
+  const summaryCards = [
+    { label: 'Completion Streak', value: streak, className: 'bg-[#F2A65A]/10' },
+    {
+      label: `Day Streak (${policy.dailyGoal}+ a day)`,
+      value: `${dayStreak.days} ${dayStreak.days === 1 ? 'day' : 'days'}`,
+      className: 'bg-[#F2A65A]/10',
+    },
+    { label: 'Done Today', value: `${dayStreak.todayCount} / ${policy.dailyGoal}`, className: 'bg-[#F7F3E9]' },
+    { label: 'Best Past Streak', value: longestArchived, className: 'bg-[#E07A5F]/10' },
+  ];
+
+  const toggleForgiven = (reason: string, forgiven: boolean) => {
+    onPolicyChange({
+      ...policy,
+      forgivenReasons: forgiven
+        ? [...policy.forgivenReasons, reason]
+        : policy.forgivenReasons.filter((r) => r !== reason),
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Streaks</h1>
+          <div className="flex items-center gap-2">
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {summaryCards.map((card) => (
+            <div key={card.label} className={`p-4 rounded-xl ${card.className}`}>
+              <div className="text-sm text-[#8B7355] font-['Work_Sans']">{card.label}</div>
+              <div className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">{card.value}</div>
+            </div>
+          ))}
+        </div>
+        {dayStreak.frozenDays > 0 && (
+          <p className="flex items-center gap-2 text-sm text-[#8B7355] font-['Work_Sans']">
+            <Snowflake size={16} style={{ color: '#8B7355' }} />
+            {dayStreak.frozenDays} missed {dayStreak.frozenDays === 1 ? 'day was' : 'days were'} covered by streak
+            freezes
+          </p>
+        )}
+
+        {/* Streak rules */}
+        <div className="bg-white rounded-2xl p-6 shadow-warm">
+          <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">Streak rules</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            {NUMBER_SETTINGS.map((setting) => (
+              <div key={setting.key}>
+                <Label htmlFor={`streak-${setting.key}`} className="text-[#3E3833] font-['Work_Sans'] mb-1 block">
+                  {setting.label}
+                </Label>
+                <Input
+                  id={`streak-${setting.key}`}
+                  type="number"
+                  min={setting.min}
+                  value={policy[setting.key]}
+                  onChange={(e) => onPolicyChange(normalizeStreakPolicy({ ...policy, [setting.key]: e.target.value }))}
+                  className="w-24 font-['Work_Sans']"
+                />
+                <p className="text-xs text-[#8B7355] font-['Work_Sans'] mt-1">{setting.hint}</p>
+              </div>
+            ))}
+          </div>
+          <h3 className="text-lg font-['Crimson_Pro'] text-[#3E3833] mb-1">Skips that never break the streak</h3>
+          <p className="text-sm text-[#8B7355] font-['Work_Sans'] mb-3">
+            Skipping for one of these reasons keeps your completion streak and doesn't use a grace skip.
+          </p>
+          <div className="space-y-3">
+            {frictionReasons.map((reason) => (
+              <div key={reason} className="flex items-center justify-between gap-4">
+                <Label htmlFor={`forgiven-${reason}`} className="text-[#3E3833] font-['Work_Sans'] font-normal">
+                  {reason}
+                </Label>
+                <Switch
+                  id={`forgiven-${reason}`}
+                  checked={policy.forgivenReasons.includes(reason)}
+                  onCheckedChange={(checked) => toggleForgiven(reason, checked)}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Current streak */}
+        <div className="bg-white rounded-2xl p-6 shadow-warm">
+          <h2 className="flex items-center gap-2 text-xl font-['Crimson_Pro'] text-[#3E3833] mb-1">
+            <Award size={18} style={{ color: '#F2A65A' }} />
+            Current streak
+          </h2>
+          <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+            {streakTasks.length === 0
+              ? 'Complete a task to start a new streak.'
+              : streakTasks.map((task) => task.title).join(', ')}
+          </p>
+        </div>
+
+        {/* Past streaks */}
+        <div className="bg-white rounded-2xl p-6 shadow-warm">
+          <h2 className="flex items-center gap-2 text-xl font-['Crimson_Pro'] text-[#3E3833] mb-4">
+            <CalendarCheck size={18} style={{ color: '#E07A5F' }} />
+            Past streaks
+          </h2>
+          {pastStreaks.length === 0 ? (
+            <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+              Streaks that end are kept here, along with the tasks that built them.
+            </p>
+          ) : (
+            <div className="divide-y divide-[#8B7355]/10">
+              {pastStreaks.map((past) => (
+                <div key={past.id} className="py-4">
+                  <div className="flex flex-wrap items-baseline justify-between gap-2">
+                    <span className="text-lg font-['Crimson_Pro'] text-[#3E3833]">
+                      {past.length} {past.length === 1 ? 'task' : 'tasks'} in a row
+                    </span>
+                    <span className="text-sm text-[#8B7355] font-['Work_Sans']">
+                      {formatRange(past.startedAt, past.endedAt)}
+                    </span>
+                  </div>
+                  {past.endReason && (
+                    <p className="text-xs text-[#E07A5F] font-['Work_Sans'] mt-1">Ended by a skip: {past.endReason}</p>
+                  )}
+                  {past.tasks.length > 0 && (
+                    <p className="text-sm text-[#8B7355] font-['Work_Sans'] mt-2">
+                      {past.tasks.map((task) => task.title).join(', ')}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { X, Laptop, CloudDownload, AlertTriangle } from 'lucide-react';
+import FocusHomeButton from './FocusHomeButton';
+import type { SyncConflict, SyncRecord } from '../lib/syncEngine';
+import { isTimerRunning, timerElapsedSeconds } from '../lib/focusTimer';
+import { formatDueWindow } from '../lib/dateTimeFormat';
+import { describeRecurrence } from '../lib/recurrence';
+import { countDoneSteps, type TaskStep } from '../lib/taskSteps';
+
+interface SyncConflictsViewProps {
+  conflicts: SyncConflict[];
+  onResolve: (conflict: SyncConflict, choice: 'local' | 'remote') => void;
+  onClose: () => void;
+  onFocusHome?: () => void;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  title: 'Title',
+  text: 'Text',
+  why: 'Why',
+  energy: 'Energy',
+  selectedCategory: 'Energy',
+  steps: 'Steps',
+  estimatedMinutes: 'Estimate (min)',
+  note: 'Notes',
+  plannedTimeline: 'Planned timeline',
+  plannedDue: 'Due date',
+  recurrence: 'Repeat',
+  blockedBy: 'Blocked by',
+  blockedReason: 'Blocked on',
+  parkedAt: 'Parked at',
+  location: 'Status',
+  lastFriction: 'Last friction',
+  completedAt: 'Completed at',
+  actualMinutes: 'Actual time (min)',
+  timer: 'Timer',
+  timebox: 'Focus mode',
+  focusIntervals: 'Pomodoros',
+  workSessions: 'Work sessions',
+};
+
+const LOCATION_LABELS: Record<string, string> = {
+  backlog: 'In backlog',
+  current: 'Current task',
+  completed: 'Completed',
+};
+
+/**
+ * Render a single record field as short readable text
+ */
+function formatFieldValue(field: string, record: SyncRecord | null): string {
+  if (!record) return 'Deleted';
+  const value = record[field];
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'location') return LOCATION_LABELS[value] || String(value);
+  if (field === 'lastFriction') return value.reason;
+  if (field === 'completedAt' || field === 'parkedAt') return new Date(value).toLocaleString();
+  if (field === 'timer') {
+    const minutes = Math.round(timerElapsedSeconds(value) / 60);
+    return `${minutes} min${isTimerRunning(value) ? ', running' : ''}`;
+  }
+  if (field === 'timebox') return `${value.mode}, ${value.phase}`;
+  if (field === 'steps' && value.length > 0) {
+    const texts = value.map((step: TaskStep) => step.text).join(', ');
+    return `${countDoneSteps(value)}/${value.length} done: ${texts}`;
+  }
+  if (field === 'plannedDue') return formatDueWindow(value);
+  if (field === 'recurrence') return describeRecurrence(value);
+  if (field === 'focusIntervals' || field === 'workSessions' || field === 'blockedBy') {
+    return String(value.length);
+  }
+  if (Array.isArray(value)) return value.length === 0 ? '—' : value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default function SyncConflictsView({
+  conflicts,
+  onResolve,
+  onClose,
+  onFocusHome,
+}: SyncConflictsViewProps) {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#F7F3E9] via-[#FDF8ED] to-[#F7F3E9]">
+      {/* Header */}
+      <header className="border-b border-[#8B7355]/10 bg-white/50 backdrop-blur-sm sticky top-0 z-10">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-3xl font-['Crimson_Pro'] text-[#3E3833]">Sync Conflicts</h1>
+          <div className="flex items-center gap-2">
+            {onFocusHome && <FocusHomeButton onActivate={onFocusHome} />}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+            >
+              <X size={20} style={{ color: '#E07A5F' }} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        <div className="p-4 bg-[#F2A65A]/10 rounded-xl flex items-start gap-2">
+          <AlertTriangle size={18} style={{ color: '#F2A65A' }} className="mt-0.5 shrink-0" />
+          <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+            These items were changed in different ways on this device and on another one.
+            Everything else has already been merged. Pick which version to keep for each.
+          </p>
+        </div>
+
+        {conflicts.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-warm text-center py-12 text-[#8B7355] font-['Work_Sans']">
+            Everything is in sync
+          </div>
+        ) : (
+          conflicts.map((conflict) => {
+            const isDeletion = conflict.fields.includes('deleted');
+            const fields = isDeletion
+              ? [conflict.collection === 'tasks' ? 'title' : 'text']
+              : conflict.fields;
+            return (
+              <div
+                key={`${conflict.collection}-${conflict.id}`}
+                className="bg-white rounded-2xl p-6 shadow-warm"
+              >
+                <h2 className="text-xl font-['Crimson_Pro'] text-[#3E3833] mb-1">
+                  {conflict.title || 'Untitled'}
+                </h2>
+                <p className="text-xs text-[#8B7355] font-['Work_Sans'] mb-4">
+                  {conflict.collection === 'tasks' ? 'Task' : 'Brain dump item'}
+                  {isDeletion && ' · deleted on one device, edited on the other'}
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {(['local', 'remote'] as const).map((side) => {
+                    const record = side === 'local' ? conflict.local : conflict.remote;
+                    return (
+                      <div key={side} className="p-4 bg-[#F7F3E9] rounded-xl flex flex-col">
+                        <div className="flex items-center gap-2 mb-3 text-sm text-[#3E3833] font-['Work_Sans'] font-medium">
+                          {side === 'local' ? <Laptop size={16} /> : <CloudDownload size={16} />}
+                          {side === 'local' ? 'This device' : 'Other device'}
+                        </div>
+                        <dl className="space-y-2 flex-1">
+                          {fields.map((field) => (
+                            <div key={field}>
+                              <dt className="text-xs text-[#8B7355] font-['Work_Sans']">
+                                {FIELD_LABELS[field] || field}
+                              </dt>
+                              <dd className="text-sm text-[#3E3833] font-['Work_Sans'] whitespace-pre-wrap break-words">
+                                {formatFieldValue(field, record)}
+                              </dd>
+                            </div>
+                          ))}
+                        </dl>
+                        <button
+                          onClick={() => onResolve(conflict, side)}
+                          className="mt-4 px-4 py-2 bg-[#E07A5F] text-white rounded-lg font-['Work_Sans'] text-sm hover:scale-105 transition-all"
+                        >
+                          {record ? 'Keep this version' : 'Keep it deleted'}
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })
+        )}
+      </main>
+    </div>
+  );
+}
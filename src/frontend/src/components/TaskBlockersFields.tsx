@@ -0,0 +1,69 @@
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+
+interface TaskBlockersFieldsProps {
+  /** Open tasks that can block this one without creating a cycle */
+  candidates: { id: string; title: string }[];
+  blockedBy: string[];
+  onBlockedByChange: (blockedBy: string[]) => void;
+  reason: string;
+  onReasonChange: (reason: string) => void;
+}
+
+/**
+ * Form fields for choosing blocking tasks and an external blocked reason
+ */
+export default function TaskBlockersFields({
+  candidates,
+  blockedBy,
+  onBlockedByChange,
+  reason,
+  onReasonChange,
+}: TaskBlockersFieldsProps) {
+  const toggleBlocker = (id: string) => {
+    onBlockedByChange(blockedBy.includes(id) ? blockedBy.filter((b) => b !== id) : [...blockedBy, id]);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="text-[#3E3833] font-['Work_Sans'] mb-2">Blocked by tasks</div>
+        {candidates.length === 0 ? (
+          <p className="text-sm text-[#8B7355] font-['Work_Sans']">No other open tasks</p>
+        ) : (
+          <div className="max-h-56 overflow-y-auto space-y-2 pr-1">
+            {candidates.map((candidate) => (
+              <div key={candidate.id} className="flex items-center gap-3">
+                <Checkbox
+                  id={`blocker-${candidate.id}`}
+                  checked={blockedBy.includes(candidate.id)}
+                  onCheckedChange={() => toggleBlocker(candidate.id)}
+                />
+                <Label
+                  htmlFor={`blocker-${candidate.id}`}
+                  className="text-sm text-[#3E3833] font-['Work_Sans'] font-normal"
+                >
+                  {candidate.title}
+                </Label>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <Label htmlFor="blockedReason" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+          Or blocked on something else
+        </Label>
+        <Textarea
+          id="blockedReason"
+          value={reason}
+          onChange={(e) => onReasonChange(e.target.value)}
+          placeholder="e.g., Waiting for the landlord to reply"
+          className="w-full h-20 font-['Work_Sans']"
+        />
+      </div>
+    </div>
+  );
+}
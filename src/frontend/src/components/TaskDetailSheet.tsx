@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { Repeat, Trash2, Lock } from 'lucide-react';
+import EnergyCategorySelector, { EnergyCategory } from './EnergyCategorySelector';
+import TaskStepsEditor from './TaskStepsEditor';
+import RecurrencePicker from './RecurrencePicker';
+import TaskBlockersFields from './TaskBlockersFields';
+import DueStatusBadge from './DueStatusBadge';
+import { Sheet, SheetContent, SheetDescription, SheetFooter, SheetHeader, SheetTitle } from './ui/sheet';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+import { Label } from './ui/label';
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import { parsePlannedTimeline } from '../lib/timelineParser';
+import { withPlannedTimeline, type BacklogTask } from '../lib/taskModels';
+
+interface TaskDetailSheetProps {
+  task: BacklogTask;
+  energyLevels: React.ComponentProps<typeof EnergyCategorySelector>['energyLevels'];
+  /** Open tasks that can block this one without creating a cycle */
+  blockerCandidates: { id: string; title: string }[];
+  /** Only the fields edited in the sheet, to apply on top of the task as it is now */
+  onSave: (taskId: string, changes: Partial<BacklogTask>) => void;
+  onDelete: (task: BacklogTask) => void;
+  onClose: () => void;
+}
+
+/**
+ * Side drawer for editing every field of a backlog task without starting it
+ */
+export default function TaskDetailSheet({
+  task,
+  energyLevels,
+  blockerCandidates,
+  onSave,
+  onDelete,
+  onClose,
+}: TaskDetailSheetProps) {
+  const [draft, setDraft] = useState<BacklogTask>(task);
+  const [estimatedMinutes, setEstimatedMinutes] = useState(String(task.estimatedMinutes));
+
+  const update = (changes: Partial<BacklogTask>) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const handleSave = () => {
+    if (!draft.title.trim()) return;
+    // Relative timelines resolve from today only when the text was edited
+    const timeline = draft.plannedTimeline || '';
+    const saved = timeline === task.plannedTimeline ? draft : withPlannedTimeline(draft, timeline.trim());
+    const edited: BacklogTask = {
+      ...saved,
+      title: draft.title.trim(),
+      why: draft.why.trim(),
+      estimatedMinutes: parseInt(estimatedMinutes) || task.estimatedMinutes,
+      blockedBy: draft.blockedBy.filter((id) => blockerCandidates.some((candidate) => candidate.id === id)),
+      blockedReason: draft.blockedReason?.trim() || null,
+    };
+    // The task may have changed since the sheet opened (a sync, a skip), so untouched fields aren't sent back
+    const changes = Object.fromEntries(
+      Object.entries(edited).filter(
+        ([field, value]) => JSON.stringify(value) !== JSON.stringify(task[field as keyof BacklogTask])
+      )
+    ) as Partial<BacklogTask>;
+    onSave(task.id, changes);
+  };
+
+  const previewDue =
+    draft.plannedTimeline === task.plannedTimeline ? task.plannedDue : parsePlannedTimeline(draft.plannedTimeline);
+
+  return (
+    <Sheet open onOpenChange={(open) => !open && onClose()}>
+      <SheetContent className="w-full sm:max-w-lg overflow-y-auto bg-[#FDF8ED]">
+        <SheetHeader>
+          <SheetTitle className="text-2xl font-['Crimson_Pro'] text-[#3E3833]">Task details</SheetTitle>
+          <SheetDescription className="font-['Work_Sans'] text-[#8B7355]">
+            Added {formatDate(task.createdAt)} at {formatTime(task.createdAt)}
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4 space-y-6">
+          <div>
+            <Label htmlFor="detail-title" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+              Task Title *
+            </Label>
+            <Input
+              id="detail-title"
+              value={draft.title}
+              onChange={(e) => update({ title: e.target.value })}
+              className="w-full font-['Work_Sans'] bg-white"
+            />
+          </div>
+
+          <div>
+            <Label htmlFor="detail-why" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+              Why does this matter?
+            </Label>
+            <Textarea
+              id="detail-why"
+              value={draft.why}
+              onChange={(e) => update({ why: e.target.value })}
+              className="w-full h-20 font-['Work_Sans'] bg-white"
+            />
+          </div>
+
+          <div>
+            <Label className="text-[#3E3833] font-['Work_Sans'] mb-3 block">Energy Level Required</Label>
+            <EnergyCategorySelector
+              energyLevels={energyLevels}
+              selected={draft.energy as EnergyCategory}
+              onSelect={(energy) => update({ energy })}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="detail-estimate" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                Estimate (minutes)
+              </Label>
+              <Input
+                id="detail-estimate"
+                type="number"
+                min="1"
+                value={estimatedMinutes}
+                onChange={(e) => setEstimatedMinutes(e.target.value)}
+                className="w-full font-['Work_Sans'] bg-white"
+              />
+            </div>
+            <div>
+              <Label htmlFor="detail-timeline" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+                Planned Timeline
+              </Label>
+              <Input
+                id="detail-timeline"
+                value={draft.plannedTimeline || ''}
+                onChange={(e) => update({ plannedTimeline: e.target.value })}
+                placeholder="e.g., Next week"
+                className="w-full font-['Work_Sans'] bg-white"
+              />
+              <div className="mt-1">
+                <DueStatusBadge due={previewDue} />
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <Label className="text-[#3E3833] font-['Work_Sans'] mb-2 flex items-center gap-2">
+              <Repeat size={16} style={{ color: '#8B7355' }} />
+              Repeat
+            </Label>
+            <RecurrencePicker value={draft.recurrence || null} onChange={(recurrence) => update({ recurrence })} />
+          </div>
+
+          <div>
+            <Label className="text-[#3E3833] font-['Work_Sans'] mb-2 block">Steps</Label>
+            <div className="bg-white rounded-xl">
+              <TaskStepsEditor steps={draft.steps} onChange={(steps) => update({ steps })} />
+            </div>
+          </div>
+
+          <div>
+            <Label htmlFor="detail-note" className="text-[#3E3833] font-['Work_Sans'] mb-2 block">
+              Notes
+            </Label>
+            <Textarea
+              id="detail-note"
+              value={draft.note}
+              onChange={(e) => update({ note: e.target.value })}
+              className="w-full h-24 font-['Work_Sans'] bg-white"
+            />
+          </div>
+
+          <div>
+            <div className="text-[#3E3833] font-['Work_Sans'] mb-3 flex items-center gap-2">
+              <Lock size={16} style={{ color: '#8B7355' }} />
+              Waiting on
+            </div>
+            <TaskBlockersFields
+              candidates={blockerCandidates}
+              blockedBy={draft.blockedBy}
+              onBlockedByChange={(blockedBy) => update({ blockedBy })}
+              reason={draft.blockedReason || ''}
+              onReasonChange={(reason) => update({ blockedReason: reason })}
+            />
+          </div>
+
+          {draft.lastFriction && (
+            <div className="p-4 bg-[#F2A65A]/10 rounded-xl flex items-center justify-between gap-3">
+              <p className="text-sm text-[#8B7355] font-['Work_Sans']">
+                Last skipped: {draft.lastFriction.reason}
+              </p>
+              <button
+                type="button"
+                onClick={() => update({ lastFriction: null })}
+                className="text-sm text-[#E07A5F] font-['Work_Sans'] hover:underline"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+        </div>
+
+        <SheetFooter className="flex-row items-center gap-3">
+          <Button
+            onClick={handleSave}
+            disabled={!draft.title.trim()}
+            className="flex-1 bg-[#E07A5F] hover:bg-[#E07A5F]/90 text-white font-['Work_Sans']"
+          >
+            Save changes
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => onDelete(task)}
+            className="font-['Work_Sans'] text-[#E07A5F] border-[#E07A5F]/30 hover:bg-[#E07A5F]/10"
+          >
+            <Trash2 size={16} className="mr-1" />
+            Delete
+          </Button>
+        </SheetFooter>
+      </SheetContent>
+    </Sheet>
+  );
+}
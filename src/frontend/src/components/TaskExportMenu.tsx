@@ -0,0 +1,53 @@
+import { Download, FileSpreadsheet, FileText, CalendarDays } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { TASK_EXPORT_FORMATS, type TaskExportFormat } from '../lib/taskExport';
+
+interface TaskExportMenuProps {
+  /** Number of tasks the current filters leave, which is what gets exported */
+  count: number;
+  onExport: (format: TaskExportFormat) => void;
+}
+
+const FORMAT_ICONS: Record<TaskExportFormat, React.ComponentType<{ size?: number; style?: React.CSSProperties }>> = {
+  csv: FileSpreadsheet,
+  markdown: FileText,
+  ics: CalendarDays,
+};
+
+export default function TaskExportMenu({ count, onExport }: TaskExportMenuProps) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          disabled={count === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-white text-[#8B7355] rounded-lg font-['Work_Sans'] hover:bg-[#F7F3E9] transition-all disabled:opacity-50"
+        >
+          <Download size={18} />
+          Export
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="font-['Work_Sans']">
+        <DropdownMenuLabel className="text-[#8B7355] font-normal">
+          {count} {count === 1 ? 'task' : 'tasks'} shown
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {(Object.keys(TASK_EXPORT_FORMATS) as TaskExportFormat[]).map((format) => {
+          const Icon = FORMAT_ICONS[format];
+          return (
+            <DropdownMenuItem key={format} onSelect={() => onExport(format)} className="text-[#3E3833]">
+              <Icon size={16} style={{ color: '#8B7355' }} />
+              {TASK_EXPORT_FORMATS[format].label}
+            </DropdownMenuItem>
+          );
+        })}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { ChevronRight, ChevronUp, ChevronDown, Pencil, Trash2, Plus } from 'lucide-react';
+import { createStep, moveStep, toggleStep, type TaskStep } from '../lib/taskSteps';
+
+interface TaskStepsEditorProps {
+  steps: TaskStep[];
+  onChange: (steps: TaskStep[]) => void;
+  /** Show done checkboxes; off while a task is still being written */
+  checkable?: boolean;
+}
+
+/**
+ * Step list that can be checked off, edited, reordered and extended in place
+ */
+export default function TaskStepsEditor({ steps, onChange, checkable = true }: TaskStepsEditorProps) {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editText, setEditText] = useState('');
+  const [newStepText, setNewStepText] = useState('');
+
+  const startEditing = (step: TaskStep) => {
+    setEditingId(step.id);
+    setEditText(step.text);
+  };
+
+  const saveEdit = () => {
+    const text = editText.trim();
+    if (text) {
+      onChange(steps.map((step) => (step.id === editingId ? { ...step, text } : step)));
+    }
+    setEditingId(null);
+  };
+
+  const addStep = () => {
+    const text = newStepText.trim();
+    if (!text) return;
+    onChange([...steps, createStep(text)]);
+    setNewStepText('');
+  };
+
+  const iconButton = 'p-1.5 rounded-lg hover:bg-[#E07A5F]/10 transition-all disabled:opacity-30';
+
+  return (
+    <div className="space-y-2">
+      {steps.map((step, index) => {
+        const isCompleted = step.doneAt !== null;
+        return (
+          <div key={step.id} className="group flex items-start gap-3 p-3 rounded-lg hover:bg-[#F7F3E9] transition-all">
+            {checkable && (
+              <button
+                type="button"
+                onClick={() => onChange(toggleStep(steps, step.id))}
+                className={`mt-0.5 w-5 h-5 shrink-0 rounded border-2 flex items-center justify-center transition-all ${
+                  isCompleted ? 'bg-[#E07A5F] border-[#E07A5F]' : 'border-[#8B7355]/30'
+                }`}
+                title={isCompleted ? 'Mark as not done' : 'Mark as done'}
+              >
+                {isCompleted && <ChevronRight size={14} className="text-white" />}
+              </button>
+            )}
+            {editingId === step.id ? (
+              <input
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onBlur={saveEdit}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    saveEdit();
+                  }
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                className="flex-1 px-2 py-0.5 border border-[#8B7355]/20 rounded focus:outline-none focus:ring-2 focus:ring-[#E07A5F]/30 font-['Work_Sans'] text-[#3E3833]"
+                autoFocus
+              />
+            ) : (
+              <span
+                className={`flex-1 font-['Work_Sans'] ${
+                  isCompleted ? 'text-[#8B7355] line-through' : 'text-[#3E3833]'
+                }`}
+              >
+                {step.text}
+              </span>
+            )}
+            <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              <button
+                type="button"
+                onClick={() => onChange(moveStep(steps, step.id, -1))}
+                disabled={index === 0}
+                className={iconButton}
+                title="Move up"
+              >
+                <ChevronUp size={16} style={{ color: '#8B7355' }} />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(moveStep(steps, step.id, 1))}
+                disabled={index === steps.length - 1}
+                className={iconButton}
+                title="Move down"
+              >
+                <ChevronDown size={16} style={{ color: '#8B7355' }} />
+              </button>
+              <button type="button" onClick={() => startEditing(step)} className={iconButton} title="Edit step">
+                <Pencil size={14} style={{ color: '#8B7355' }} />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(steps.filter((s) => s.id !== step.id))}
+                className={iconButton}
+                title="Delete step"
+              >
+                <Trash2 size={14} style={{ color: '#E07A5F' }} />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="flex items-center gap-2 p-3">
+        <input
+          value={newStepText}
+          onChange={(e) => setNewStepText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addStep();
+            }
+          }}
+          placeholder="Add a step..."
+          className="flex-1 px-3 py-2 border border-[#8B7355]/20 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#E07A5F]/30 font-['Work_Sans'] text-sm"
+        />
+        <button
+          type="button"
+          onClick={addStep}
+          disabled={!newStepText.trim()}
+          className="p-2 rounded-lg bg-[#E07A5F] text-white hover:scale-105 transition-all disabled:opacity-40 disabled:hover:scale-100"
+          title="Add step"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { Settings, BellRing } from 'lucide-react';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import {
+  normalizePomodoroSettings,
+  type PomodoroSettings,
+  type Timebox,
+  type TimeboxMode,
+} from '../lib/timebox';
+
+interface TimeboxControlsProps {
+  timebox: Timebox | null;
+  settings: PomodoroSettings;
+  intervalsCompleted: number;
+  onSelectMode: (mode: TimeboxMode | null) => void;
+  onSettingsChange: (settings: PomodoroSettings) => void;
+}
+
+const MODE_OPTIONS: { mode: TimeboxMode | null; label: string }[] = [
+  { mode: null, label: 'Stopwatch' },
+  { mode: 'pomodoro', label: 'Pomodoro' },
+  { mode: 'countdown', label: 'Countdown' },
+];
+
+const SETTING_FIELDS: { key: keyof PomodoroSettings; label: string }[] = [
+  { key: 'workMinutes', label: 'Work (min)' },
+  { key: 'breakMinutes', label: 'Break (min)' },
+  { key: 'longBreakMinutes', label: 'Long break (min)' },
+  { key: 'cyclesBeforeLongBreak', label: 'Long break every' },
+];
+
+export default function TimeboxControls({
+  timebox,
+  settings,
+  intervalsCompleted,
+  onSelectMode,
+  onSettingsChange,
+}: TimeboxControlsProps) {
+  const [showSettings, setShowSettings] = useState(false);
+  const mode = timebox?.mode || null;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-[#8B7355]/10 space-y-3">
+      <div className="flex items-center gap-1">
+        {MODE_OPTIONS.map((option) => (
+          <button
+            key={option.label}
+            onClick={() => onSelectMode(option.mode)}
+            className={`flex-1 px-2 py-1 rounded-lg text-xs font-['Work_Sans'] transition-all ${
+              mode === option.mode
+                ? 'bg-[#F2A65A] text-white'
+                : 'bg-[#F7F3E9] text-[#8B7355] hover:bg-[#F2A65A]/20'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className="p-1 hover:bg-[#E07A5F]/10 rounded-lg transition-all"
+          title="Pomodoro settings"
+        >
+          <Settings size={16} style={{ color: '#8B7355' }} />
+        </button>
+      </div>
+
+      {mode === 'pomodoro' && (
+        <div className="text-xs text-[#8B7355] font-['Work_Sans']">
+          Interval {(timebox?.completedCycles || 0) + 1} · {settings.workMinutes} min work,{' '}
+          {settings.breakMinutes} min break
+        </div>
+      )}
+      {mode === 'countdown' && (
+        <div className="text-xs text-[#8B7355] font-['Work_Sans']">
+          Counting down from the task estimate
+        </div>
+      )}
+      {timebox?.mode === 'countdown' && timebox.signaled && (
+        <div className="flex items-center gap-2 p-2 bg-[#E07A5F]/10 rounded-lg text-xs text-[#E07A5F] font-['Work_Sans'] animate-pulse">
+          <BellRing size={14} />
+          Estimate reached. Wrap up or keep going.
+        </div>
+      )}
+      {intervalsCompleted > 0 && (
+        <div className="text-xs text-[#8B7355] font-['Work_Sans']">
+          🍅 {intervalsCompleted} {intervalsCompleted === 1 ? 'pomodoro' : 'pomodoros'} on this task
+        </div>
+      )}
+
+      {showSettings && (
+        <div className="grid grid-cols-2 gap-2">
+          {SETTING_FIELDS.map((field) => (
+            <div key={field.key}>
+              <Label
+                htmlFor={`pomodoro-${field.key}`}
+                className="text-xs text-[#8B7355] font-['Work_Sans'] mb-1 block"
+              >
+                {field.label}
+              </Label>
+              <Input
+                id={`pomodoro-${field.key}`}
+                type="number"
+                min="1"
+                value={settings[field.key]}
+                onChange={(e) =>
+                  onSettingsChange(
+                    normalizePomodoroSettings({ ...settings, [field.key]: e.target.value })
+                  )
+                }
+                className="h-8 font-['Work_Sans']"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { formatDate, formatTime } from '../lib/dateTimeFormat';
+import { totalSessionSeconds, type WorkSession } from '../lib/workSessions';
+
+interface WorkSessionsListProps {
+  sessions: WorkSession[];
+  energyLevels: Record<string, { key: string; label: string; color: string }>;
+}
+
+function formatDuration(seconds: number): string {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Work sessions logged on a task, oldest first, with the total time on task
+ */
+export default function WorkSessionsList({ sessions, energyLevels }: WorkSessionsListProps) {
+  if (sessions.length === 0) {
+    return <p className="text-sm text-[#8B7355] font-['Work_Sans']">No time logged yet</p>;
+  }
+
+  return (
+    <div className="space-y-1 font-['Work_Sans']">
+      {sessions.map((session) => {
+        const energyLevel = session.energy ? energyLevels[session.energy] : null;
+        return (
+          <div
+            key={session.start}
+            className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-[#8B7355]"
+          >
+            <span>{formatDate(session.start)}</span>
+            <span>
+              {formatTime(session.start)} – {formatTime(session.end)}
+            </span>
+            <span className="text-[#3E3833]">{formatDuration(session.durationSeconds)}</span>
+            {energyLevel && (
+              <span
+                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs"
+                style={{ backgroundColor: `${energyLevel.color}20`, color: energyLevel.color }}
+              >
+                {energyLevel.label}
+              </span>
+            )}
+          </div>
+        );
+      })}
+      <div className="pt-1 text-sm text-[#3E3833]">
+        Total: {formatDuration(totalSessionSeconds(sessions))} over {sessions.length}{' '}
+        {sessions.length === 1 ? 'session' : 'sessions'}
+      </div>
+    </div>
+  );
+}
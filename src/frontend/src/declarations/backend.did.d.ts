@@ -10,7 +10,41 @@ import type { ActorMethod } from '@icp-sdk/core/agent';
 import type { IDL } from '@icp-sdk/core/candid';
 import type { Principal } from '@icp-sdk/core/principal';
 
-export interface _SERVICE {}
+export interface StoredRecord {
+  'id' : string,
+  'updatedAt' : bigint,
+  'payload' : string,
+}
+export interface StreakCompletedTask {
+  'title' : string,
+  'completedAt' : bigint,
+}
+export interface UserData {
+  'backlog' : Array<StoredRecord>,
+  'currentTask' : [] | [StoredRecord],
+  'currentEnergy' : [] | [string],
+  'stats' : [] | [UserStats],
+  'streakCompletedTasks' : Array<StreakCompletedTask>,
+  'brainDumpDraft' : string,
+  'brainDumpItems' : Array<StoredRecord>,
+  'completedTasks' : Array<StoredRecord>,
+  'updatedAt' : bigint,
+}
+export interface UserStats {
+  'completed' : bigint,
+  'streak' : bigint,
+  'totalTime' : bigint,
+}
+export interface _SERVICE {
+  'getUserData' : ActorMethod<[], [] | [UserData]>,
+  'saveBacklog' : ActorMethod<[Array<StoredRecord>], undefined>,
+  'saveBrainDump' : ActorMethod<[string, Array<StoredRecord>], undefined>,
+  'saveCompletedTasks' : ActorMethod<[Array<StoredRecord>], undefined>,
+  'saveCurrentEnergy' : ActorMethod<[string], undefined>,
+  'saveCurrentTask' : ActorMethod<[[] | [StoredRecord]], undefined>,
+  'saveStats' : ActorMethod<[UserStats], undefined>,
+  'saveStreakCompletedTasks' : ActorMethod<[Array<StreakCompletedTask>], undefined>,
+}
 export declare const idlService: IDL.ServiceClass;
 export declare const idlInitArgs: IDL.Type[];
 export declare const idlFactory: IDL.InterfaceFactory;
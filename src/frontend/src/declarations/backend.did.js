@@ -8,10 +8,82 @@
 
 import { IDL } from '@icp-sdk/core/candid';
 
-export const idlService = IDL.Service({});
+export const StoredRecord = IDL.Record({
+  'id' : IDL.Text,
+  'updatedAt' : IDL.Int,
+  'payload' : IDL.Text,
+});
+export const UserStats = IDL.Record({
+  'completed' : IDL.Nat,
+  'streak' : IDL.Nat,
+  'totalTime' : IDL.Nat,
+});
+export const StreakCompletedTask = IDL.Record({
+  'title' : IDL.Text,
+  'completedAt' : IDL.Int,
+});
+export const UserData = IDL.Record({
+  'backlog' : IDL.Vec(StoredRecord),
+  'currentTask' : IDL.Opt(StoredRecord),
+  'currentEnergy' : IDL.Opt(IDL.Text),
+  'stats' : IDL.Opt(UserStats),
+  'streakCompletedTasks' : IDL.Vec(StreakCompletedTask),
+  'brainDumpDraft' : IDL.Text,
+  'brainDumpItems' : IDL.Vec(StoredRecord),
+  'completedTasks' : IDL.Vec(StoredRecord),
+  'updatedAt' : IDL.Int,
+});
+
+export const idlService = IDL.Service({
+  'getUserData' : IDL.Func([], [IDL.Opt(UserData)], ['query']),
+  'saveBacklog' : IDL.Func([IDL.Vec(StoredRecord)], [], []),
+  'saveBrainDump' : IDL.Func([IDL.Text, IDL.Vec(StoredRecord)], [], []),
+  'saveCompletedTasks' : IDL.Func([IDL.Vec(StoredRecord)], [], []),
+  'saveCurrentEnergy' : IDL.Func([IDL.Text], [], []),
+  'saveCurrentTask' : IDL.Func([IDL.Opt(StoredRecord)], [], []),
+  'saveStats' : IDL.Func([UserStats], [], []),
+  'saveStreakCompletedTasks' : IDL.Func([IDL.Vec(StreakCompletedTask)], [], []),
+});
 
 export const idlInitArgs = [];
 
-export const idlFactory = ({ IDL }) => { return IDL.Service({}); };
+export const idlFactory = ({ IDL }) => {
+  const StoredRecord = IDL.Record({
+    'id' : IDL.Text,
+    'updatedAt' : IDL.Int,
+    'payload' : IDL.Text,
+  });
+  const UserStats = IDL.Record({
+    'completed' : IDL.Nat,
+    'streak' : IDL.Nat,
+    'totalTime' : IDL.Nat,
+  });
+  const StreakCompletedTask = IDL.Record({
+    'title' : IDL.Text,
+    'completedAt' : IDL.Int,
+  });
+  const UserData = IDL.Record({
+    'backlog' : IDL.Vec(StoredRecord),
+    'currentTask' : IDL.Opt(StoredRecord),
+    'currentEnergy' : IDL.Opt(IDL.Text),
+    'stats' : IDL.Opt(UserStats),
+    'streakCompletedTasks' : IDL.Vec(StreakCompletedTask),
+    'brainDumpDraft' : IDL.Text,
+    'brainDumpItems' : IDL.Vec(StoredRecord),
+    'completedTasks' : IDL.Vec(StoredRecord),
+    'updatedAt' : IDL.Int,
+  });
+
+  return IDL.Service({
+    'getUserData' : IDL.Func([], [IDL.Opt(UserData)], ['query']),
+    'saveBacklog' : IDL.Func([IDL.Vec(StoredRecord)], [], []),
+    'saveBrainDump' : IDL.Func([IDL.Text, IDL.Vec(StoredRecord)], [], []),
+    'saveCompletedTasks' : IDL.Func([IDL.Vec(StoredRecord)], [], []),
+    'saveCurrentEnergy' : IDL.Func([IDL.Text], [], []),
+    'saveCurrentTask' : IDL.Func([IDL.Opt(StoredRecord)], [], []),
+    'saveStats' : IDL.Func([UserStats], [], []),
+    'saveStreakCompletedTasks' : IDL.Func([IDL.Vec(StreakCompletedTask)], [], []),
+  });
+};
 
 export const init = ({ IDL }) => { return []; };
\ No newline at end of file
@@ -0,0 +1,364 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { useActor } from './useActor';
+import { useInternetIdentity } from './useInternetIdentity';
+import type { backendInterface } from '../backend';
+import {
+  fromBackendUserData,
+  toBackendStats,
+  toBackendStreakCompletedTasks,
+  toStoredRecord,
+  type UserDataSnapshot,
+  type UserDataStore,
+} from '../lib/backendUserData';
+import {
+  findRecord,
+  mergeSnapshots,
+  replaceRecord,
+  resolveConflictRecord,
+  type SyncConflict,
+} from '../lib/syncEngine';
+import {
+  loadSyncBase,
+  loadSyncConflicts,
+  loadSyncQueue,
+  saveSyncBase,
+  saveSyncConflicts,
+  saveSyncQueue,
+} from '../lib/syncStorage';
+import { touchRecord } from '../lib/taskModels';
+
+// Wait for a short pause in edits before syncing with the canister
+const SYNC_DEBOUNCE_MS = 1500;
+
+// A failed sync is retried with exponential backoff between these delays
+const SYNC_RETRY_BASE_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// The brain dump draft and items are written together by a single canister method
+type SaveTarget = Exclude<UserDataStore, 'brainDumpDraft' | 'brainDumpItems'> | 'brainDump';
+
+export type SyncStatus = 'signedOut' | 'offline' | 'pending' | 'syncing' | 'synced' | 'error';
+
+interface UseUserDataSyncOptions {
+  /** Hold off syncing until local stores have been loaded */
+  enabled: boolean;
+  /** The current value of every local store */
+  snapshot: UserDataSnapshot;
+  /** Replace local stores with a merged snapshot */
+  onApply: (snapshot: UserDataSnapshot) => void;
+}
+
+interface UseUserDataSyncReturn {
+  isSignedIn: boolean;
+  isLoggingIn: boolean;
+  status: SyncStatus;
+  conflicts: SyncConflict[];
+  login: () => void;
+  logout: () => void;
+  queueChange: <K extends UserDataStore>(store: K, value: UserDataSnapshot[K]) => void;
+  resolveConflict: (conflict: SyncConflict, choice: 'local' | 'remote') => void;
+}
+
+const STORES: UserDataStore[] = [
+  'currentEnergy',
+  'currentTask',
+  'backlog',
+  'stats',
+  'streakCompletedTasks',
+  'brainDumpDraft',
+  'brainDumpItems',
+  'completedTasks',
+];
+
+const SAVE_TARGETS: SaveTarget[] = [
+  'backlog',
+  'currentTask',
+  'currentEnergy',
+  'stats',
+  'streakCompletedTasks',
+  'brainDump',
+  'completedTasks',
+];
+
+function storesFor(target: SaveTarget): UserDataStore[] {
+  return target === 'brainDump' ? ['brainDumpDraft', 'brainDumpItems'] : [target];
+}
+
+async function writeTarget(
+  actor: backendInterface,
+  target: SaveTarget,
+  snapshot: UserDataSnapshot
+): Promise<void> {
+  switch (target) {
+    case 'backlog':
+      return actor.saveBacklog(snapshot.backlog.map(toStoredRecord));
+    case 'currentTask':
+      return actor.saveCurrentTask(snapshot.currentTask ? toStoredRecord(snapshot.currentTask) : null);
+    case 'currentEnergy':
+      if (!snapshot.currentEnergy) return;
+      return actor.saveCurrentEnergy(snapshot.currentEnergy);
+    case 'stats':
+      return actor.saveStats(toBackendStats(snapshot.stats));
+    case 'streakCompletedTasks':
+      return actor.saveStreakCompletedTasks(toBackendStreakCompletedTasks(snapshot.streakCompletedTasks));
+    case 'brainDump':
+      return actor.saveBrainDump(
+        snapshot.brainDumpDraft,
+        snapshot.brainDumpItems.map(toStoredRecord)
+      );
+    case 'completedTasks':
+      return actor.saveCompletedTasks(snapshot.completedTasks.map(toStoredRecord));
+  }
+}
+
+function storeJson(snapshot: UserDataSnapshot): Partial<Record<UserDataStore, string>> {
+  return Object.fromEntries(STORES.map((store) => [store, JSON.stringify(snapshot[store])]));
+}
+
+function useOnlineStatus(): boolean {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
+
+/**
+ * Offline-first sync of the signed-in user's stores with the backend canister.
+ * Local changes are queued while offline and three-way merged on reconnect;
+ * anything that cannot be merged is kept as a conflict for the user to resolve.
+ */
+export function useUserDataSync({
+  enabled,
+  snapshot,
+  onApply,
+}: UseUserDataSyncOptions): UseUserDataSyncReturn {
+  const { identity, login, clear, isLoggingIn } = useInternetIdentity();
+  const { actor, isFetching } = useActor();
+  const isOnline = useOnlineStatus();
+
+  const principal = identity?.getPrincipal();
+  const isSignedIn = !!principal && !principal.isAnonymous();
+  const principalText = isSignedIn ? principal.toString() : null;
+
+  const [pendingStores, setPendingStores] = useState<UserDataStore[]>(loadSyncQueue);
+  const [conflicts, setConflicts] = useState<SyncConflict[]>(loadSyncConflicts);
+  const [syncedPrincipal, setSyncedPrincipal] = useState<string | null>(null);
+
+  const snapshotRef = useRef(snapshot);
+  snapshotRef.current = snapshot;
+  const onApplyRef = useRef(onApply);
+  onApplyRef.current = onApply;
+
+  // Store values as of the last sync, so re-applying merged data is not queued again
+  const syncedJsonRef = useRef<Partial<Record<UserDataStore, string>>>({});
+  const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Only one sync runs at a time; a request made meanwhile runs once it settles
+  const isInFlightRef = useRef(false);
+  const rerunRef = useRef(false);
+  const failuresRef = useRef(0);
+
+  const canSync = enabled && isSignedIn && isOnline && !!actor && !isFetching;
+  const canSyncRef = useRef(canSync);
+  canSyncRef.current = canSync;
+
+  const updatePendingStores = useCallback((update: (prev: UserDataStore[]) => UserDataStore[]) => {
+    setPendingStores((prev) => {
+      const next = update(prev);
+      saveSyncQueue(next);
+      return next;
+    });
+  }, []);
+
+  const updateConflicts = useCallback((next: SyncConflict[]) => {
+    saveSyncConflicts(next);
+    setConflicts(next);
+  }, []);
+
+  const {
+    mutate: runSync,
+    isPending: isSyncing,
+    isError,
+  } = useMutation({
+    mutationFn: async () => {
+      if (!actor || !principalText) return null;
+
+      const local = snapshotRef.current;
+      const localJson = JSON.stringify(local);
+      const data = await actor.getUserData();
+      const remote = data ? fromBackendUserData(data) : null;
+      const base = loadSyncBase(principalText);
+
+      const { merged, conflicts: found } = remote
+        ? mergeSnapshots(base, local, remote)
+        : { merged: local, conflicts: [] };
+
+      // Conflicting records stay as they are on the canister and in the base,
+      // so the next sync sees the same conflict until the user resolves it
+      let pushed = merged;
+      let nextBase = merged;
+      found.forEach((conflict) => {
+        pushed = replaceRecord(pushed, conflict.collection, conflict.id, conflict.remote);
+        nextBase = replaceRecord(
+          nextBase,
+          conflict.collection,
+          conflict.id,
+          findRecord(base, conflict.collection, conflict.id)
+        );
+      });
+
+      const remoteJson = remote ? storeJson(remote) : {};
+      const pushedJson = storeJson(pushed);
+      const changedTargets = SAVE_TARGETS.filter((target) =>
+        storesFor(target).some((store) => pushedJson[store] !== remoteJson[store])
+      );
+      await Promise.all(changedTargets.map((target) => writeTarget(actor, target, pushed)));
+
+      saveSyncBase(principalText, nextBase);
+      return { principal: principalText, merged, conflicts: found, local, localJson };
+    },
+    onSuccess: (result) => {
+      failuresRef.current = 0;
+      if (!result) return;
+      updateConflicts(result.conflicts);
+      setSyncedPrincipal(result.principal);
+
+      // The base now includes the remote edits, so the merged data has to be applied even if
+      // there were local edits while the sync was in flight. Those edits are replayed on top
+      // of it (winning any clash) and synced next time.
+      const current = snapshotRef.current;
+      const currentJson = JSON.stringify(current);
+      const hasInFlightEdits = currentJson !== result.localJson;
+      const next = hasInFlightEdits ? mergeSnapshots(result.local, current, result.merged).merged : result.merged;
+
+      syncedJsonRef.current = storeJson(result.merged);
+      const nextJson = storeJson(next);
+      updatePendingStores(() => STORES.filter((store) => nextJson[store] !== syncedJsonRef.current[store]));
+      if (JSON.stringify(next) !== currentJson) {
+        onApplyRef.current(next);
+      }
+      if (hasInFlightEdits) scheduleSync();
+    },
+    onError: (error) => {
+      console.error('Error syncing with backend:', error);
+      failuresRef.current += 1;
+      const delay = Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, failuresRef.current - 1), SYNC_RETRY_MAX_MS);
+      scheduleSync(delay);
+    },
+    onSettled: () => {
+      isInFlightRef.current = false;
+      if (rerunRef.current) {
+        rerunRef.current = false;
+        requestSync();
+      }
+    },
+  });
+
+  const requestSync = useCallback(() => {
+    if (isInFlightRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+    isInFlightRef.current = true;
+    runSync();
+  }, [runSync]);
+
+  const scheduleSync = useCallback(
+    (delay: number = SYNC_DEBOUNCE_MS) => {
+      if (timerRef.current) clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null;
+        if (canSyncRef.current) requestSync();
+      }, delay);
+    },
+    [requestSync]
+  );
+
+  // Sync once per signed-in user, and again whenever we come back online with queued changes
+  useEffect(() => {
+    if (!canSync) return;
+    if (syncedPrincipal !== principalText || pendingStores.length > 0) {
+      requestSync();
+    }
+  }, [canSync, principalText]);
+
+  useEffect(() => {
+    return () => {
+      if (timerRef.current) clearTimeout(timerRef.current);
+    };
+  }, []);
+
+  const queueChange = useCallback(
+    <K extends UserDataStore>(store: K, value: UserDataSnapshot[K]) => {
+      if (syncedJsonRef.current[store] === JSON.stringify(value)) return;
+
+      updatePendingStores((prev) => (prev.includes(store) ? prev : [...prev, store]));
+      if (canSync) scheduleSync();
+    },
+    [canSync, scheduleSync, updatePendingStores]
+  );
+
+  const resolveConflict = useCallback(
+    (conflict: SyncConflict, choice: 'local' | 'remote') => {
+      const resolved = resolveConflictRecord(conflict, choice);
+
+      // Treat the canister's copy as the common ancestor so the choice wins next sync
+      if (principalText) {
+        const base = loadSyncBase(principalText);
+        if (base) {
+          saveSyncBase(
+            principalText,
+            replaceRecord(base, conflict.collection, conflict.id, conflict.remote)
+          );
+        }
+      }
+
+      onApplyRef.current(
+        replaceRecord(
+          snapshotRef.current,
+          conflict.collection,
+          conflict.id,
+          resolved ? touchRecord(resolved) : null
+        )
+      );
+      updateConflicts(conflicts.filter((c) => c.id !== conflict.id));
+      if (canSync) scheduleSync();
+    },
+    [principalText, conflicts, canSync, scheduleSync, updateConflicts]
+  );
+
+  const logout = useCallback(() => {
+    setSyncedPrincipal(null);
+    syncedJsonRef.current = {};
+    clear();
+  }, [clear]);
+
+  let status: SyncStatus;
+  if (!isSignedIn) status = 'signedOut';
+  else if (!isOnline) status = 'offline';
+  else if (isSyncing) status = 'syncing';
+  else if (isError) status = 'error';
+  else if (pendingStores.length > 0) status = 'pending';
+  else status = 'synced';
+
+  return {
+    isSignedIn,
+    isLoggingIn,
+    status,
+    conflicts,
+    login,
+    logout,
+    queueChange,
+    resolveConflict,
+  };
+}
@@ -0,0 +1,126 @@
+// Conversion helpers between client-side stores and the backend canister records
+
+import type {
+  StoredRecord,
+  StreakCompletedTask as BackendStreakCompletedTask,
+  UserData,
+  UserStats as BackendUserStats,
+} from '../backend';
+import {
+  normalizeBacklogTask,
+  normalizeBrainDumpItem,
+  normalizeCompletedTask,
+  type BacklogTask,
+  type BrainDumpItem,
+  type CompletedTask,
+} from './taskModels';
+import type { StreakCompletedTask } from './streakCompletedTasksStorage';
+
+export interface UserStats {
+  completed: number;
+  streak: number;
+  totalTime: number;
+}
+
+/**
+ * Every store the app persists, keyed the same way on the client and in the canister
+ */
+export interface UserDataSnapshot {
+  currentEnergy: string | null;
+  currentTask: BacklogTask | null;
+  backlog: BacklogTask[];
+  stats: UserStats;
+  streakCompletedTasks: StreakCompletedTask[];
+  brainDumpDraft: string;
+  brainDumpItems: BrainDumpItem[];
+  completedTasks: CompletedTask[];
+}
+
+export type UserDataStore = keyof UserDataSnapshot;
+
+/**
+ * Normalize stats loaded from storage or a backup
+ */
+export function normalizeUserStats(stats: any): UserStats {
+  return {
+    completed: Number(stats?.completed) || 0,
+    streak: Number(stats?.streak) || 0,
+    totalTime: Number(stats?.totalTime) || 0,
+  };
+}
+
+function toNat(value: number | undefined): bigint {
+  return BigInt(Math.max(0, Math.round(value || 0)));
+}
+
+/**
+ * Wrap a task or brain dump item as an opaque JSON record for the canister
+ */
+export function toStoredRecord(record: { id: string; updatedAt?: number }): StoredRecord {
+  return {
+    id: record.id,
+    updatedAt: BigInt(Math.round(record.updatedAt || Date.now())),
+    payload: JSON.stringify(record),
+  };
+}
+
+/**
+ * Unwrap stored records, skipping any payload that is not valid JSON
+ */
+function fromStoredRecords<T>(records: StoredRecord[], normalize: (value: any) => T): T[] {
+  const result: T[] = [];
+  for (const record of records) {
+    try {
+      result.push(normalize(JSON.parse(record.payload)));
+    } catch (error) {
+      console.error(`Error reading stored record ${record.id}:`, error);
+    }
+  }
+  return result;
+}
+
+export function toBackendStats(stats: UserStats): BackendUserStats {
+  return {
+    completed: toNat(stats.completed),
+    streak: toNat(stats.streak),
+    totalTime: toNat(stats.totalTime),
+  };
+}
+
+export function toBackendStreakCompletedTasks(
+  tasks: StreakCompletedTask[]
+): BackendStreakCompletedTask[] {
+  return tasks.map((task) => ({
+    title: task.title,
+    completedAt: BigInt(Math.round(task.completedAt)),
+  }));
+}
+
+/**
+ * Convert canister user data into the same shapes the app loads from localStorage
+ */
+export function fromBackendUserData(data: UserData): UserDataSnapshot {
+  const [currentTask] = data.currentTask
+    ? fromStoredRecords([data.currentTask], normalizeBacklogTask)
+    : [];
+
+  return {
+    currentEnergy: data.currentEnergy ?? null,
+    currentTask: currentTask ?? null,
+    backlog: fromStoredRecords(data.backlog, normalizeBacklogTask),
+    stats: data.stats
+      ? {
+          completed: Number(data.stats.completed),
+          streak: Number(data.stats.streak),
+          totalTime: Number(data.stats.totalTime),
+        }
+      : { completed: 0, streak: 0, totalTime: 0 },
+    streakCompletedTasks: data.streakCompletedTasks.map((task) => ({
+      title: task.title,
+      completedAt: Number(task.completedAt),
+    })),
+    brainDumpDraft: data.brainDumpDraft,
+    brainDumpItems: fromStoredRecords(data.brainDumpItems, normalizeBrainDumpItem),
+    completedTasks: fromStoredRecords(data.completedTasks, normalizeCompletedTask),
+  };
+}
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { toggleVisibleSelection } from './backlogQuery';
+
+describe('toggleVisibleSelection', () => {
+  it('adds the visible rows to a selection made under another filter', () => {
+    const next = toggleVisibleSelection(new Set(['hidden']), ['a', 'b']);
+    expect([...next].sort()).toEqual(['a', 'b', 'hidden']);
+  });
+
+  it('selects the rest of the visible rows when only some are selected', () => {
+    const next = toggleVisibleSelection(new Set(['a', 'hidden']), ['a', 'b']);
+    expect([...next].sort()).toEqual(['a', 'b', 'hidden']);
+  });
+
+  it('clears only the visible rows when they are all selected', () => {
+    const next = toggleVisibleSelection(new Set(['a', 'b', 'hidden']), ['a', 'b']);
+    expect([...next]).toEqual(['hidden']);
+  });
+
+  it('leaves the given selection untouched', () => {
+    const selected = new Set(['a']);
+    toggleVisibleSelection(selected, ['a', 'b']);
+    expect([...selected]).toEqual(['a']);
+  });
+});
@@ -0,0 +1,84 @@
+// Search, sorting and row selection for the backlog table
+
+import type { BacklogTask } from './taskModels';
+import type { FrictionEvent } from './frictionStats';
+import { compareByDue } from './timelineParser';
+
+export type BacklogSortKey = 'created' | 'timeline' | 'estimate' | 'energy' | 'friction';
+
+export interface BacklogSort {
+  key: BacklogSortKey;
+  direction: 'asc' | 'desc';
+}
+
+interface SortContext {
+  /** Energy keys from most to least demanding */
+  energyOrder: string[];
+  frictionCounts: Map<string, number>;
+}
+
+/**
+ * Check whether a task matches a free-text search query across its title, why, notes and steps.
+ * `query` is expected trimmed and lower-cased.
+ */
+export function matchesTaskQuery(
+  task: Pick<BacklogTask, 'title' | 'why' | 'note' | 'steps'>,
+  query: string
+): boolean {
+  if (!query) return true;
+  const haystack = [task.title, task.why, task.note, ...task.steps.map((step) => step.text)]
+    .join(' ')
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+/**
+ * Number of logged skips per task id
+ */
+export function frictionCountsByTask(events: FrictionEvent[]): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const event of events) {
+    counts.set(event.taskId, (counts.get(event.taskId) || 0) + 1);
+  }
+  return counts;
+}
+
+function compareBy(key: BacklogSortKey, a: BacklogTask, b: BacklogTask, context: SortContext): number {
+  switch (key) {
+    case 'created':
+      return a.createdAt - b.createdAt;
+    case 'timeline':
+      return compareByDue(a, b);
+    case 'estimate':
+      return a.estimatedMinutes - b.estimatedMinutes;
+    case 'energy':
+      return context.energyOrder.indexOf(a.energy) - context.energyOrder.indexOf(b.energy);
+    case 'friction':
+      return (context.frictionCounts.get(a.id) || 0) - (context.frictionCounts.get(b.id) || 0);
+  }
+}
+
+/**
+ * Sort a copy of the backlog. Undated tasks stay last when sorting by timeline in either
+ * direction, and ties keep the oldest task first.
+ */
+export function sortBacklog(tasks: BacklogTask[], sort: BacklogSort, context: SortContext): BacklogTask[] {
+  const sign = sort.direction === 'asc' ? 1 : -1;
+  return [...tasks].sort((a, b) => {
+    if (sort.key === 'timeline' && !a.plannedDue !== !b.plannedDue) {
+      return a.plannedDue ? -1 : 1;
+    }
+    return sign * compareBy(sort.key, a, b, context) || a.createdAt - b.createdAt;
+  });
+}
+
+/**
+ * Select every visible row, or clear them when they're all selected already. Rows hidden
+ * by the current search or filter keep their selection either way.
+ */
+export function toggleVisibleSelection(selectedIds: Set<string>, visibleIds: string[]): Set<string> {
+  const next = new Set(selectedIds);
+  const allSelected = visibleIds.every((id) => selectedIds.has(id));
+  visibleIds.forEach((id) => (allSelected ? next.delete(id) : next.add(id)));
+  return next;
+}
@@ -0,0 +1,207 @@
+// Completion event history and the aggregations behind the stats dashboard
+
+import {
+  eachDayOfInterval,
+  eachWeekOfInterval,
+  endOfDay,
+  format,
+  startOfDay,
+  startOfWeek,
+  subDays,
+} from 'date-fns';
+import type { CompletedTask } from './taskModels';
+
+export interface CompletionEvent {
+  id: string;
+  taskId: string;
+  title: string;
+  energy: string;
+  completedAt: number;
+  actualMinutes: number;
+  estimatedMinutes: number;
+  streak: number; // streak length right after this completion
+  pomodoros: number; // pomodoro work intervals spent on the task
+}
+
+export interface CompletionBucket {
+  key: string;
+  label: string;
+  completions: number;
+  minutes: number;
+}
+
+export interface EnergyTimeSummary {
+  energy: string;
+  completions: number;
+  minutes: number;
+  averageActual: number;
+  averageEstimated: number;
+  pomodoros: number;
+}
+
+export interface RangeTrend {
+  completions: number;
+  previousCompletions: number;
+  minutes: number;
+  previousMinutes: number;
+}
+
+/**
+ * Normalize a completion event loaded from storage
+ */
+export function normalizeCompletionEvent(event: any): CompletionEvent {
+  return {
+    id: event.id || `completion-${event.completedAt}-${event.taskId}`,
+    taskId: event.taskId || '',
+    title: event.title || '',
+    energy: event.energy || 'STEADY',
+    completedAt: event.completedAt || Date.now(),
+    actualMinutes: event.actualMinutes || 0,
+    estimatedMinutes: event.estimatedMinutes || 0,
+    streak: event.streak || 0,
+    pomodoros: event.pomodoros || 0,
+  };
+}
+
+/**
+ * Create the history event recorded when a task is completed
+ */
+export function createCompletionEvent(task: CompletedTask, streak: number): CompletionEvent {
+  return {
+    id: `completion-${task.completedAt}-${Math.random().toString(36).substr(2, 9)}`,
+    taskId: task.id,
+    title: task.title,
+    energy: task.energy,
+    completedAt: task.completedAt,
+    actualMinutes: task.actualMinutes,
+    estimatedMinutes: task.estimatedMinutes,
+    streak,
+    pomodoros: task.focusIntervals?.length || 0,
+  };
+}
+
+/**
+ * Seed the event history from the completed task archive for data saved
+ * before events were recorded. Streak lengths are unknown for these.
+ */
+export function completionEventsFromArchive(tasks: CompletedTask[]): CompletionEvent[] {
+  return tasks
+    .map((task) => createCompletionEvent(task, 0))
+    .sort((a, b) => a.completedAt - b.completedAt);
+}
+
+/**
+ * Keep only events inside the last `days` days (including today)
+ */
+export function eventsInRange(
+  events: CompletionEvent[],
+  days: number,
+  now: number = Date.now()
+): CompletionEvent[] {
+  const start = startOfDay(subDays(now, days - 1)).getTime();
+  const end = endOfDay(now).getTime();
+  return events.filter((e) => e.completedAt >= start && e.completedAt <= end);
+}
+
+function bucketEvents(
+  events: CompletionEvent[],
+  starts: Date[],
+  keyOf: (timestamp: number) => Date,
+  labelFormat: string
+): CompletionBucket[] {
+  const buckets = new Map<string, CompletionBucket>(
+    starts.map((start) => {
+      const key = format(start, 'yyyy-MM-dd');
+      return [key, { key, label: format(start, labelFormat), completions: 0, minutes: 0 }];
+    })
+  );
+  events.forEach((event) => {
+    const bucket = buckets.get(format(keyOf(event.completedAt), 'yyyy-MM-dd'));
+    if (!bucket) return;
+    bucket.completions += 1;
+    bucket.minutes += event.actualMinutes;
+  });
+  return [...buckets.values()];
+}
+
+/**
+ * Count completions and focused minutes for each day of the range
+ */
+export function completionsPerDay(
+  events: CompletionEvent[],
+  days: number,
+  now: number = Date.now()
+): CompletionBucket[] {
+  const dayStarts = eachDayOfInterval({ start: subDays(now, days - 1), end: now });
+  return bucketEvents(eventsInRange(events, days, now), dayStarts, (t) => startOfDay(t), 'MMM d');
+}
+
+/**
+ * Count completions and focused minutes for each week (starting Monday) of the range
+ */
+export function completionsPerWeek(
+  events: CompletionEvent[],
+  days: number,
+  now: number = Date.now()
+): CompletionBucket[] {
+  const weeks = eachWeekOfInterval(
+    { start: subDays(now, days - 1), end: now },
+    { weekStartsOn: 1 }
+  );
+  return bucketEvents(
+    eventsInRange(events, days, now),
+    weeks,
+    (t) => startOfWeek(t, { weekStartsOn: 1 }),
+    "'Wk of' MMM d"
+  );
+}
+
+/**
+ * Summarize focused time, pomodoros and estimate accuracy per energy level
+ */
+export function summarizeByEnergy(
+  events: CompletionEvent[],
+  energyKeys: string[]
+): EnergyTimeSummary[] {
+  return energyKeys.map((energy) => {
+    const matching = events.filter((e) => e.energy === energy);
+    const minutes = matching.reduce((sum, e) => sum + e.actualMinutes, 0);
+    const estimated = matching.reduce((sum, e) => sum + e.estimatedMinutes, 0);
+    const pomodoros = matching.reduce((sum, e) => sum + e.pomodoros, 0);
+    const count = matching.length;
+    return {
+      energy,
+      completions: count,
+      minutes,
+      averageActual: count ? Math.round(minutes / count) : 0,
+      averageEstimated: count ? Math.round(estimated / count) : 0,
+      pomodoros,
+    };
+  });
+}
+
+/**
+ * Compare the selected range with the same-length range right before it
+ */
+export function rangeTrend(
+  events: CompletionEvent[],
+  days: number,
+  now: number = Date.now()
+): RangeTrend {
+  const current = eventsInRange(events, days, now);
+  const previous = eventsInRange(events, days, subDays(now, days).getTime());
+  const sumMinutes = (list: CompletionEvent[]) => list.reduce((sum, e) => sum + e.actualMinutes, 0);
+  return {
+    completions: current.length,
+    previousCompletions: previous.length,
+    minutes: sumMinutes(current),
+    previousMinutes: sumMinutes(previous),
+  };
+}
+
+/**
+ * Longest streak ever reached, including the one in progress
+ */
+export function longestStreak(events: CompletionEvent[], currentStreak: number): number {
+  return events.reduce((max, e) => Math.max(max, e.streak), currentStreak);
+}
@@ -0,0 +1,276 @@
+// Versioned JSON backups of every local store, and restoring them by merge or replace
+
+import type { BacklogTask, BrainDumpItem, CompletedTask } from './taskModels';
+import type { CompletionEvent } from './completionStats';
+import type { FrictionEvent } from './frictionStats';
+import type { EnergyCheckIn } from './energyCheckins';
+import { DEFAULT_POMODORO_SETTINGS, type PomodoroSettings } from './timebox';
+import { DEFAULT_ENERGY_RECHECK_SETTINGS, type EnergyRecheckSettings } from './energyRecheck';
+import { DEFAULT_STREAK_POLICY, type StreakPolicy } from './streakPolicy';
+import type { ArchivedStreak, StreakCompletedTask } from './streakCompletedTasksStorage';
+import type { UserStats } from './backendUserData';
+import { STORAGE_SCHEMA_VERSION, migrateStoredData, readStoredValue } from './storageSchema';
+
+export const BACKUP_FORMAT = 'focus-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export type RestoreMode = 'merge' | 'replace';
+
+export interface BackupData {
+  currentEnergy: string | null;
+  currentTask: BacklogTask | null;
+  backlog: BacklogTask[];
+  stats: UserStats;
+  brainDumpDraft: string;
+  brainDumpItems: BrainDumpItem[];
+  completedTasks: CompletedTask[];
+  completionEvents: CompletionEvent[];
+  frictionEvents: FrictionEvent[];
+  pomodoroSettings: PomodoroSettings;
+  energyCheckIns: EnergyCheckIn[];
+  energyRecheckSettings: EnergyRecheckSettings;
+  streakPolicy: StreakPolicy;
+  streakCompletedTasks: StreakCompletedTask[];
+  streakArchive: ArchivedStreak[];
+}
+
+export interface BackupFile {
+  format: typeof BACKUP_FORMAT;
+  schemaVersion: number;
+  /** Storage schema the stores in data were written with; files without it used version 1 */
+  storageSchemaVersion?: number;
+  exportedAt: number;
+  data: BackupData;
+}
+
+export type ParsedBackup =
+  | { ok: true; exportedAt: number | null; schemaVersion: number; data: BackupData; skipped: number }
+  | { ok: false; error: string };
+
+export interface RestoreChange {
+  label: string;
+  added: number;
+  updated: number;
+  removed: number;
+}
+
+// The backup schemaVersion only describes the file layout: version 0 files are raw dumps of
+// localStorage, version 1 files name each store. The records inside are upgraded one store at a
+// time by the storage migrations, so a storage schema bump needs no backup migration of its own.
+const STORE_STORAGE_KEYS: Record<string, keyof BackupData> = {
+  'current-energy': 'currentEnergy',
+  'current-task': 'currentTask',
+  'tasks-backlog': 'backlog',
+  'user-stats': 'stats',
+  'brain-dump-draft': 'brainDumpDraft',
+  'brain-dump-items': 'brainDumpItems',
+  'completed-tasks': 'completedTasks',
+  'completion-events': 'completionEvents',
+  'friction-events': 'frictionEvents',
+  'pomodoro-settings': 'pomodoroSettings',
+  'energy-checkins': 'energyCheckIns',
+  'energy-recheck-settings': 'energyRecheckSettings',
+  'streak-policy': 'streakPolicy',
+  'streak-completed-tasks': 'streakCompletedTasks',
+  'streak-archive': 'streakArchive',
+};
+
+// What a store restores as when the backup doesn't have it or none of it could be read
+const EMPTY_BACKUP_DATA: BackupData = {
+  currentEnergy: null,
+  currentTask: null,
+  backlog: [],
+  stats: { completed: 0, streak: 0, totalTime: 0 },
+  brainDumpDraft: '',
+  brainDumpItems: [],
+  completedTasks: [],
+  completionEvents: [],
+  frictionEvents: [],
+  pomodoroSettings: DEFAULT_POMODORO_SETTINGS,
+  energyCheckIns: [],
+  energyRecheckSettings: DEFAULT_ENERGY_RECHECK_SETTINGS,
+  streakPolicy: DEFAULT_STREAK_POLICY,
+  streakCompletedTasks: [],
+  streakArchive: [],
+};
+
+// Each store is read the way localStorage is: a dump holds the stored JSON text, in the storage
+// envelope or from before it existed, and a named store holds data at storageSchemaVersion
+function migrateStores(
+  stores: Record<string, any>,
+  storageSchemaVersion: number | null
+): { data: BackupData; skipped: number } {
+  const data: Record<string, any> = { ...EMPTY_BACKUP_DATA };
+  let skipped = 0;
+  for (const [storageKey, store] of Object.entries(STORE_STORAGE_KEYS)) {
+    const value = storageSchemaVersion === null ? stores[storageKey] : stores[store];
+    if (value === undefined) continue;
+    const loaded =
+      storageSchemaVersion === null
+        ? readStoredValue(storageKey, typeof value === 'string' ? value : JSON.stringify(value))
+        : migrateStoredData(storageKey, value, storageSchemaVersion);
+    if (loaded.value !== null) data[store] = loaded.value;
+    skipped += loaded.quarantined.length;
+  }
+  return { data: data as BackupData, skipped };
+}
+
+const RECORD_COLLECTIONS: { key: keyof BackupData; label: string }[] = [
+  { key: 'backlog', label: 'Backlog tasks' },
+  { key: 'completedTasks', label: 'Completed tasks' },
+  { key: 'brainDumpItems', label: 'Brain dump items' },
+  { key: 'completionEvents', label: 'Completion history' },
+  { key: 'frictionEvents', label: 'Skip history' },
+  { key: 'energyCheckIns', label: 'Energy check-ins' },
+  { key: 'streakArchive', label: 'Past streaks' },
+];
+
+/**
+ * Serialize every store into a backup file
+ */
+export function createBackup(data: BackupData, now: number = Date.now()): string {
+  const backup: BackupFile = {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    storageSchemaVersion: STORAGE_SCHEMA_VERSION,
+    exportedAt: now,
+    data,
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * Validate a backup file's text and bring it up to the current schema
+ */
+export function parseBackup(text: string): ParsedBackup {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { ok: false, error: "This file isn't valid JSON." };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { ok: false, error: "This file doesn't look like a backup." };
+  }
+
+  const isVersioned = parsed.format === BACKUP_FORMAT;
+  if (!isVersioned && !Object.keys(STORE_STORAGE_KEYS).some((key) => key in parsed)) {
+    return { ok: false, error: "This file doesn't look like a backup." };
+  }
+  const schemaVersion = isVersioned ? Number(parsed.schemaVersion) : 0;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+    return { ok: false, error: 'The backup has an unknown schema version.' };
+  }
+  if (schemaVersion > BACKUP_SCHEMA_VERSION) {
+    return { ok: false, error: 'This backup was made by a newer version of the app. Update the app and try again.' };
+  }
+  if (isVersioned && (!parsed.data || typeof parsed.data !== 'object')) {
+    return { ok: false, error: 'The backup has no data in it.' };
+  }
+
+  const storageSchemaVersion = isVersioned ? (parsed.storageSchemaVersion ?? 1) : null;
+  if (storageSchemaVersion !== null && !Number.isInteger(storageSchemaVersion)) {
+    return { ok: false, error: 'The backup has an unknown schema version.' };
+  }
+  if (storageSchemaVersion !== null && storageSchemaVersion > STORAGE_SCHEMA_VERSION) {
+    return { ok: false, error: 'This backup was made by a newer version of the app. Update the app and try again.' };
+  }
+
+  const { data, skipped } = migrateStores(isVersioned ? parsed.data : parsed, storageSchemaVersion);
+  return {
+    ok: true,
+    exportedAt: isVersioned && typeof parsed.exportedAt === 'number' ? parsed.exportedAt : null,
+    schemaVersion,
+    data,
+    skipped,
+  };
+}
+
+function newerRecord<T extends { revision?: number; updatedAt?: number }>(current: T, incoming: T): T {
+  const currentStamp = [current.revision || 0, current.updatedAt || 0];
+  const incomingStamp = [incoming.revision || 0, incoming.updatedAt || 0];
+  const incomingIsNewer =
+    incomingStamp[0] > currentStamp[0] ||
+    (incomingStamp[0] === currentStamp[0] && incomingStamp[1] > currentStamp[1]);
+  return incomingIsNewer ? incoming : current;
+}
+
+function mergeById<T extends { id: string; revision?: number; updatedAt?: number }>(current: T[], incoming: T[]): T[] {
+  const incomingById = new Map(incoming.map((record) => [record.id, record]));
+  const merged = current.map((record) => {
+    const match = incomingById.get(record.id);
+    return match ? newerRecord(record, match) : record;
+  });
+  const currentIds = new Set(current.map((record) => record.id));
+  return [...merged, ...incoming.filter((record) => !currentIds.has(record.id))];
+}
+
+/**
+ * Combine a backup with this device's data. Records are matched by id and the most
+ * recently revised copy wins; settings, stats, streaks and the current task stay as
+ * they are here, unless nothing is in progress on this device.
+ */
+export function mergeBackupData(current: BackupData, incoming: BackupData): BackupData {
+  const completedTasks = mergeById(current.completedTasks, incoming.completedTasks);
+  const completedIds = new Set(completedTasks.map((task) => task.id));
+  const incomingCurrent =
+    incoming.currentTask && !completedIds.has(incoming.currentTask.id) ? incoming.currentTask : null;
+  const currentTask = current.currentTask || incomingCurrent;
+
+  // The backup's task in progress waits in the backlog when this device is busy with another
+  const incomingBacklog = [...incoming.backlog];
+  if (incomingCurrent && incomingCurrent.id !== currentTask?.id) {
+    const { timer, timebox, ...displaced } = incomingCurrent;
+    incomingBacklog.push(displaced);
+  }
+
+  // A task lives in one place only: completed beats current, current beats backlog
+  const backlog = mergeById(current.backlog, incomingBacklog).filter(
+    (task) => !completedIds.has(task.id) && task.id !== currentTask?.id
+  );
+
+  return {
+    ...current,
+    currentTask,
+    backlog,
+    completedTasks,
+    brainDumpItems: mergeById(current.brainDumpItems, incoming.brainDumpItems),
+    completionEvents: mergeById(current.completionEvents, incoming.completionEvents).sort(
+      (a, b) => a.completedAt - b.completedAt
+    ),
+    frictionEvents: mergeById(current.frictionEvents, incoming.frictionEvents).sort(
+      (a, b) => a.timestamp - b.timestamp
+    ),
+    energyCheckIns: mergeById(current.energyCheckIns, incoming.energyCheckIns).sort(
+      (a, b) => a.timestamp - b.timestamp
+    ),
+    streakArchive: mergeById(current.streakArchive, incoming.streakArchive).sort((a, b) => a.endedAt - b.endedAt),
+  };
+}
+
+/**
+ * The data a restore would leave behind
+ */
+export function restoredData(current: BackupData, incoming: BackupData, mode: RestoreMode): BackupData {
+  return mode === 'replace' ? incoming : mergeBackupData(current, incoming);
+}
+
+/**
+ * Per-collection counts of records a restore adds, changes and removes, for the preview
+ */
+export function describeRestore(current: BackupData, result: BackupData): RestoreChange[] {
+  return RECORD_COLLECTIONS.map(({ key, label }) => {
+    const before = new Map((current[key] as { id: string }[]).map((record) => [record.id, record]));
+    const after = result[key] as { id: string }[];
+    const afterIds = new Set(after.map((record) => record.id));
+    let added = 0;
+    let updated = 0;
+    for (const record of after) {
+      const previous = before.get(record.id);
+      if (!previous) added += 1;
+      else if (JSON.stringify(previous) !== JSON.stringify(record)) updated += 1;
+    }
+    const removed = [...before.keys()].filter((id) => !afterIds.has(id)).length;
+    return { label, added, updated, removed };
+  });
+}
@@ -37,9 +37,16 @@ export function formatPlannedTimeline(timeline: string | undefined): string {
 }
 
 /**
- * Format a completion timestamp or return placeholder for incomplete tasks
+ * Format a parsed due window as a day (e.g., "Fri, Feb 20") or a range (e.g., "Feb 16 – Feb 22")
  */
-export function formatCompletedTime(timestamp: number | null | undefined): string {
-  if (!timestamp) return '—';
-  return formatTime(timestamp);
+export function formatDueWindow(due: { start: number; end: number } | null | undefined): string {
+  if (!due) return '—';
+
+  const start = new Date(due.start);
+  const end = new Date(due.end);
+  if (start.toDateString() === end.toDateString()) {
+    return end.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  const options: Intl.DateTimeFormatOptions = { month: 'short', day: 'numeric' };
+  return `${start.toLocaleDateString('en-US', options)} – ${end.toLocaleDateString('en-US', options)}`;
 }
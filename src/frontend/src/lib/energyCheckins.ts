@@ -0,0 +1,124 @@
+// Energy check-in history and the time-of-day / day-of-week patterns built from it
+
+export interface EnergyCheckIn {
+  id: string;
+  energy: string;
+  timestamp: number;
+}
+
+export interface DayPart {
+  key: string;
+  label: string;
+  startHour: number; // inclusive
+  endHour: number; // exclusive, may wrap past midnight
+}
+
+export const DAY_PARTS: DayPart[] = [
+  { key: 'early', label: 'Early morning', startHour: 5, endHour: 8 },
+  { key: 'morning', label: 'Morning', startHour: 8, endHour: 11 },
+  { key: 'midday', label: 'Midday', startHour: 11, endHour: 14 },
+  { key: 'afternoon', label: 'Afternoon', startHour: 14, endHour: 17 },
+  { key: 'evening', label: 'Evening', startHour: 17, endHour: 21 },
+  { key: 'night', label: 'Night', startHour: 21, endHour: 5 },
+];
+
+// Monday first, matching the weekly stats buckets
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export type EnergyCountRow = { key: string; label: string } & Record<string, number | string>;
+
+export interface PeakSlot {
+  weekday: string;
+  dayPart: string;
+  count: number;
+}
+
+/**
+ * Normalize an energy check-in loaded from storage
+ */
+export function normalizeEnergyCheckIn(checkIn: any): EnergyCheckIn {
+  return {
+    id: checkIn.id || `checkin-${checkIn.timestamp}`,
+    energy: checkIn.energy || 'STEADY',
+    timestamp: checkIn.timestamp || Date.now(),
+  };
+}
+
+export function createEnergyCheckIn(energy: string): EnergyCheckIn {
+  const timestamp = Date.now();
+  return {
+    id: `checkin-${timestamp}-${Math.random().toString(36).substr(2, 9)}`,
+    energy,
+    timestamp,
+  };
+}
+
+export function dayPartOf(timestamp: number): DayPart {
+  const hour = new Date(timestamp).getHours();
+  return (
+    DAY_PARTS.find((part) =>
+      part.startHour < part.endHour
+        ? hour >= part.startHour && hour < part.endHour
+        : hour >= part.startHour || hour < part.endHour
+    ) || DAY_PARTS[DAY_PARTS.length - 1]
+  );
+}
+
+export function weekdayOf(timestamp: number): string {
+  // getDay() starts on Sunday
+  return WEEKDAYS[(new Date(timestamp).getDay() + 6) % 7];
+}
+
+function countRows(
+  checkIns: EnergyCheckIn[],
+  energyKeys: string[],
+  rows: { key: string; label: string }[],
+  rowOf: (checkIn: EnergyCheckIn) => string
+): EnergyCountRow[] {
+  const counts: EnergyCountRow[] = rows.map((row) => ({
+    ...row,
+    ...Object.fromEntries(energyKeys.map((energy) => [energy, 0])),
+  }));
+  checkIns.forEach((checkIn) => {
+    const row = counts.find((r) => r.key === rowOf(checkIn));
+    if (row && typeof row[checkIn.energy] === 'number') {
+      row[checkIn.energy] = (row[checkIn.energy] as number) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Check-ins per energy level for each part of the day
+ */
+export function energyByDayPart(checkIns: EnergyCheckIn[], energyKeys: string[]): EnergyCountRow[] {
+  return countRows(checkIns, energyKeys, DAY_PARTS, (c) => dayPartOf(c.timestamp).key);
+}
+
+/**
+ * Check-ins per energy level for each day of the week
+ */
+export function energyByWeekday(checkIns: EnergyCheckIn[], energyKeys: string[]): EnergyCountRow[] {
+  const rows = WEEKDAYS.map((day) => ({ key: day, label: day.slice(0, 3) }));
+  return countRows(checkIns, energyKeys, rows, (c) => weekdayOf(c.timestamp));
+}
+
+/**
+ * The weekday and part of the day when an energy level is reported most,
+ * or null without at least two check-ins in the same slot
+ */
+export function peakSlot(checkIns: EnergyCheckIn[], energy: string): PeakSlot | null {
+  const slots = new Map<string, PeakSlot>();
+  checkIns
+    .filter((checkIn) => checkIn.energy === energy)
+    .forEach((checkIn) => {
+      const weekday = weekdayOf(checkIn.timestamp);
+      const dayPart = dayPartOf(checkIn.timestamp).label;
+      const key = `${weekday}-${dayPart}`;
+      const slot = slots.get(key) || { weekday, dayPart, count: 0 };
+      slots.set(key, { ...slot, count: slot.count + 1 });
+    });
+
+  const best = [...slots.values()].sort((a, b) => b.count - a.count)[0];
+  return best && best.count >= 2 ? best : null;
+}
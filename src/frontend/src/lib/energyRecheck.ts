@@ -0,0 +1,66 @@
+// Settings and triggers for prompting the user to re-check their energy level
+
+import { format, isSameDay } from 'date-fns';
+import type { EnergyCheckIn } from './energyCheckins';
+
+export type EnergyRecheckTrigger = 'completion' | 'focusTime' | 'tiredSkip' | 'newDay' | 'manual';
+
+export interface EnergyRecheckSettings {
+  afterCompletion: boolean;
+  afterFocus: boolean;
+  focusMinutes: number;
+  afterTiredSkip: boolean;
+  firstOpenOfDay: boolean;
+}
+
+export const DEFAULT_ENERGY_RECHECK_SETTINGS: EnergyRecheckSettings = {
+  afterCompletion: true,
+  afterFocus: true,
+  focusMinutes: 90,
+  afterTiredSkip: true,
+  firstOpenOfDay: true,
+};
+
+export const RECHECK_PROMPTS: Record<EnergyRecheckTrigger, string> = {
+  completion: 'Nice work! How is your energy now?',
+  focusTime: "You've been focusing for a while. Still feeling the same?",
+  tiredSkip: 'Sounds like you were running low. Where is your energy now?',
+  newDay: "A new day. How's your energy?",
+  manual: "How's your energy?",
+};
+
+/**
+ * Normalize re-check settings loaded from storage
+ */
+export function normalizeEnergyRecheckSettings(settings: any): EnergyRecheckSettings {
+  const defaults = DEFAULT_ENERGY_RECHECK_SETTINGS;
+  const focusMinutes = Math.round(Number(settings?.focusMinutes));
+  return {
+    afterCompletion: settings?.afterCompletion ?? defaults.afterCompletion,
+    afterFocus: settings?.afterFocus ?? defaults.afterFocus,
+    focusMinutes: focusMinutes > 0 ? focusMinutes : defaults.focusMinutes,
+    afterTiredSkip: settings?.afterTiredSkip ?? defaults.afterTiredSkip,
+    firstOpenOfDay: settings?.firstOpenOfDay ?? defaults.firstOpenOfDay,
+  };
+}
+
+/**
+ * Calendar day as stored for the first-open-of-day prompt
+ */
+export function recheckDay(now: number = Date.now()): string {
+  return format(now, 'yyyy-MM-dd');
+}
+
+/**
+ * Whether the app is opened for the first time today: not yet prompted today, and no
+ * check-in today either (a prompt that was dismissed doesn't leave a check-in behind)
+ */
+export function isFirstOpenToday(
+  lastPromptedDay: string | null,
+  checkIns: EnergyCheckIn[],
+  now: number = Date.now()
+): boolean {
+  if (lastPromptedDay === recheckDay(now)) return false;
+  const last = checkIns[checkIns.length - 1];
+  return !last || !isSameDay(last.timestamp, now);
+}
@@ -0,0 +1,125 @@
+// Estimate calibration: learns how actual time compares with estimates per energy level and title keyword
+
+import type { CompletionEvent } from './completionStats';
+
+export const DEFAULT_ESTIMATE_MINUTES = 30;
+
+// Fewer samples than this are too noisy to calibrate from
+const MIN_SAMPLES = 3;
+
+// Ratios this close to 1 mean the estimates are already about right
+const ACCURATE_MARGIN = 0.1;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'from', 'have', 'into', 'make', 'more', 'some', 'that',
+  'then', 'this', 'with', 'your', 'their', 'them', 'they', 'what', 'when', 'will',
+]);
+
+export interface CalibrationRatio {
+  ratio: number; // actual minutes / estimated minutes
+  samples: number;
+}
+
+export interface EstimateCalibration {
+  overall: CalibrationRatio | null;
+  byEnergy: Record<string, CalibrationRatio>;
+  byKeyword: Record<string, CalibrationRatio>;
+}
+
+export interface EstimateSuggestion {
+  minutes: number;
+  ratio: number;
+  basis: 'keyword' | 'energy';
+  key: string;
+}
+
+/**
+ * Meaningful lowercase words of a task title, used as lightweight tags
+ */
+export function titleKeywords(title: string): string[] {
+  const words = title.toLowerCase().match(/[a-z][a-z'-]+/g) || [];
+  return [...new Set(words.filter((word) => word.length >= 4 && !STOPWORDS.has(word)))];
+}
+
+function ratioOf(events: CompletionEvent[]): CalibrationRatio | null {
+  if (events.length < MIN_SAMPLES) return null;
+  const actual = events.reduce((sum, e) => sum + e.actualMinutes, 0);
+  const estimated = events.reduce((sum, e) => sum + e.estimatedMinutes, 0);
+  return { ratio: actual / estimated, samples: events.length };
+}
+
+function groupRatios(groups: Map<string, CompletionEvent[]>): Record<string, CalibrationRatio> {
+  const ratios: Record<string, CalibrationRatio> = {};
+  groups.forEach((events, key) => {
+    const ratio = ratioOf(events);
+    if (ratio) ratios[key] = ratio;
+  });
+  return ratios;
+}
+
+/**
+ * Build calibration ratios from completions that have both an estimate and tracked time
+ */
+export function buildCalibration(events: CompletionEvent[]): EstimateCalibration {
+  const timed = events.filter((e) => e.estimatedMinutes > 0 && e.actualMinutes > 0);
+
+  const byEnergy = new Map<string, CompletionEvent[]>();
+  const byKeyword = new Map<string, CompletionEvent[]>();
+  timed.forEach((event) => {
+    byEnergy.set(event.energy, [...(byEnergy.get(event.energy) || []), event]);
+    titleKeywords(event.title).forEach((keyword) => {
+      byKeyword.set(keyword, [...(byKeyword.get(keyword) || []), event]);
+    });
+  });
+
+  return {
+    overall: ratioOf(timed),
+    byEnergy: groupRatios(byEnergy),
+    byKeyword: groupRatios(byKeyword),
+  };
+}
+
+/**
+ * Suggest a calibrated estimate for a new task. A matching keyword with enough
+ * history wins over the energy level; returns null when there is nothing to adjust.
+ */
+export function suggestEstimate(
+  calibration: EstimateCalibration,
+  task: { title: string; energy: string; estimatedMinutes?: number }
+): EstimateSuggestion | null {
+  const base = task.estimatedMinutes || DEFAULT_ESTIMATE_MINUTES;
+
+  const keywordMatch = titleKeywords(task.title)
+    .filter((keyword) => calibration.byKeyword[keyword])
+    .sort((a, b) => calibration.byKeyword[b].samples - calibration.byKeyword[a].samples)[0];
+
+  const match: Omit<EstimateSuggestion, 'minutes'> | null = keywordMatch
+    ? { ratio: calibration.byKeyword[keywordMatch].ratio, basis: 'keyword', key: keywordMatch }
+    : calibration.byEnergy[task.energy]
+      ? { ratio: calibration.byEnergy[task.energy].ratio, basis: 'energy', key: task.energy }
+      : null;
+
+  if (!match || Math.abs(match.ratio - 1) < ACCURATE_MARGIN) return null;
+
+  // Round to 5 minutes so suggestions don't look falsely precise
+  const minutes = Math.max(5, Math.round((base * match.ratio) / 5) * 5);
+  if (minutes === base) return null;
+  return { ...match, minutes };
+}
+
+export function formatRatio(ratio: number): string {
+  return `${ratio.toFixed(1)}×`;
+}
+
+/**
+ * Short explanation of a suggestion, e.g. "your Deep Focus tasks usually take 1.6× longer"
+ */
+export function describeSuggestion(suggestion: EstimateSuggestion, energyLabel: string): string {
+  const subject =
+    suggestion.basis === 'keyword'
+      ? `your "${suggestion.key}" tasks`
+      : `your ${energyLabel} tasks`;
+  return suggestion.ratio > 1
+    ? `${subject} usually take ${formatRatio(suggestion.ratio)} longer`
+    : `${subject} usually take only ${formatRatio(suggestion.ratio)} of your estimate`;
+}
@@ -0,0 +1,14 @@
+// Save text generated in the browser as a downloaded file
+
+/**
+ * Trigger a download of `content` under `filename`
+ */
+export function downloadTextFile(filename: string, content: string, mimeType = 'text/plain'): void {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
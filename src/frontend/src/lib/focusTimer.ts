@@ -0,0 +1,69 @@
+// Wall-clock focus timer stored with the current task, so elapsed time survives reloads and tab sleep
+
+export interface TimerSegment {
+  start: number;
+  end: number | null; // null while the timer is running
+  energy: string | null; // energy level selected when the segment started
+}
+
+export interface FocusTimer {
+  segments: TimerSegment[];
+}
+
+export const EMPTY_TIMER: FocusTimer = { segments: [] };
+
+/**
+ * Normalize a timer loaded from storage
+ */
+export function normalizeTimer(timer: any): FocusTimer {
+  if (!timer || !Array.isArray(timer.segments)) return EMPTY_TIMER;
+  return {
+    segments: timer.segments
+      .filter((segment: any) => typeof segment?.start === 'number')
+      .map((segment: any) => ({
+        start: segment.start,
+        end: typeof segment.end === 'number' ? segment.end : null,
+        energy: segment.energy || null,
+      })),
+  };
+}
+
+export function isTimerRunning(timer: FocusTimer): boolean {
+  const last = timer.segments[timer.segments.length - 1];
+  return !!last && last.end === null;
+}
+
+/**
+ * Start or resume the timer
+ */
+export function startTimer(
+  timer: FocusTimer,
+  energy: string | null,
+  now: number = Date.now()
+): FocusTimer {
+  if (isTimerRunning(timer)) return timer;
+  return { segments: [...timer.segments, { start: now, end: null, energy }] };
+}
+
+/**
+ * Pause the timer, closing the running segment
+ */
+export function pauseTimer(timer: FocusTimer, now: number = Date.now()): FocusTimer {
+  if (!isTimerRunning(timer)) return timer;
+  return {
+    segments: timer.segments.map((segment) =>
+      segment.end === null ? { ...segment, end: Math.max(now, segment.start) } : segment
+    ),
+  };
+}
+
+/**
+ * Whole seconds of focus time, counting a running segment up to `now`
+ */
+export function timerElapsedSeconds(timer: FocusTimer, now: number = Date.now()): number {
+  const ms = timer.segments.reduce(
+    (sum, segment) => sum + Math.max(0, (segment.end ?? now) - segment.start),
+    0
+  );
+  return Math.floor(ms / 1000);
+}
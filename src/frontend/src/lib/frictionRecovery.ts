@@ -0,0 +1,78 @@
+// Friction reasons and the re-entry flow each one triggers when a skipped task is picked again
+
+import type { BacklogTask } from './taskModels';
+import { createStep } from './taskSteps';
+
+export const FRICTION_REASONS = [
+  "Didn't know how to start",
+  'Too tired / low energy',
+  'Forgot a dependency or tool',
+  'Lost motivation / unclear why',
+  'Got distracted',
+  'Takes longer than expected',
+];
+
+export type RecoveryFlow = 'firstStep' | 'energy' | 'prerequisites' | 'why' | 'distraction' | 'scope';
+
+const RECOVERY_FLOWS: Record<string, RecoveryFlow> = {
+  "Didn't know how to start": 'firstStep',
+  'Too tired / low energy': 'energy',
+  'Forgot a dependency or tool': 'prerequisites',
+  'Lost motivation / unclear why': 'why',
+  'Got distracted': 'distraction',
+  'Takes longer than expected': 'scope',
+};
+
+/**
+ * The re-entry flow for a friction reason, or null for reasons without one
+ */
+export function recoveryFlowFor(reason: string): RecoveryFlow | null {
+  return RECOVERY_FLOWS[reason] || null;
+}
+
+/**
+ * Put a tiny first step in front of the existing steps, keeping completed steps checked
+ */
+export function addFirstStep(task: BacklogTask, step: string): BacklogTask {
+  return { ...task, steps: [createStep(step), ...task.steps] };
+}
+
+/**
+ * Split a task after `stepCount` steps. The remaining steps become a new backlog
+ * task and the estimate is shared in proportion to the number of steps.
+ */
+export function splitTask(
+  task: BacklogTask,
+  stepCount: number
+): { task: BacklogTask; remainder: BacklogTask } {
+  const now = Date.now();
+  // The remainder is a fresh task: the running timer, timebox and history stay with the original
+  const { timer, timebox, ...rest } = task;
+  const share = stepCount / task.steps.length;
+  const keptMinutes = Math.max(1, Math.round(task.estimatedMinutes * share));
+
+  return {
+    task: {
+      ...task,
+      steps: task.steps.slice(0, stepCount),
+      estimatedMinutes: keptMinutes,
+    },
+    remainder: {
+      ...rest,
+      id: `task-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      title: `${task.title} (continued)`,
+      steps: task.steps.slice(stepCount),
+      estimatedMinutes: Math.max(1, task.estimatedMinutes - keptMinutes),
+      note: '',
+      lastFriction: null,
+      parkedAt: null,
+      recurrence: null, // only the original keeps repeating
+      focusIntervals: [],
+      workSessions: [],
+      createdAt: now,
+      completedAt: null,
+      updatedAt: now,
+      revision: 1,
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// Friction event history and the aggregations behind the friction analytics view
+
+import { startOfDay, subDays } from 'date-fns';
+import type { BacklogTask } from './taskModels';
+
+export interface FrictionEvent {
+  id: string;
+  taskId: string;
+  title: string;
+  reason: string;
+  timestamp: number;
+  elapsedSeconds: number; // timer value when the task was skipped
+  taskEnergy: string;
+  currentEnergy: string | null; // energy level the user had selected at the time
+}
+
+export interface FrictionCount {
+  key: string;
+  count: number;
+}
+
+export interface ChronicSkipper {
+  taskId: string;
+  title: string;
+  skips: number;
+  topReason: string;
+  lastSkippedAt: number;
+}
+
+/**
+ * Normalize a friction event loaded from storage
+ */
+export function normalizeFrictionEvent(event: any): FrictionEvent {
+  return {
+    id: event.id || `friction-${event.timestamp}-${event.taskId}`,
+    taskId: event.taskId || '',
+    title: event.title || '',
+    reason: event.reason || '',
+    timestamp: event.timestamp || Date.now(),
+    elapsedSeconds: event.elapsedSeconds || 0,
+    taskEnergy: event.taskEnergy || 'STEADY',
+    currentEnergy: event.currentEnergy || null,
+  };
+}
+
+/**
+ * Create the history event recorded when a task is skipped
+ */
+export function createFrictionEvent(
+  task: BacklogTask,
+  reason: string,
+  elapsedSeconds: number,
+  currentEnergy: string | null
+): FrictionEvent {
+  const timestamp = Date.now();
+  return {
+    id: `friction-${timestamp}-${Math.random().toString(36).substr(2, 9)}`,
+    taskId: task.id,
+    title: task.title,
+    reason,
+    timestamp,
+    elapsedSeconds,
+    taskEnergy: task.energy,
+    currentEnergy,
+  };
+}
+
+/**
+ * Keep only events inside the last `days` days (including today)
+ */
+export function frictionInRange(
+  events: FrictionEvent[],
+  days: number,
+  now: number = Date.now()
+): FrictionEvent[] {
+  const start = startOfDay(subDays(now, days - 1)).getTime();
+  return events.filter((e) => e.timestamp >= start && e.timestamp <= now);
+}
+
+/**
+ * Count friction events per key, keeping the given keys in order and
+ * including keys with no events
+ */
+export function countFrictionBy(
+  events: FrictionEvent[],
+  keys: string[],
+  keyOf: (event: FrictionEvent) => string | null
+): FrictionCount[] {
+  const counts = new Map(keys.map((key) => [key, 0]));
+  events.forEach((event) => {
+    const key = keyOf(event);
+    if (key && counts.has(key)) {
+      counts.set(key, counts.get(key)! + 1);
+    }
+  });
+  return keys.map((key) => ({ key, count: counts.get(key)! }));
+}
+
+/**
+ * Tasks skipped at least `minSkips` times, most skipped first
+ */
+export function findChronicSkippers(events: FrictionEvent[], minSkips = 2): ChronicSkipper[] {
+  const byTask = new Map<string, FrictionEvent[]>();
+  events.forEach((event) => {
+    byTask.set(event.taskId, [...(byTask.get(event.taskId) || []), event]);
+  });
+
+  const skippers: ChronicSkipper[] = [];
+  byTask.forEach((taskEvents, taskId) => {
+    if (taskEvents.length < minSkips) return;
+
+    const reasonCounts = new Map<string, number>();
+    taskEvents.forEach((e) => reasonCounts.set(e.reason, (reasonCounts.get(e.reason) || 0) + 1));
+    const [topReason] = [...reasonCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const latest = taskEvents.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+
+    skippers.push({
+      taskId,
+      title: latest.title,
+      skips: taskEvents.length,
+      topReason,
+      lastSkippedAt: latest.timestamp,
+    });
+  });
+
+  return skippers.sort((a, b) => b.skips - a.skips || b.lastSkippedAt - a.lastSkippedAt);
+}
@@ -0,0 +1,185 @@
+// Recurring task rules and generation of the next instance when one is completed
+
+import { addDays, addMonths, endOfDay, getDaysInMonth, setDate, startOfDay } from 'date-fns';
+import type { BacklogTask, CompletedTask } from './taskModels';
+import { formatDate, formatDueWindow } from './dateTimeFormat';
+import { resetSteps } from './taskSteps';
+
+export type RecurrenceKind = 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'afterCompletion';
+
+/** One completed instance of a recurring series */
+export interface SeriesCompletion {
+  taskId: string;
+  completedAt: number;
+  actualMinutes: number;
+}
+
+export interface Recurrence {
+  kind: RecurrenceKind;
+  /** Days of the week (0 = Sunday) for weekly recurrences */
+  weekdays: number[];
+  /** Day of the month for monthly recurrences */
+  dayOfMonth: number;
+  /** Days to wait after each completion */
+  intervalDays: number;
+  /** Shared by every instance so the series keeps one completion history */
+  seriesId: string;
+  history: SeriesCompletion[];
+}
+
+export const RECURRENCE_OPTIONS: { kind: RecurrenceKind; label: string }[] = [
+  { kind: 'daily', label: 'Daily' },
+  { kind: 'weekdays', label: 'Weekdays' },
+  { kind: 'weekly', label: 'Weekly' },
+  { kind: 'monthly', label: 'Monthly' },
+  { kind: 'afterCompletion', label: 'After completion' },
+];
+
+export const WEEKDAY_SHORT_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Create a recurrence rule for a new task
+ */
+export function createRecurrence(
+  kind: RecurrenceKind,
+  options: { weekdays?: number[]; intervalDays?: number; now?: number } = {}
+): Recurrence {
+  const now = options.now ?? Date.now();
+  const intervalDays = Math.round(options.intervalDays || 0);
+  return {
+    kind,
+    weekdays: options.weekdays?.length ? [...options.weekdays].sort((a, b) => a - b) : [new Date(now).getDay()],
+    dayOfMonth: new Date(now).getDate(),
+    intervalDays: intervalDays > 0 ? intervalDays : 1,
+    seriesId: `series-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    history: [],
+  };
+}
+
+/**
+ * Normalize a recurrence loaded from storage, or null for one-off tasks
+ */
+export function normalizeRecurrence(recurrence: any): Recurrence | null {
+  if (!recurrence || !RECURRENCE_OPTIONS.some((option) => option.kind === recurrence.kind)) {
+    return null;
+  }
+  const intervalDays = Math.round(Number(recurrence.intervalDays));
+  const weekdays = (recurrence.weekdays || []).filter(
+    (day: unknown) => typeof day === 'number' && day >= 0 && day <= 6
+  );
+  return {
+    kind: recurrence.kind,
+    weekdays: weekdays.length > 0 ? [...new Set<number>(weekdays)].sort((a, b) => a - b) : [1],
+    dayOfMonth: Math.min(Math.max(Math.round(Number(recurrence.dayOfMonth)) || 1, 1), 31),
+    intervalDays: intervalDays > 0 ? intervalDays : 1,
+    seriesId: recurrence.seriesId || `series-${Date.now()}`,
+    history: recurrence.history || [],
+  };
+}
+
+/**
+ * Human-readable summary of a recurrence (e.g., "Every Mon, Thu")
+ */
+export function describeRecurrence(recurrence: Recurrence): string {
+  switch (recurrence.kind) {
+    case 'daily':
+      return 'Every day';
+    case 'weekdays':
+      return 'Every weekday';
+    case 'weekly':
+      return `Every ${recurrence.weekdays.map((day) => WEEKDAY_SHORT_LABELS[day]).join(', ')}`;
+    case 'monthly':
+      return `Monthly on day ${recurrence.dayOfMonth}`;
+    case 'afterCompletion':
+      return recurrence.intervalDays === 1
+        ? '1 day after completion'
+        : `${recurrence.intervalDays} days after completion`;
+  }
+}
+
+/**
+ * Summary of how often a series has been completed (e.g., "Done 4 times, last on Feb 14, 2026")
+ */
+export function describeSeriesHistory(recurrence: Recurrence): string {
+  const { history } = recurrence;
+  if (history.length === 0) return 'First time';
+  const last = history[history.length - 1];
+  const times = history.length === 1 ? 'once' : `${history.length} times`;
+  return `Done ${times}, last on ${formatDate(last.completedAt)}`;
+}
+
+/**
+ * The day the next instance is due. Calendar rules pick the first matching day after
+ * both the completion and the finished instance's own due date, so finishing early
+ * doesn't schedule the same occurrence twice.
+ */
+export function nextOccurrence(recurrence: Recurrence, completedAt: number, dueEnd?: number): Date {
+  if (recurrence.kind === 'afterCompletion') {
+    return startOfDay(addDays(completedAt, recurrence.intervalDays));
+  }
+
+  const after = startOfDay(Math.max(completedAt, dueEnd ?? 0));
+  if (recurrence.kind === 'monthly') {
+    const sameMonth = setDate(after, Math.min(recurrence.dayOfMonth, getDaysInMonth(after)));
+    if (sameMonth > after) return sameMonth;
+    const nextMonth = addMonths(after, 1);
+    return setDate(nextMonth, Math.min(recurrence.dayOfMonth, getDaysInMonth(nextMonth)));
+  }
+
+  const days =
+    recurrence.kind === 'weekdays' ? [1, 2, 3, 4, 5] : recurrence.kind === 'weekly' ? recurrence.weekdays : null;
+  let next = addDays(after, 1);
+  while (days && !days.includes(next.getDay())) {
+    next = addDays(next, 1);
+  }
+  return next;
+}
+
+/**
+ * Build the next backlog instance of a completed recurring task, carrying the series
+ * history forward with the new completion, or null for one-off tasks
+ */
+export function nextRecurringTask(task: CompletedTask, now: number = Date.now()): BacklogTask | null {
+  if (!task.recurrence) return null;
+
+  const history = [
+    ...task.recurrence.history,
+    { taskId: task.id, completedAt: task.completedAt, actualMinutes: task.actualMinutes },
+  ];
+  const dueDay = nextOccurrence(task.recurrence, task.completedAt, task.plannedDue?.end);
+  const plannedDue = { start: dueDay.getTime(), end: endOfDay(dueDay).getTime() };
+
+  return {
+    id: `task-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    title: task.title,
+    why: task.why,
+    energy: task.energy,
+    steps: resetSteps(task.steps, now),
+    estimatedMinutes: task.estimatedMinutes,
+    note: '',
+    lastFriction: null,
+    blockedBy: [],
+    blockedReason: null,
+    focusIntervals: [],
+    workSessions: [],
+    createdAt: now,
+    plannedTimeline: formatDueWindow(plannedDue),
+    plannedDue,
+    completedAt: null,
+    recurrence: { ...task.recurrence, history },
+    updatedAt: now,
+    revision: 1,
+  };
+}
+
+/**
+ * Whether a backlog task is the instance queued when `completed` was finished
+ */
+export function isQueuedSuccessor(task: BacklogTask, completed: CompletedTask): boolean {
+  const history = task.recurrence?.history || [];
+  return (
+    !!completed.recurrence &&
+    task.recurrence?.seriesId === completed.recurrence.seriesId &&
+    history[history.length - 1]?.taskId === completed.id
+  );
+}
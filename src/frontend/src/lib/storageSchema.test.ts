@@ -0,0 +1,207 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  STORAGE_MIGRATIONS,
+  STORAGE_SCHEMA_VERSION,
+  loadQuarantine,
+  loadStore,
+  readStoredValue,
+  saveStore,
+} from './storageSchema';
+import { createBackup, parseBackup } from './dataBackup';
+
+const NOW = 1_700_000_000_000;
+
+let storage: Map<string, string>;
+
+beforeEach(() => {
+  storage = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => storage.get(key) ?? null,
+    setItem: (key: string, value: string) => storage.set(key, value),
+    removeItem: (key: string) => storage.delete(key),
+  });
+});
+
+function legacyTask(overrides: Record<string, unknown> = {}) {
+  return { id: 'task-1', title: 'Write report', energy: 'DEEP', createdAt: NOW, ...overrides };
+}
+
+describe('STORAGE_MIGRATIONS', () => {
+  it('runs in version order up to the current schema', () => {
+    const versions = STORAGE_MIGRATIONS.map((migration) => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[versions.length - 1]).toBe(STORAGE_SCHEMA_VERSION);
+  });
+});
+
+describe('readStoredValue', () => {
+  it('upgrades unversioned backlog tasks to version 1', () => {
+    const raw = JSON.stringify([legacyTask({ steps: ['Outline', 'Draft'], completedSteps: [0] })]);
+    const loaded = readStoredValue('tasks-backlog', raw, NOW);
+
+    expect(loaded.changed).toBe(true);
+    expect(loaded.quarantined).toEqual([]);
+    const [task] = loaded.value;
+    expect(task).not.toHaveProperty('completedSteps');
+    expect(task.steps.map((step: any) => [step.text, !!step.doneAt])).toEqual([
+      ['Outline', true],
+      ['Draft', false],
+    ]);
+    expect(task).toMatchObject({ blockedBy: [], parkedAt: null, workSessions: [], revision: 0 });
+  });
+
+  it('fills in missing settings when upgrading to version 1', () => {
+    const loaded = readStoredValue('pomodoro-settings', JSON.stringify({ workMinutes: 50 }), NOW);
+    expect(loaded.value).toMatchObject({ workMinutes: 50, breakMinutes: expect.any(Number) });
+    expect(loaded.quarantined).toEqual([]);
+  });
+
+  it('leaves data already at the current version untouched', () => {
+    const stored = { schemaVersion: STORAGE_SCHEMA_VERSION, data: [{ title: 'Done', completedAt: NOW }] };
+    const loaded = readStoredValue('streak-completed-tasks', JSON.stringify(stored), NOW);
+    expect(loaded).toEqual({ value: stored.data, quarantined: [], changed: false });
+  });
+
+  it('quarantines a single bad record and keeps the rest of the list', () => {
+    const stored = {
+      schemaVersion: STORAGE_SCHEMA_VERSION,
+      data: [
+        { title: 'First', completedAt: NOW },
+        { title: 'No timestamp' },
+        { title: 'Second', completedAt: NOW + 1 },
+      ],
+    };
+    const loaded = readStoredValue('streak-completed-tasks', JSON.stringify(stored), NOW);
+
+    expect(loaded.value.map((task: any) => task.title)).toEqual(['First', 'Second']);
+    expect(loaded.quarantined).toHaveLength(1);
+    expect(loaded.quarantined[0]).toMatchObject({
+      storageKey: 'streak-completed-tasks',
+      reason: 'Missing or invalid completedAt',
+      record: { title: 'No timestamp' },
+      schemaVersion: STORAGE_SCHEMA_VERSION,
+      quarantinedAt: NOW,
+    });
+    expect(loaded.changed).toBe(true);
+  });
+
+  it('quarantines records that are not objects before migrating them', () => {
+    const loaded = readStoredValue('tasks-backlog', JSON.stringify([legacyTask(), null, 'oops']), NOW);
+    expect(loaded.value).toHaveLength(1);
+    expect(loaded.quarantined.map((record) => record.reason)).toEqual(['Not an object', 'Not an object']);
+  });
+
+  it('quarantines a corrupted settings value instead of loading it', () => {
+    const stored = { schemaVersion: STORAGE_SCHEMA_VERSION, data: 'not settings' };
+    const loaded = readStoredValue('streak-policy', JSON.stringify(stored), NOW);
+    expect(loaded.value).toBeNull();
+    expect(loaded.quarantined[0]).toMatchObject({ reason: 'Not an object', record: 'not settings' });
+  });
+
+  it('quarantines the whole store when a newer schema wrote it', () => {
+    const stored = { schemaVersion: STORAGE_SCHEMA_VERSION + 1, data: [legacyTask()] };
+    const loaded = readStoredValue('tasks-backlog', JSON.stringify(stored), NOW);
+
+    expect(loaded.value).toBeNull();
+    expect(loaded.quarantined).toHaveLength(1);
+    expect(loaded.quarantined[0]).toMatchObject({
+      record: stored.data,
+      schemaVersion: STORAGE_SCHEMA_VERSION + 1,
+    });
+    expect(loaded.quarantined[0].reason).toMatch(/newer version/);
+  });
+
+  it('quarantines text that is not valid JSON', () => {
+    const loaded = readStoredValue('user-stats', '{"completed": 3', NOW);
+    expect(loaded.value).toBeNull();
+    expect(loaded.quarantined[0]).toMatchObject({
+      reason: 'Not valid JSON',
+      record: '{"completed": 3',
+      schemaVersion: null,
+    });
+  });
+
+  it('treats a missing store as empty', () => {
+    expect(readStoredValue('tasks-backlog', null, NOW)).toEqual({ value: null, quarantined: [], changed: false });
+  });
+});
+
+describe('loadStore', () => {
+  it('rewrites the store so bad records are only quarantined once', () => {
+    storage.set('streak-completed-tasks', JSON.stringify([{ title: 'Kept', completedAt: NOW }, { title: 'Bad' }]));
+
+    expect(loadStore('streak-completed-tasks')).toEqual([{ title: 'Kept', completedAt: NOW }]);
+    expect(JSON.parse(storage.get('streak-completed-tasks')!)).toEqual({
+      schemaVersion: STORAGE_SCHEMA_VERSION,
+      data: [{ title: 'Kept', completedAt: NOW }],
+    });
+    expect(loadQuarantine()).toHaveLength(1);
+
+    expect(loadStore('streak-completed-tasks')).toEqual([{ title: 'Kept', completedAt: NOW }]);
+    expect(loadQuarantine()).toHaveLength(1);
+  });
+
+  it('removes a store that could not be read at all, keeping it in the quarantine', () => {
+    storage.set('current-task', '{broken');
+
+    expect(loadStore('current-task')).toBeNull();
+    expect(storage.has('current-task')).toBe(false);
+    expect(loadQuarantine()).toMatchObject([{ storageKey: 'current-task', record: '{broken' }]);
+
+    loadStore('current-task');
+    expect(loadQuarantine()).toHaveLength(1);
+  });
+
+  it('round-trips values saved with saveStore', () => {
+    saveStore('brain-dump-draft', 'call the bank');
+    expect(loadStore('brain-dump-draft')).toBe('call the bank');
+  });
+});
+
+describe('backup restore', () => {
+  it('upgrades each store of a raw localStorage dump through the storage migrations', () => {
+    const dump = {
+      'tasks-backlog': JSON.stringify([legacyTask({ completedSteps: [0], steps: ['Outline'] }), { title: 'No id' }]),
+      'user-stats': JSON.stringify({ completed: 4 }),
+    };
+    const result = parseBackup(JSON.stringify(dump));
+
+    expect(result.ok).toBe(true);
+    if (!result.ok) return;
+    expect(result.data.backlog).toHaveLength(1);
+    expect(result.data.backlog[0].steps[0].doneAt).toBe(NOW);
+    expect(result.data.stats).toEqual({ completed: 4, streak: 0, totalTime: 0 });
+    expect(result.skipped).toBe(1);
+  });
+
+  it('reads back its own backups at the current storage schema', () => {
+    const data = backupData();
+    const restored = parseBackup(createBackup(data, NOW));
+    expect(restored).toMatchObject({ ok: true, exportedAt: NOW, skipped: 0 });
+    if (restored.ok) expect(restored.data).toEqual(data);
+  });
+
+  it('counts records the current schema rejects as skipped instead of coercing them', () => {
+    const file = JSON.parse(createBackup(backupData(), NOW));
+    file.data.backlog.push({ title: 'No id' });
+    delete file.data.streakPolicy;
+    const restored = parseBackup(JSON.stringify(file));
+
+    expect(restored).toMatchObject({ ok: true, skipped: 1 });
+    if (!restored.ok) return;
+    expect(restored.data.backlog.map((task) => task.title)).toEqual(['Write report']);
+    expect(restored.data.streakPolicy).toEqual(backupData().streakPolicy);
+  });
+
+  it('refuses backups whose stores were written by a newer storage schema', () => {
+    const file = JSON.parse(createBackup(backupData(), NOW));
+    file.storageSchemaVersion = STORAGE_SCHEMA_VERSION + 1;
+    expect(parseBackup(JSON.stringify(file))).toMatchObject({ ok: false });
+  });
+});
+
+function backupData() {
+  const result = parseBackup(JSON.stringify({ 'tasks-backlog': JSON.stringify([legacyTask()]) }));
+  if (!result.ok) throw new Error(result.error);
+  return result.data;
+}
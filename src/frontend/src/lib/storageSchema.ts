@@ -0,0 +1,413 @@
+// Versioned storage envelope for localStorage stores: ordered migrations, per-record validation,
+// and a quarantine for records that can't be loaded
+
+import {
+  normalizeBacklogTask,
+  normalizeBrainDumpItem,
+  normalizeCompletedTask,
+} from './taskModels';
+import { normalizeCompletionEvent } from './completionStats';
+import { normalizeFrictionEvent } from './frictionStats';
+import { normalizeEnergyCheckIn } from './energyCheckins';
+import { normalizePomodoroSettings, normalizeTimebox } from './timebox';
+import { normalizeTimer } from './focusTimer';
+import { normalizeEnergyRecheckSettings } from './energyRecheck';
+import { normalizeStreakPolicy } from './streakPolicy';
+import { normalizeUserStats } from './backendUserData';
+
+export const STORAGE_SCHEMA_VERSION = 1;
+
+const QUARANTINE_KEY = 'storage-quarantine';
+
+export interface StoredEnvelope {
+  schemaVersion: number;
+  data: unknown;
+}
+
+export interface QuarantinedRecord {
+  id: string;
+  storageKey: string;
+  reason: string;
+  record: unknown; // as it was stored; the raw text if it wasn't valid JSON
+  schemaVersion: number | null; // version it was written with, when known
+  quarantinedAt: number;
+}
+
+export interface StorageMigration {
+  /** Schema version the data is at after this step */
+  version: number;
+  description: string;
+  /** Per storage key; list stores are migrated one record at a time */
+  stores: Record<string, (value: any) => any>;
+}
+
+interface StoreSchema {
+  label: string;
+  /**
+   * What the stored value must be before any migration touches it. Lists are validated
+   * per record, so one bad record doesn't cost the others.
+   */
+  shape: 'list' | 'object' | 'string';
+  /** Why a record (or the whole value for other stores) can't be used, or null if it's fine */
+  validate?: (value: any) => string | null;
+}
+
+export interface LoadedStore {
+  value: any;
+  quarantined: QuarantinedRecord[];
+  /** Whether the stored value should be rewritten at the current schema version */
+  changed: boolean;
+}
+
+function isRecord(value: any): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function missingField(record: any, fields: [string, 'string' | 'number' | 'boolean'][]): string | null {
+  if (!isRecord(record)) return 'Not an object';
+  const missing = fields.find(([field, type]) =>
+    type === 'number' ? !Number.isFinite(record[field]) : typeof record[field] !== type
+  );
+  return missing ? `Missing or invalid ${missing[0]}` : null;
+}
+
+function validateTask(task: any): string | null {
+  return (
+    missingField(task, [
+      ['id', 'string'],
+      ['title', 'string'],
+      ['energy', 'string'],
+      ['createdAt', 'number'],
+    ]) || (Array.isArray(task.steps) ? null : 'Missing or invalid steps')
+  );
+}
+
+const STORE_SCHEMAS: Record<string, StoreSchema> = {
+  'current-energy': { label: 'Current energy', shape: 'string' },
+  'current-task': { label: 'Current task', shape: 'object', validate: validateTask },
+  'tasks-backlog': { label: 'Backlog tasks', shape: 'list', validate: validateTask },
+  'user-stats': {
+    label: 'Stats',
+    shape: 'object',
+    validate: (stats) =>
+      missingField(stats, [
+        ['completed', 'number'],
+        ['streak', 'number'],
+        ['totalTime', 'number'],
+      ]),
+  },
+  'brain-dump-draft': { label: 'Brain dump draft', shape: 'string' },
+  'brain-dump-items': {
+    label: 'Brain dump items',
+    shape: 'list',
+    validate: (item) =>
+      missingField(item, [
+        ['id', 'string'],
+        ['text', 'string'],
+        ['createdAt', 'number'],
+      ]),
+  },
+  'completed-tasks': {
+    label: 'Completed tasks',
+    shape: 'list',
+    validate: (task) => validateTask(task) || missingField(task, [['completedAt', 'number']]),
+  },
+  'completion-events': {
+    label: 'Completion history',
+    shape: 'list',
+    validate: (event) =>
+      missingField(event, [
+        ['id', 'string'],
+        ['taskId', 'string'],
+        ['completedAt', 'number'],
+      ]),
+  },
+  'friction-events': {
+    label: 'Skip history',
+    shape: 'list',
+    validate: (event) =>
+      missingField(event, [
+        ['id', 'string'],
+        ['taskId', 'string'],
+        ['timestamp', 'number'],
+      ]),
+  },
+  'pomodoro-settings': {
+    label: 'Pomodoro settings',
+    shape: 'object',
+    validate: (settings) =>
+      missingField(settings, [
+        ['workMinutes', 'number'],
+        ['breakMinutes', 'number'],
+        ['longBreakMinutes', 'number'],
+        ['cyclesBeforeLongBreak', 'number'],
+      ]),
+  },
+  'energy-checkins': {
+    label: 'Energy check-ins',
+    shape: 'list',
+    validate: (checkIn) =>
+      missingField(checkIn, [
+        ['id', 'string'],
+        ['energy', 'string'],
+        ['timestamp', 'number'],
+      ]),
+  },
+  'energy-recheck-settings': {
+    label: 'Energy re-check settings',
+    shape: 'object',
+    validate: (settings) =>
+      missingField(settings, [
+        ['afterCompletion', 'boolean'],
+        ['afterFocus', 'boolean'],
+        ['focusMinutes', 'number'],
+        ['afterTiredSkip', 'boolean'],
+        ['firstOpenOfDay', 'boolean'],
+      ]),
+  },
+  'energy-recheck-prompted': { label: 'Last daily energy re-check', shape: 'string' },
+  'streak-policy': {
+    label: 'Streak rules',
+    shape: 'object',
+    validate: (policy) =>
+      missingField(policy, [
+        ['dailyGoal', 'number'],
+        ['graceSkipsPerDay', 'number'],
+        ['freezesPerMonth', 'number'],
+      ]) || (Array.isArray(policy.forgivenReasons) ? null : 'Missing or invalid forgivenReasons'),
+  },
+  'streak-completed-tasks': {
+    label: 'Current streak',
+    shape: 'list',
+    validate: (task) =>
+      missingField(task, [
+        ['title', 'string'],
+        ['completedAt', 'number'],
+      ]),
+  },
+  'streak-archive': {
+    label: 'Past streaks',
+    shape: 'list',
+    validate: (streak) =>
+      missingField(streak, [
+        ['id', 'string'],
+        ['length', 'number'],
+        ['endedAt', 'number'],
+      ]) || (Array.isArray(streak.tasks) ? null : 'Missing or invalid tasks'),
+  },
+  'sync-base': {
+    label: 'Last synced data',
+    shape: 'object',
+    validate: (base) =>
+      missingField(base, [['principal', 'string']]) || (isRecord(base.snapshot) ? null : 'Missing or invalid snapshot'),
+  },
+  'sync-queue': {
+    label: 'Changes waiting to sync',
+    shape: 'list',
+    validate: (store) => (typeof store === 'string' ? null : 'Not a store name'),
+  },
+  'sync-conflicts': {
+    label: 'Sync conflicts',
+    shape: 'list',
+    validate: (conflict) =>
+      missingField(conflict, [
+        ['collection', 'string'],
+        ['id', 'string'],
+      ]) || (Array.isArray(conflict.fields) ? null : 'Missing or invalid fields'),
+  },
+  [QUARANTINE_KEY]: { label: 'Records that failed to load', shape: 'list' },
+};
+
+// Migrations run in order; each one upgrades data written at the version before it.
+// A step only sees values that already have their store's shape.
+export const STORAGE_MIGRATIONS: StorageMigration[] = [
+  {
+    version: 1,
+    description: 'Fill in the fields that were added before stored data had a schema version',
+    stores: {
+      'current-task': (task) => ({
+        ...normalizeBacklogTask(task),
+        timer: normalizeTimer(task.timer),
+        timebox: normalizeTimebox(task.timebox),
+      }),
+      'tasks-backlog': normalizeBacklogTask,
+      'user-stats': normalizeUserStats,
+      'brain-dump-items': normalizeBrainDumpItem,
+      'completed-tasks': normalizeCompletedTask,
+      'completion-events': normalizeCompletionEvent,
+      'friction-events': normalizeFrictionEvent,
+      'energy-checkins': normalizeEnergyCheckIn,
+      'pomodoro-settings': normalizePomodoroSettings,
+      'energy-recheck-settings': normalizeEnergyRecheckSettings,
+      'streak-policy': normalizeStreakPolicy,
+    },
+  },
+];
+
+/**
+ * Human-readable name of a store, for the recovery screen
+ */
+export function storeLabel(storageKey: string): string {
+  return STORE_SCHEMAS[storageKey]?.label || storageKey;
+}
+
+function isEnvelope(value: any): value is StoredEnvelope {
+  return isRecord(value) && Number.isInteger(value.schemaVersion) && 'data' in value;
+}
+
+function quarantine(
+  storageKey: string,
+  record: unknown,
+  reason: string,
+  schemaVersion: number | null,
+  now: number
+): QuarantinedRecord {
+  return {
+    id: `quarantine-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    storageKey,
+    reason,
+    record,
+    schemaVersion,
+    quarantinedAt: now,
+  };
+}
+
+// Upgrade one record or value, then check it against the current schema
+function migrateValue(storageKey: string, value: any, fromVersion: number): { value?: any; error?: string } {
+  const schema = STORE_SCHEMAS[storageKey];
+  const steps = STORAGE_MIGRATIONS.filter((step) => step.version > fromVersion && step.stores[storageKey]);
+  // List records are objects whenever a step migrates them
+  const expected = schema?.shape === 'list' ? (steps.length > 0 ? 'object' : null) : schema?.shape;
+  if (expected === 'object' && !isRecord(value)) return { error: 'Not an object' };
+  if (expected === 'string' && typeof value !== 'string') return { error: 'Not text' };
+  try {
+    const migrated = steps.reduce((current, step) => step.stores[storageKey](current), value);
+    const error = schema?.validate?.(migrated);
+    return error ? { error } : { value: migrated };
+  } catch (error) {
+    return { error: `Migration failed: ${error instanceof Error ? error.message : String(error)}` };
+  }
+}
+
+/**
+ * Unwrap, migrate and validate a stored value. Records that fail are returned for the
+ * quarantine instead of taking the rest of the store down with them.
+ */
+export function readStoredValue(storageKey: string, raw: string | null, now: number = Date.now()): LoadedStore {
+  if (raw === null) return { value: null, quarantined: [], changed: false };
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return { value: null, quarantined: [quarantine(storageKey, raw, 'Not valid JSON', null, now)], changed: true };
+  }
+
+  // Values written before the envelope existed are schema version 0
+  return isEnvelope(parsed)
+    ? migrateStoredData(storageKey, parsed.data, parsed.schemaVersion, now)
+    : migrateStoredData(storageKey, parsed, 0, now);
+}
+
+/**
+ * Migrate and validate a store's data written at the given schema version
+ */
+export function migrateStoredData(
+  storageKey: string,
+  data: unknown,
+  version: number,
+  now: number = Date.now()
+): LoadedStore {
+  if (version > STORAGE_SCHEMA_VERSION) {
+    const reason = `Saved by a newer version of the app (schema ${version})`;
+    return { value: null, quarantined: [quarantine(storageKey, data, reason, version, now)], changed: true };
+  }
+
+  if (data === null) return { value: null, quarantined: [], changed: false };
+
+  const schema = STORE_SCHEMAS[storageKey];
+  if (schema?.shape !== 'list') {
+    const result = migrateValue(storageKey, data, version);
+    if (result.error) {
+      return { value: null, quarantined: [quarantine(storageKey, data, result.error, version, now)], changed: true };
+    }
+    return { value: result.value, quarantined: [], changed: version < STORAGE_SCHEMA_VERSION };
+  }
+
+  if (!Array.isArray(data)) {
+    return { value: null, quarantined: [quarantine(storageKey, data, 'Not a list', version, now)], changed: true };
+  }
+  const value: any[] = [];
+  const quarantined: QuarantinedRecord[] = [];
+  for (const record of data) {
+    const result = migrateValue(storageKey, record, version);
+    if (result.error) quarantined.push(quarantine(storageKey, record, result.error, version, now));
+    else value.push(result.value);
+  }
+  return { value, quarantined, changed: version < STORAGE_SCHEMA_VERSION || quarantined.length > 0 };
+}
+
+/**
+ * Serialize a value in the current storage envelope
+ */
+export function wrapStoredValue(value: unknown): string {
+  const envelope: StoredEnvelope = { schemaVersion: STORAGE_SCHEMA_VERSION, data: value };
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Safely save a store to localStorage in the versioned envelope
+ */
+export function saveStore(storageKey: string, value: unknown): void {
+  try {
+    localStorage.setItem(storageKey, wrapStoredValue(value));
+  } catch (error) {
+    console.error(`Error writing ${storageKey}:`, error);
+  }
+}
+
+/**
+ * Load the records that failed to load, oldest first
+ */
+export function loadQuarantine(): QuarantinedRecord[] {
+  try {
+    const { value } = readStoredValue(QUARANTINE_KEY, localStorage.getItem(QUARANTINE_KEY));
+    return value || [];
+  } catch (error) {
+    console.error('Error loading quarantined records:', error);
+    return [];
+  }
+}
+
+export function saveQuarantine(records: QuarantinedRecord[]): void {
+  saveStore(QUARANTINE_KEY, records);
+}
+
+/**
+ * Drop records from the quarantine, keeping any added since they were listed
+ */
+export function discardQuarantinedRecords(recordIds: string[]): QuarantinedRecord[] {
+  const remaining = loadQuarantine().filter((record) => !recordIds.includes(record.id));
+  saveQuarantine(remaining);
+  return remaining;
+}
+
+/**
+ * Load a store from localStorage at the current schema version. Bad records go to the
+ * quarantine, and the store is rewritten so they aren't quarantined again next time.
+ * Returns null if the store is missing or nothing in it could be used.
+ */
+export function loadStore(storageKey: string): any {
+  try {
+    const loaded = readStoredValue(storageKey, localStorage.getItem(storageKey));
+    if (loaded.quarantined.length > 0) {
+      saveQuarantine([...loadQuarantine(), ...loaded.quarantined]);
+    }
+    if (loaded.changed && loaded.value === null) localStorage.removeItem(storageKey);
+    else if (loaded.changed) saveStore(storageKey, loaded.value);
+    return loaded.value;
+  } catch (error) {
+    console.error(`Error reading ${storageKey}:`, error);
+    return null;
+  }
+}
@@ -1,60 +1,75 @@
-// Storage helpers for current streak completed tasks list
+// Storage helpers for current streak completed tasks list and the archive of past streaks
+
+import { loadStore, saveStore } from './storageSchema';
 
 const STREAK_TASKS_KEY = 'streak-completed-tasks';
+const STREAK_ARCHIVE_KEY = 'streak-archive';
 
 export interface StreakCompletedTask {
   title: string;
   completedAt: number; // timestamp
 }
 
+export interface ArchivedStreak {
+  id: string;
+  length: number;
+  startedAt: number;
+  endedAt: number;
+  endReason: string | null; // friction reason of the skip that ended it
+  tasks: StreakCompletedTask[];
+}
+
 /**
- * Safely load the current streak's completed tasks list from localStorage
- * Returns empty array if missing or corrupt
+ * Load the current streak's completed tasks list from localStorage
+ * Malformed entries are quarantined rather than emptying the list
  */
 export function loadStreakCompletedTasks(): StreakCompletedTask[] {
-  try {
-    const raw = localStorage.getItem(STREAK_TASKS_KEY);
-    if (!raw) return [];
-    
-    const parsed = JSON.parse(raw);
-    
-    // Validate structure
-    if (!Array.isArray(parsed)) return [];
-    
-    // Validate each item has required fields
-    const valid = parsed.every(
-      (item) =>
-        item &&
-        typeof item === 'object' &&
-        typeof item.title === 'string' &&
-        typeof item.completedAt === 'number'
-    );
-    
-    return valid ? parsed : [];
-  } catch (error) {
-    console.error('Error loading streak completed tasks:', error);
-    return [];
-  }
+  return loadStore(STREAK_TASKS_KEY) || [];
 }
 
 /**
- * Safely save the current streak's completed tasks list to localStorage
+ * Save the current streak's completed tasks list to localStorage
  */
 export function saveStreakCompletedTasks(tasks: StreakCompletedTask[]): void {
-  try {
-    localStorage.setItem(STREAK_TASKS_KEY, JSON.stringify(tasks));
-  } catch (error) {
-    console.error('Error saving streak completed tasks:', error);
-  }
+  saveStore(STREAK_TASKS_KEY, tasks);
 }
 
 /**
  * Clear the current streak's completed tasks list
  */
 export function clearStreakCompletedTasks(): void {
-  try {
-    localStorage.setItem(STREAK_TASKS_KEY, JSON.stringify([]));
-  } catch (error) {
-    console.error('Error clearing streak completed tasks:', error);
-  }
+  saveStore(STREAK_TASKS_KEY, []);
+}
+
+/**
+ * Record a finished streak so it stays visible in the streak history
+ */
+export function archiveStreak(
+  tasks: StreakCompletedTask[],
+  length: number,
+  endReason: string | null,
+  endedAt: number = Date.now()
+): ArchivedStreak {
+  return {
+    id: `streak-${endedAt}-${Math.random().toString(36).substr(2, 9)}`,
+    length,
+    startedAt: tasks.length > 0 ? tasks[0].completedAt : endedAt,
+    endedAt,
+    endReason,
+    tasks,
+  };
+}
+
+/**
+ * Load past streaks from localStorage, quarantining malformed entries
+ */
+export function loadStreakArchive(): ArchivedStreak[] {
+  return loadStore(STREAK_ARCHIVE_KEY) || [];
+}
+
+/**
+ * Save past streaks to localStorage
+ */
+export function saveStreakArchive(streaks: ArchivedStreak[]): void {
+  saveStore(STREAK_ARCHIVE_KEY, streaks);
 }
@@ -0,0 +1,109 @@
+// Streak rules: the day-based streak and which skips are allowed to break the completion streak
+
+import { format, isSameDay, startOfDay, subDays } from 'date-fns';
+import type { FrictionEvent } from './frictionStats';
+
+export interface StreakPolicy {
+  dailyGoal: number; // completions that make a day count toward the day streak
+  graceSkipsPerDay: number; // skips each day that leave the completion streak intact
+  freezesPerMonth: number; // missed days per calendar month that don't break the day streak
+  forgivenReasons: string[]; // friction reasons that never break the completion streak
+}
+
+export interface DayStreak {
+  days: number;
+  frozenDays: number;
+  todayCount: number;
+  startedAt: number | null; // start of the first day in the streak
+}
+
+export const DEFAULT_STREAK_POLICY: StreakPolicy = {
+  dailyGoal: 1,
+  graceSkipsPerDay: 0,
+  freezesPerMonth: 0,
+  forgivenReasons: [],
+};
+
+function wholeNumber(value: any, fallback: number, min: number): number {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number >= min ? number : fallback;
+}
+
+/**
+ * Normalize a streak policy loaded from storage
+ */
+export function normalizeStreakPolicy(policy: any): StreakPolicy {
+  const defaults = DEFAULT_STREAK_POLICY;
+  return {
+    dailyGoal: wholeNumber(policy?.dailyGoal, defaults.dailyGoal, 1),
+    graceSkipsPerDay: wholeNumber(policy?.graceSkipsPerDay, defaults.graceSkipsPerDay, 0),
+    freezesPerMonth: wholeNumber(policy?.freezesPerMonth, defaults.freezesPerMonth, 0),
+    forgivenReasons: Array.isArray(policy?.forgivenReasons)
+      ? policy.forgivenReasons.filter((reason: any) => typeof reason === 'string')
+      : defaults.forgivenReasons,
+  };
+}
+
+/**
+ * Grace skips still available today. Skips with a forgiven reason don't use one up.
+ */
+export function graceSkipsLeft(policy: StreakPolicy, events: FrictionEvent[], now: number = Date.now()): number {
+  const usedToday = events.filter(
+    (event) => isSameDay(event.timestamp, now) && !policy.forgivenReasons.includes(event.reason)
+  ).length;
+  return Math.max(0, policy.graceSkipsPerDay - usedToday);
+}
+
+/**
+ * Whether skipping with this reason now ends the completion streak
+ */
+export function skipBreaksStreak(
+  policy: StreakPolicy,
+  reason: string,
+  events: FrictionEvent[],
+  now: number = Date.now()
+): boolean {
+  if (policy.forgivenReasons.includes(reason)) return false;
+  return graceSkipsLeft(policy, events, now) === 0;
+}
+
+/**
+ * Days in a row that reached the daily goal. Today only counts once the goal is met, but
+ * a streak isn't broken until a whole day passes short of it. Missed days are bridged
+ * by freezes, at most `freezesPerMonth` in each calendar month.
+ */
+export function dayStreak(completionTimes: number[], policy: StreakPolicy, now: number = Date.now()): DayStreak {
+  const counts = new Map<string, number>();
+  for (const time of completionTimes) {
+    const key = format(time, 'yyyy-MM-dd');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const countOn = (day: Date) => counts.get(format(day, 'yyyy-MM-dd')) || 0;
+
+  const today = startOfDay(now);
+  const todayCount = countOn(today);
+  let days = todayCount >= policy.dailyGoal ? 1 : 0;
+  let frozenDays = 0;
+  let startedAt = days > 0 ? today.getTime() : null;
+  if (completionTimes.length === 0) return { days, frozenDays, todayCount, startedAt };
+
+  // Freezes only count once a goal day is found before them
+  const earliest = startOfDay(Math.min(...completionTimes));
+  const freezesUsed = new Map<string, number>();
+  let pendingFreezes = 0;
+  for (let day = subDays(today, 1); day >= earliest; day = subDays(day, 1)) {
+    if (countOn(day) >= policy.dailyGoal) {
+      days += 1;
+      frozenDays += pendingFreezes;
+      pendingFreezes = 0;
+      startedAt = day.getTime();
+      continue;
+    }
+    const month = format(day, 'yyyy-MM');
+    const used = freezesUsed.get(month) || 0;
+    if (used >= policy.freezesPerMonth) break;
+    freezesUsed.set(month, used + 1);
+    pendingFreezes += 1;
+  }
+  return { days, frozenDays, todayCount, startedAt };
+}
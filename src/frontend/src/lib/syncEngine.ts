@@ -0,0 +1,322 @@
+// Three-way merge between this device, the canister and the last synced state
+// Works per record and per field, so edits to different fields never collide
+
+import type { UserDataSnapshot, UserStats } from './backendUserData';
+import type { StreakCompletedTask } from './streakCompletedTasksStorage';
+
+export type SyncCollection = 'tasks' | 'brainDumpItems';
+
+// Where a task lives; moving a task between lists is just another field change
+export type TaskLocation = 'backlog' | 'current' | 'completed';
+
+export interface SyncRecord {
+  id: string;
+  updatedAt?: number;
+  revision?: number;
+  [field: string]: any;
+}
+
+export interface SyncConflict {
+  collection: SyncCollection;
+  id: string;
+  title: string;
+  /** Fields changed differently on both sides, or 'deleted' when one side removed the record */
+  fields: string[];
+  /** Non-conflicting fields merged, conflicting fields taken from this device */
+  merged: SyncRecord | null;
+  local: SyncRecord | null;
+  remote: SyncRecord | null;
+}
+
+export interface MergeResult {
+  merged: UserDataSnapshot;
+  conflicts: SyncConflict[];
+}
+
+export const EMPTY_SNAPSHOT: UserDataSnapshot = {
+  currentEnergy: null,
+  currentTask: null,
+  backlog: [],
+  stats: { completed: 0, streak: 0, totalTime: 0 },
+  streakCompletedTasks: [],
+  brainDumpDraft: '',
+  brainDumpItems: [],
+  completedTasks: [],
+};
+
+// Bookkeeping fields that never cause conflicts on their own
+const STAMP_FIELDS = ['updatedAt', 'revision'];
+
+function isEqual(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function contentEqual(a: SyncRecord, b: SyncRecord): boolean {
+  const strip = ({ updatedAt, revision, ...rest }: SyncRecord) => rest;
+  return isEqual(strip(a), strip(b));
+}
+
+/**
+ * Flatten a snapshot collection into records keyed by id
+ */
+export function collectionRecords(
+  snapshot: UserDataSnapshot,
+  collection: SyncCollection
+): SyncRecord[] {
+  if (collection === 'brainDumpItems') {
+    return snapshot.brainDumpItems;
+  }
+  return [
+    ...snapshot.backlog.map((task) => ({ ...task, location: 'backlog' })),
+    ...(snapshot.currentTask ? [{ ...snapshot.currentTask, location: 'current' }] : []),
+    ...snapshot.completedTasks.map((task) => ({ ...task, location: 'completed' })),
+  ];
+}
+
+/**
+ * Rebuild a snapshot collection from flat records
+ */
+export function withCollectionRecords(
+  snapshot: UserDataSnapshot,
+  collection: SyncCollection,
+  records: SyncRecord[]
+): UserDataSnapshot {
+  if (collection === 'brainDumpItems') {
+    return { ...snapshot, brainDumpItems: records as UserDataSnapshot['brainDumpItems'] };
+  }
+
+  const strip = ({ location, ...task }: SyncRecord) => task as any;
+  const current = records.filter((r) => r.location === 'current');
+
+  return {
+    ...snapshot,
+    // Only one task can be current; any extra goes back to the top of the backlog
+    currentTask: current[0] ? strip(current[0]) : null,
+    backlog: [...current.slice(1), ...records.filter((r) => r.location === 'backlog')].map(strip),
+    completedTasks: records.filter((r) => r.location === 'completed').map(strip),
+  };
+}
+
+/**
+ * Find a single record in a snapshot collection
+ */
+export function findRecord(
+  snapshot: UserDataSnapshot | null,
+  collection: SyncCollection,
+  id: string
+): SyncRecord | null {
+  if (!snapshot) return null;
+  return collectionRecords(snapshot, collection).find((r) => r.id === id) ?? null;
+}
+
+/**
+ * Replace, insert or (with `null`) remove a single record in a snapshot collection
+ */
+export function replaceRecord(
+  snapshot: UserDataSnapshot,
+  collection: SyncCollection,
+  id: string,
+  record: SyncRecord | null
+): UserDataSnapshot {
+  const records = collectionRecords(snapshot, collection);
+  const index = records.findIndex((r) => r.id === id);
+  if (index === -1) {
+    return record ? withCollectionRecords(snapshot, collection, [...records, record]) : snapshot;
+  }
+  const next = [...records];
+  if (record) {
+    next[index] = record;
+  } else {
+    next.splice(index, 1);
+  }
+  return withCollectionRecords(snapshot, collection, next);
+}
+
+function recordTitle(record: SyncRecord | null): string {
+  return record?.title ?? record?.text ?? '';
+}
+
+/**
+ * Merge one record changed on both sides. Returns the merged record and the
+ * fields that could not be merged automatically.
+ */
+function mergeRecord(
+  base: SyncRecord | null,
+  local: SyncRecord,
+  remote: SyncRecord
+): { record: SyncRecord; fields: string[] } {
+  // Without a common ancestor the most recently edited copy wins
+  if (!base) {
+    const record = (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
+    return { record, fields: [] };
+  }
+
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  const record: SyncRecord = { id: local.id };
+  const fields: string[] = [];
+
+  keys.forEach((key) => {
+    if (STAMP_FIELDS.includes(key)) return;
+    const localValue = local[key];
+    const remoteValue = remote[key];
+    if (isEqual(localValue, remoteValue) || isEqual(remoteValue, base[key])) {
+      record[key] = localValue;
+    } else if (isEqual(localValue, base[key])) {
+      record[key] = remoteValue;
+    } else {
+      record[key] = localValue;
+      fields.push(key);
+    }
+  });
+
+  record.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0);
+  record.revision = Math.max(local.revision || 0, remote.revision || 0);
+  return { record, fields };
+}
+
+function mergeCollection(
+  base: UserDataSnapshot | null,
+  local: UserDataSnapshot,
+  remote: UserDataSnapshot,
+  collection: SyncCollection,
+  conflicts: SyncConflict[]
+): SyncRecord[] {
+  const byId = (records: SyncRecord[]) => new Map(records.map((r) => [r.id, r]));
+  const baseRecords = byId(base ? collectionRecords(base, collection) : []);
+  const localRecords = byId(collectionRecords(local, collection));
+  const remoteRecords = byId(collectionRecords(remote, collection));
+
+  // Keep this device's order and append records that only exist remotely
+  const ids = [...localRecords.keys()];
+  remoteRecords.forEach((_, id) => {
+    if (!localRecords.has(id)) ids.push(id);
+  });
+
+  const merged: SyncRecord[] = [];
+  ids.forEach((id) => {
+    const b = baseRecords.get(id) ?? null;
+    const l = localRecords.get(id) ?? null;
+    const r = remoteRecords.get(id) ?? null;
+
+    if (l && r) {
+      const { record, fields } = mergeRecord(b, l, r);
+      if (fields.length > 0) {
+        conflicts.push({ collection, id, title: recordTitle(l), fields, merged: record, local: l, remote: r });
+      }
+      merged.push(record);
+      return;
+    }
+
+    // Present on one side only: either newly added there, or deleted on the other side
+    const present = (l ?? r)!;
+    if (!b) {
+      merged.push(present);
+    } else if (!contentEqual(present, b)) {
+      // Deleted on one side but edited on the other
+      conflicts.push({
+        collection,
+        id,
+        title: recordTitle(present),
+        fields: ['deleted'],
+        merged: l,
+        local: l,
+        remote: r,
+      });
+      if (l) merged.push(l);
+    }
+  });
+
+  return merged;
+}
+
+function mergeValue<T>(base: T | undefined, local: T, remote: T): T {
+  if (isEqual(local, remote) || isEqual(local, base)) return remote;
+  return local;
+}
+
+function mergeStats(base: UserStats | undefined, local: UserStats, remote: UserStats): UserStats {
+  // Counters are additive: keep the increments made on both devices
+  const addDeltas = (key: 'completed' | 'totalTime') =>
+    base ? local[key] + remote[key] - base[key] : Math.max(local[key], remote[key]);
+
+  return {
+    completed: addDeltas('completed'),
+    totalTime: addDeltas('totalTime'),
+    streak: mergeValue(base?.streak, local.streak, remote.streak),
+  };
+}
+
+function mergeStreakTasks(
+  base: StreakCompletedTask[] | undefined,
+  local: StreakCompletedTask[],
+  remote: StreakCompletedTask[]
+): StreakCompletedTask[] {
+  const keyOf = (task: StreakCompletedTask) => `${task.completedAt}-${task.title}`;
+  const baseKeys = new Set((base ?? []).map(keyOf));
+  const localKeys = new Set(local.map(keyOf));
+  const remoteKeys = new Set(remote.map(keyOf));
+
+  // Keep entries added on either side, drop entries removed on either side
+  const result = new Map<string, StreakCompletedTask>();
+  [...local, ...remote].forEach((task) => {
+    const key = keyOf(task);
+    const removed = baseKeys.has(key) && (!localKeys.has(key) || !remoteKeys.has(key));
+    if (!removed) result.set(key, task);
+  });
+  return [...result.values()].sort((a, b) => a.completedAt - b.completedAt);
+}
+
+/**
+ * Merge this device's snapshot with the canister's, using the last synced
+ * snapshot as the common ancestor
+ */
+export function mergeSnapshots(
+  base: UserDataSnapshot | null,
+  local: UserDataSnapshot,
+  remote: UserDataSnapshot
+): MergeResult {
+  const conflicts: SyncConflict[] = [];
+
+  let merged: UserDataSnapshot = {
+    currentEnergy: mergeValue(base?.currentEnergy, local.currentEnergy, remote.currentEnergy),
+    currentTask: null,
+    backlog: [],
+    stats: mergeStats(base?.stats, local.stats, remote.stats),
+    streakCompletedTasks: mergeStreakTasks(
+      base?.streakCompletedTasks,
+      local.streakCompletedTasks,
+      remote.streakCompletedTasks
+    ),
+    brainDumpDraft: mergeValue(base?.brainDumpDraft, local.brainDumpDraft, remote.brainDumpDraft),
+    brainDumpItems: [],
+    completedTasks: [],
+  };
+
+  const collections: SyncCollection[] = ['tasks', 'brainDumpItems'];
+  collections.forEach((collection) => {
+    const records = mergeCollection(base, local, remote, collection, conflicts);
+    merged = withCollectionRecords(merged, collection, records);
+  });
+
+  return { merged, conflicts };
+}
+
+/**
+ * Build the record that results from resolving a conflict in favour of one side.
+ * Returns `null` when the chosen side had deleted the record.
+ */
+export function resolveConflictRecord(
+  conflict: SyncConflict,
+  choice: 'local' | 'remote'
+): SyncRecord | null {
+  const chosen = choice === 'local' ? conflict.local : conflict.remote;
+  if (conflict.fields.includes('deleted') || !chosen || !conflict.merged) {
+    return chosen;
+  }
+
+  const record = { ...conflict.merged };
+  conflict.fields.forEach((field) => {
+    record[field] = chosen[field];
+  });
+  return record;
+}
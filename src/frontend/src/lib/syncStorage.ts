@@ -0,0 +1,49 @@
+// Storage helpers for offline-first sync bookkeeping
+
+import type { UserDataSnapshot, UserDataStore } from './backendUserData';
+import type { SyncConflict } from './syncEngine';
+import { loadStore, saveStore } from './storageSchema';
+
+const SYNC_BASE_KEY = 'sync-base';
+const SYNC_QUEUE_KEY = 'sync-queue';
+const SYNC_CONFLICTS_KEY = 'sync-conflicts';
+
+interface StoredSyncBase {
+  principal: string;
+  snapshot: UserDataSnapshot;
+}
+
+/**
+ * Load the snapshot last agreed with the canister for this principal
+ * Returns null if this device has never synced as that user
+ */
+export function loadSyncBase(principal: string): UserDataSnapshot | null {
+  const stored: StoredSyncBase | null = loadStore(SYNC_BASE_KEY);
+  return stored && stored.principal === principal ? stored.snapshot : null;
+}
+
+export function saveSyncBase(principal: string, snapshot: UserDataSnapshot): void {
+  saveStore(SYNC_BASE_KEY, { principal, snapshot });
+}
+
+/**
+ * Load the stores changed locally since the last successful sync
+ */
+export function loadSyncQueue(): UserDataStore[] {
+  return loadStore(SYNC_QUEUE_KEY) || [];
+}
+
+export function saveSyncQueue(queue: UserDataStore[]): void {
+  saveStore(SYNC_QUEUE_KEY, queue);
+}
+
+/**
+ * Load conflicts waiting for the user to pick a side
+ */
+export function loadSyncConflicts(): SyncConflict[] {
+  return loadStore(SYNC_CONFLICTS_KEY) || [];
+}
+
+export function saveSyncConflicts(conflicts: SyncConflict[]): void {
+  saveStore(SYNC_CONFLICTS_KEY, conflicts);
+}
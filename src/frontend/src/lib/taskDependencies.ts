@@ -0,0 +1,59 @@
+// Blocked-by relationships between tasks, and blocks on external reasons
+
+import { touchRecord, type BacklogTask } from './taskModels';
+
+/**
+ * Whether a task is waiting on another task or on something outside the app
+ */
+export function isTaskBlocked(task: Pick<BacklogTask, 'blockedBy' | 'blockedReason'>): boolean {
+  return task.blockedBy.length > 0 || !!task.blockedReason;
+}
+
+/**
+ * Ids of every task that waits on the given task, directly or through others.
+ * None of them can become its blocker without creating a cycle.
+ */
+export function dependentTaskIds(tasks: BacklogTask[], taskId: string): Set<string> {
+  const dependents = new Set<string>();
+  const queue = [taskId];
+  while (queue.length > 0) {
+    const id = queue.shift()!;
+    for (const task of tasks) {
+      if (task.blockedBy.includes(id) && !dependents.has(task.id)) {
+        dependents.add(task.id);
+        queue.push(task.id);
+      }
+    }
+  }
+  return dependents;
+}
+
+/**
+ * Remove a finished or removed task from everything it was blocking, returning the
+ * updated tasks and the ones that are now free to start
+ */
+export function releaseBlocker(
+  tasks: BacklogTask[],
+  blockerId: string
+): { tasks: BacklogTask[]; unblocked: BacklogTask[] } {
+  const unblocked: BacklogTask[] = [];
+  const updated = tasks.map((task) => {
+    if (!task.blockedBy.includes(blockerId)) return task;
+    const released = touchRecord({
+      ...task,
+      blockedBy: task.blockedBy.filter((id) => id !== blockerId),
+    });
+    if (!isTaskBlocked(released)) unblocked.push(released);
+    return released;
+  });
+  return { tasks: updated, unblocked };
+}
+
+/**
+ * Short description of what a task is waiting on (e.g., "Waiting on: Book venue; Client sign-off")
+ */
+export function describeBlock(task: BacklogTask, titlesById: Map<string, string>): string {
+  const reasons = task.blockedBy.map((id) => titlesById.get(id) || 'a removed task');
+  if (task.blockedReason) reasons.push(task.blockedReason);
+  return reasons.length > 0 ? `Waiting on: ${reasons.join('; ')}` : '';
+}
@@ -0,0 +1,157 @@
+// Task exports for other tools: CSV spreadsheets, Markdown checklists and iCalendar files
+
+import type { BacklogTask, CompletedTask } from './taskModels';
+import { countDoneSteps } from './taskSteps';
+import { describeRecurrence } from './recurrence';
+import { totalSessionSeconds } from './workSessions';
+
+export type TaskExportFormat = 'csv' | 'markdown' | 'ics';
+
+type ExportTask = BacklogTask & Partial<Pick<CompletedTask, 'actualMinutes'>>;
+
+interface EnergyLabel {
+  key: string;
+  label: string;
+}
+
+export const TASK_EXPORT_FORMATS: Record<
+  TaskExportFormat,
+  { label: string; extension: string; mimeType: string }
+> = {
+  csv: { label: 'CSV spreadsheet', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+  ics: { label: 'Calendar (.ics)', extension: 'ics', mimeType: 'text/calendar' },
+};
+
+function isoTime(timestamp: number | null | undefined): string {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function csvCell(value: string | number | null | undefined): string {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per task with every field, timestamps in ISO 8601 and friction included
+ */
+export function tasksToCsv(
+  tasks: ExportTask[],
+  energyLevels: Record<string, EnergyLabel>,
+  frictionCounts: Map<string, number>
+): string {
+  const columns: [string, (task: ExportTask) => string | number | null | undefined][] = [
+    ['id', (task) => task.id],
+    ['title', (task) => task.title],
+    ['why', (task) => task.why],
+    ['energy', (task) => energyLevels[task.energy]?.label || task.energy],
+    ['estimatedMinutes', (task) => task.estimatedMinutes],
+    ['actualMinutes', (task) => task.actualMinutes],
+    ['workedMinutes', (task) => Math.round(totalSessionSeconds(task.workSessions) / 60)],
+    ['steps', (task) => task.steps.map((step) => `${step.doneAt ? '[x]' : '[ ]'} ${step.text}`).join('\n')],
+    ['stepsDone', (task) => `${countDoneSteps(task.steps)}/${task.steps.length}`],
+    ['note', (task) => task.note],
+    ['plannedTimeline', (task) => task.plannedTimeline],
+    ['dueStart', (task) => isoTime(task.plannedDue?.start)],
+    ['dueEnd', (task) => isoTime(task.plannedDue?.end)],
+    ['recurrence', (task) => (task.recurrence ? describeRecurrence(task.recurrence) : '')],
+    ['blockedBy', (task) => task.blockedBy.join(' ')],
+    ['blockedReason', (task) => task.blockedReason],
+    ['skips', (task) => frictionCounts.get(task.id) || 0],
+    ['lastFrictionReason', (task) => task.lastFriction?.reason],
+    ['lastFrictionAt', (task) => isoTime(task.lastFriction?.timestamp)],
+    ['pomodoros', (task) => task.focusIntervals.length],
+    ['parkedAt', (task) => isoTime(task.parkedAt)],
+    ['createdAt', (task) => isoTime(task.createdAt)],
+    ['updatedAt', (task) => isoTime(task.updatedAt)],
+    ['completedAt', (task) => isoTime(task.completedAt)],
+  ];
+  const rows = [
+    columns.map(([name]) => name),
+    ...tasks.map((task) => columns.map(([, value]) => csvCell(value(task)))),
+  ];
+  return rows.map((row) => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A checklist grouped by energy level, with steps as nested checkboxes
+ */
+export function tasksToMarkdown(tasks: ExportTask[], energyLevels: Record<string, EnergyLabel>, title: string): string {
+  const lines = [`# ${title}`, ''];
+  const energyKeys = [
+    ...Object.keys(energyLevels),
+    ...new Set(tasks.map((task) => task.energy).filter((energy) => !energyLevels[energy])),
+  ];
+  for (const energy of energyKeys) {
+    const group = tasks.filter((task) => task.energy === energy);
+    if (group.length === 0) continue;
+    lines.push(`## ${energyLevels[energy]?.label || energy}`, '');
+    for (const task of group) {
+      const details = [
+        task.plannedTimeline && `planned: ${task.plannedTimeline}`,
+        `${task.estimatedMinutes} min`,
+      ].filter(Boolean);
+      lines.push(`- [${task.completedAt ? 'x' : ' '}] ${task.title} (${details.join(', ')})`);
+      for (const step of task.steps) {
+        lines.push(`  - [${step.doneAt ? 'x' : ' '}] ${step.text}`);
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function icsTime(timestamp: number): string {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text: string): string {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 characters continue on lines starting with a space
+function foldLine(line: string): string {
+  const parts = [line.slice(0, 75)];
+  for (let index = 75; index < line.length; index += 74) {
+    parts.push(` ${line.slice(index, index + 74)}`);
+  }
+  return parts.join('\r\n');
+}
+
+/**
+ * Planned timelines become to-dos and logged work sessions become calendar events.
+ * Tasks without a parsed due window or any sessions are left out.
+ */
+export function tasksToIcs(tasks: ExportTask[], now: number = Date.now()): string {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Focus//Task Export//EN', 'CALSCALE:GREGORIAN'];
+  const stamp = icsTime(now);
+  for (const task of tasks) {
+    if (task.plannedDue) {
+      lines.push(
+        'BEGIN:VTODO',
+        `UID:${task.id}@focus`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${icsText(task.title)}`,
+        `DTSTART:${icsTime(task.plannedDue.start)}`,
+        `DUE:${icsTime(task.plannedDue.end)}`
+      );
+      if (task.why) lines.push(`DESCRIPTION:${icsText(task.why)}`);
+      if (task.completedAt) lines.push('STATUS:COMPLETED', `COMPLETED:${icsTime(task.completedAt)}`);
+      else lines.push('STATUS:NEEDS-ACTION');
+      lines.push('END:VTODO');
+    }
+    for (const session of task.workSessions) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${task.id}-session-${session.start}@focus`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${icsText(`Focus: ${task.title}`)}`,
+        `DTSTART:${icsTime(session.start)}`,
+        `DTEND:${icsTime(session.end)}`,
+        'END:VEVENT'
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { detectImportSource, tasksFromMarkdown } from './taskImport';
+
+describe('detectImportSource', () => {
+  it('reads JSON task lists from any file name', () => {
+    expect(detectImportSource('tasks.json', '[{"title": "Pay rent"}]')).toBe('json');
+    expect(detectImportSource('export.txt', '{"tasks": [{"title": "Pay rent"}]}')).toBe('json');
+    expect(detectImportSource('things.json', '[{"type": "to-do", "attributes": {"title": "Pay rent"}}]')).toBe(
+      'things-json'
+    );
+  });
+
+  it('rejects a .json file that is not a task list', () => {
+    expect(detectImportSource('tasks.json', '[ ] not json')).toBeNull();
+    expect(detectImportSource('tasks.json', '{"name": "no tasks here"}')).toBeNull();
+  });
+
+  it('falls back to Markdown for checklists that start with a bracket', () => {
+    expect(detectImportSource('todo.md', '[ ] Pay rent\n[x] Call the bank')).toBe('markdown');
+    expect(detectImportSource('todo.txt', '[Notes](https://example.com)\n- Pay rent')).toBe('markdown');
+  });
+});
+
+describe('tasksFromMarkdown', () => {
+  it('reads bare checkbox lines as tasks', () => {
+    const tasks = tasksFromMarkdown('[ ] Pay rent\n  [x] Find the lease\n[x] Call the bank\n- Book dentist');
+    expect(tasks.map((task) => task.title)).toEqual(['Pay rent', 'Book dentist']);
+    expect(tasks[0].steps).toEqual([{ text: 'Find the lease', done: true }]);
+  });
+});
@@ -0,0 +1,309 @@
+// Reading tasks from files: Markdown checklists, CSV with column mapping, and Todoist / Things exports
+
+export type ImportSource = 'markdown' | 'csv' | 'todoist-csv' | 'things-json' | 'json';
+
+export interface ImportedTask {
+  title: string;
+  why: string;
+  note: string;
+  steps: { text: string; done: boolean }[];
+  plannedTimeline: string;
+  estimatedMinutes: number | null;
+}
+
+export type CsvField = 'title' | 'why' | 'note' | 'steps' | 'plannedTimeline' | 'estimatedMinutes';
+
+/** Column index for each task field; title is the only required one */
+export type CsvColumnMapping = Partial<Record<CsvField, number>>;
+
+export const CSV_FIELDS: { field: CsvField; label: string }[] = [
+  { field: 'title', label: 'Title' },
+  { field: 'why', label: 'Why' },
+  { field: 'note', label: 'Notes' },
+  { field: 'steps', label: 'Steps' },
+  { field: 'plannedTimeline', label: 'Planned timeline' },
+  { field: 'estimatedMinutes', label: 'Estimate (minutes)' },
+];
+
+export const IMPORT_SOURCE_LABELS: Record<ImportSource, string> = {
+  markdown: 'Markdown checklist',
+  csv: 'CSV',
+  'todoist-csv': 'Todoist CSV export',
+  'things-json': 'Things JSON',
+  json: 'JSON task list',
+};
+
+// Header names we recognize for each field, including the columns of our own CSV export
+const CSV_HEADER_NAMES: Record<CsvField, string[]> = {
+  title: ['title', 'task', 'name', 'content', 'summary', 'subject'],
+  why: ['why', 'reason', 'purpose'],
+  note: ['note', 'notes', 'description', 'details'],
+  steps: ['steps', 'subtasks', 'checklist'],
+  plannedTimeline: ['plannedtimeline', 'timeline', 'due', 'duedate', 'deadline', 'date', 'when'],
+  estimatedMinutes: ['estimatedminutes', 'estimate', 'minutes', 'duration'],
+};
+
+function emptyTask(title: string): ImportedTask {
+  return { title, why: '', note: '', steps: [], plannedTimeline: '', estimatedMinutes: null };
+}
+
+function parseMinutes(value: unknown): number | null {
+  const minutes = Math.round(Number(value));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+// "- [x] step" / "[ ] step" from our exports, or a plain line
+function parseStepText(text: string): { text: string; done: boolean } {
+  const match = text.match(/^(?:[-*+]\s+)?\[([ xX])\]\s+(.*)$/);
+  return match ? { text: match[2].trim(), done: match[1] !== ' ' } : { text: text.replace(/^[-*+]\s+/, '').trim(), done: false };
+}
+
+/**
+ * Split CSV text into rows of cells, handling quoted cells with commas, quotes and line breaks
+ */
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Guess which column holds each field from the header row
+ */
+export function guessCsvMapping(headers: string[]): CsvColumnMapping {
+  const normalized = headers.map((header) => header.toLowerCase().replace(/[^a-z]/g, ''));
+  const mapping: CsvColumnMapping = {};
+  for (const { field } of CSV_FIELDS) {
+    const index = normalized.findIndex((header) => CSV_HEADER_NAMES[field].includes(header));
+    if (index >= 0) mapping[field] = index;
+  }
+  return mapping;
+}
+
+/**
+ * Tasks from CSV rows below the header, using the chosen column for each field
+ */
+export function tasksFromCsv(rows: string[][], mapping: CsvColumnMapping): ImportedTask[] {
+  if (mapping.title === undefined) return [];
+  const cell = (row: string[], field: CsvField) => {
+    const index = mapping[field];
+    return index === undefined ? '' : (row[index] || '').trim();
+  };
+  return rows
+    .slice(1)
+    .filter((row) => cell(row, 'title'))
+    .map((row) => ({
+      title: cell(row, 'title'),
+      why: cell(row, 'why'),
+      note: cell(row, 'note'),
+      steps: cell(row, 'steps')
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map(parseStepText),
+      plannedTimeline: cell(row, 'plannedTimeline'),
+      estimatedMinutes: parseMinutes(cell(row, 'estimatedMinutes')),
+    }));
+}
+
+/**
+ * Todoist's CSV export: TYPE/CONTENT/DESCRIPTION/INDENT/DATE columns, where indented
+ * tasks are subtasks of the task above them
+ */
+export function tasksFromTodoistCsv(rows: string[][]): ImportedTask[] {
+  const headers = rows[0].map((header) => header.trim().toUpperCase());
+  const column = (name: string) => headers.indexOf(name);
+  const [type, content, description, indent, date, duration, durationUnit] = [
+    'TYPE',
+    'CONTENT',
+    'DESCRIPTION',
+    'INDENT',
+    'DATE',
+    'DURATION',
+    'DURATION_UNIT',
+  ].map(column);
+
+  const tasks: ImportedTask[] = [];
+  for (const row of rows.slice(1)) {
+    if ((row[type] || '').trim().toLowerCase() !== 'task') continue;
+    const title = (row[content] || '').trim();
+    if (!title) continue;
+    const level = parseInt(row[indent]) || 1;
+    const parent = tasks[tasks.length - 1];
+    if (level > 1 && parent) {
+      parent.steps.push({ text: title, done: false });
+      continue;
+    }
+    const minutes = parseMinutes(row[duration]);
+    tasks.push({
+      ...emptyTask(title),
+      note: description >= 0 ? (row[description] || '').trim() : '',
+      plannedTimeline: date >= 0 ? (row[date] || '').trim() : '',
+      estimatedMinutes: minutes && (row[durationUnit] || '').toLowerCase() === 'day' ? minutes * 8 * 60 : minutes,
+    });
+  }
+  return tasks;
+}
+
+/**
+ * Open items of a Markdown checklist. Nested list items become steps of the item above;
+ * headings and other text are skipped, and so are top-level items already checked off.
+ */
+export function tasksFromMarkdown(text: string): ImportedTask[] {
+  const tasks: ImportedTask[] = [];
+  let current: ImportedTask | null = null;
+  for (const line of text.split(/\r?\n/)) {
+    // A bullet, a checkbox, or both; a bare "[ ] step" line is how our own steps are written
+    const match = line.match(/^(\s*)(?:[-*+]\s+(?:\[([ xX])\]\s+)?|\[([ xX])\]\s+)(.+)$/);
+    if (!match) continue;
+    const [, indent, bulletChecked, bareChecked, body] = match;
+    const checked = bulletChecked ?? bareChecked;
+    if (indent.replace(/\t/g, '  ').length >= 2) {
+      if (current) current.steps.push({ text: body.trim(), done: !!checked && checked !== ' ' });
+      continue;
+    }
+    if (checked && checked !== ' ') {
+      current = null;
+      continue;
+    }
+    // Our own Markdown export appends "(planned: …, N min)"
+    const details = body.match(/^(.*?)\s+\((?:planned: (.+), )?(\d+) min\)$/);
+    current = details
+      ? { ...emptyTask(details[1].trim()), plannedTimeline: details[2] || '', estimatedMinutes: parseMinutes(details[3]) }
+      : emptyTask(body.trim());
+    tasks.push(current);
+  }
+  return tasks;
+}
+
+function thingsTodo(todo: any): ImportedTask | null {
+  const attributes = todo?.attributes || {};
+  if (!attributes.title || attributes.completed || attributes.canceled) return null;
+  return {
+    ...emptyTask(String(attributes.title)),
+    note: String(attributes.notes || ''),
+    plannedTimeline: String(attributes.deadline || attributes.when || ''),
+    steps: (attributes['checklist-items'] || [])
+      .filter((item: any) => item?.attributes?.title)
+      .map((item: any) => ({ text: String(item.attributes.title), done: !!item.attributes.completed })),
+  };
+}
+
+/**
+ * Things' JSON format (the same one its add-json URL scheme takes): to-dos, and projects
+ * whose to-dos may sit under headings
+ */
+export function tasksFromThingsJson(items: any[]): ImportedTask[] {
+  const tasks: ImportedTask[] = [];
+  const visit = (item: any) => {
+    if (item?.type === 'to-do') {
+      const task = thingsTodo(item);
+      if (task) tasks.push(task);
+    } else if (Array.isArray(item?.attributes?.items)) {
+      item.attributes.items.forEach(visit);
+    }
+  };
+  items.forEach(visit);
+  return tasks;
+}
+
+/**
+ * A plain JSON array of task-like objects, such as Todoist's API task list or our
+ * backlog export
+ */
+export function tasksFromJsonList(items: any[]): ImportedTask[] {
+  return items
+    .map((item) => {
+      const title = item?.title ?? item?.content ?? item?.name ?? item?.text;
+      if (typeof title !== 'string' || !title.trim() || item.completedAt || item.is_completed || item.checked) {
+        return null;
+      }
+      const steps = Array.isArray(item.steps) ? item.steps : [];
+      return {
+        ...emptyTask(title.trim()),
+        why: typeof item.why === 'string' ? item.why : '',
+        note: String(item.note ?? item.notes ?? item.description ?? ''),
+        steps: steps
+          .map((step: any) =>
+            typeof step === 'string' ? { text: step, done: false } : { text: String(step?.text || ''), done: !!step?.doneAt }
+          )
+          .filter((step: { text: string }) => step.text),
+        plannedTimeline: String(item.plannedTimeline ?? item.due?.string ?? item.due?.date ?? item.deadline ?? ''),
+        estimatedMinutes: parseMinutes(item.estimatedMinutes ?? (item.duration?.unit === 'minute' ? item.duration.amount : null)),
+      };
+    })
+    .filter((task): task is ImportedTask => task !== null);
+}
+
+// The kind of JSON task list, or null when the text isn't JSON or holds no task array
+function jsonImportSource(text: string): ImportSource | null {
+  try {
+    const parsed = JSON.parse(text);
+    const items = Array.isArray(parsed) ? parsed : parsed?.tasks || parsed?.items;
+    if (!Array.isArray(items)) return null;
+    return items.some((item: any) => item?.type === 'to-do' || item?.type === 'project') ? 'things-json' : 'json';
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out what kind of file this is from its name and contents
+ */
+export function detectImportSource(fileName: string, text: string): ImportSource | null {
+  const name = fileName.toLowerCase();
+  const trimmed = text.trim();
+  if (name.endsWith('.json')) return jsonImportSource(trimmed);
+  // Other files only count as JSON if they parse; a checklist can start with "[ ] step" too
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const source = jsonImportSource(trimmed);
+    if (source) return source;
+  }
+  if (name.endsWith('.csv')) {
+    const headers = (parseCsv(text)[0] || []).map((header) => header.trim().toUpperCase());
+    return headers.includes('TYPE') && headers.includes('CONTENT') ? 'todoist-csv' : 'csv';
+  }
+  if (name.endsWith('.md') || name.endsWith('.markdown') || name.endsWith('.txt') || /^\s*[-*+]\s/m.test(text)) {
+    return 'markdown';
+  }
+  return null;
+}
+
+/**
+ * The items of a JSON import, whether the file is a bare array or wraps one
+ */
+export function jsonImportItems(text: string): any[] {
+  const parsed = JSON.parse(text);
+  return Array.isArray(parsed) ? parsed : parsed?.tasks || parsed?.items || [];
+}
@@ -1,18 +1,41 @@
 // Shared client-side types and normalization helpers for tasks and brain dump items
 
+import type { FocusTimer } from './focusTimer';
+import type { FocusInterval, Timebox } from './timebox';
+import { normalizeWorkSession, type WorkSession } from './workSessions';
+import { DEFAULT_ESTIMATE_MINUTES } from './estimateCalibration';
+import { parsePlannedTimeline, type DueWindow } from './timelineParser';
+import { normalizeRecurrence, type Recurrence } from './recurrence';
+import { normalizeSteps, resetSteps, type TaskStep } from './taskSteps';
+
 export interface BacklogTask {
   id: string;
   title: string;
   why: string;
   energy: string;
-  steps: string[];
+  steps: TaskStep[];
   estimatedMinutes: number;
-  completedSteps: number[];
   note: string;
-  lastFriction: { reason: string; timestamp: number } | null;
+  lastFriction: { reason: string; timestamp: number; prerequisites?: string[] } | null;
   createdAt: number;
   plannedTimeline?: string;
+  plannedDue?: DueWindow | null; // parsed from plannedTimeline when it was written
   completedAt?: number | null;
+  recurrence?: Recurrence | null;
+  blockedBy: string[]; // ids of tasks that must be completed first
+  blockedReason: string | null; // blocked on something outside the app
+  parkedAt?: number | null; // set aside mid-work with Park, cleared when picked again
+  timer?: FocusTimer; // only set while the task is the current task
+  timebox?: Timebox | null; // only set while the task is the current task
+  focusIntervals: FocusInterval[]; // completed pomodoro work intervals
+  workSessions: WorkSession[];
+  updatedAt: number;
+  revision: number;
+}
+
+export interface CompletedTask extends BacklogTask {
+  completedAt: number;
+  actualMinutes: number;
 }
 
 export interface BrainDumpItem {
@@ -21,19 +44,119 @@ export interface BrainDumpItem {
   suggestedCategory: string;
   selectedCategory: string;
   categoryOverridden: boolean;
+  estimatedMinutes: number;
+  estimateOverridden: boolean;
   createdAt: number;
   plannedTimeline?: string;
+  plannedDue?: DueWindow | null;
+  why: string; // carried over from imported files
+  note: string;
+  steps: TaskStep[];
+  updatedAt: number;
+  revision: number;
+}
+
+/**
+ * Mark a task or brain dump item as changed so sync can tell which side edited it
+ */
+export function touchRecord<T extends { revision?: number }>(record: T): T {
+  return {
+    ...record,
+    updatedAt: Date.now(),
+    revision: (record.revision || 0) + 1,
+  };
+}
+
+/**
+ * Copy a backlog task as a new, untouched task. Progress and history stay with the
+ * original, and a recurring copy starts its own series.
+ */
+export function duplicateTask(task: BacklogTask, now: number = Date.now()): BacklogTask {
+  const { timer, timebox, ...rest } = task;
+  return {
+    ...rest,
+    id: `task-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    title: `${task.title} (copy)`,
+    steps: resetSteps(task.steps, now),
+    lastFriction: null,
+    parkedAt: null,
+    recurrence: task.recurrence
+      ? { ...task.recurrence, seriesId: `series-${now}-${Math.random().toString(36).substr(2, 9)}`, history: [] }
+      : null,
+    focusIntervals: [],
+    workSessions: [],
+    createdAt: now,
+    completedAt: null,
+    updatedAt: now,
+    revision: 1,
+  };
+}
+
+/**
+ * The most recently parked task in the backlog, offered for resuming on the next visit
+ */
+export function latestParkedTask(tasks: BacklogTask[]): BacklogTask | null {
+  return tasks.reduce<BacklogTask | null>(
+    (latest, task) => (task.parkedAt && (!latest || task.parkedAt > latest.parkedAt!) ? task : latest),
+    null
+  );
+}
+
+/**
+ * Set a record's planned timeline text along with the due window it resolves to today
+ */
+export function withPlannedTimeline<T extends { plannedTimeline?: string; plannedDue?: DueWindow | null }>(
+  record: T,
+  timeline: string,
+  now: number = Date.now()
+): T {
+  return { ...record, plannedTimeline: timeline, plannedDue: parsePlannedTimeline(timeline, now) };
+}
+
+/**
+ * Parse the due window of records saved before timelines were parsed,
+ * reading relative phrases from when the record was created
+ */
+function normalizePlannedDue(record: any, createdAt: number): DueWindow | null {
+  if (record.plannedDue !== undefined) return record.plannedDue;
+  return parsePlannedTimeline(record.plannedTimeline, createdAt);
 }
 
 /**
  * Normalize a backlog task loaded from storage to ensure all timestamp fields exist
  */
 export function normalizeBacklogTask(task: any): BacklogTask {
+  const createdAt = task.createdAt || Date.now();
+  // Index-based progress is folded into the steps themselves
+  const { completedSteps, ...rest } = task;
   return {
-    ...task,
-    createdAt: task.createdAt || Date.now(),
+    ...rest,
+    steps: normalizeSteps(task.id, task.steps, completedSteps, task.updatedAt || createdAt),
+    createdAt,
     plannedTimeline: task.plannedTimeline || '',
+    plannedDue: normalizePlannedDue(task, createdAt),
     completedAt: task.completedAt || null,
+    recurrence: normalizeRecurrence(task.recurrence),
+    blockedBy: task.blockedBy || [],
+    blockedReason: task.blockedReason || null,
+    parkedAt: task.parkedAt || null,
+    focusIntervals: task.focusIntervals || [],
+    workSessions: (task.workSessions || []).map(normalizeWorkSession),
+    updatedAt: task.updatedAt || createdAt,
+    revision: task.revision || 0,
+  };
+}
+
+/**
+ * Normalize an archived completed task loaded from storage
+ */
+export function normalizeCompletedTask(task: any): CompletedTask {
+  const normalized = normalizeBacklogTask(task);
+  return {
+    ...normalized,
+    note: normalized.note || '',
+    completedAt: normalized.completedAt || normalized.createdAt,
+    actualMinutes: task.actualMinutes || 0,
   };
 }
 
@@ -41,9 +164,18 @@ export function normalizeBacklogTask(task: any): BacklogTask {
  * Normalize a brain dump item loaded from storage to ensure all timestamp fields exist
  */
 export function normalizeBrainDumpItem(item: any): BrainDumpItem {
+  const createdAt = item.createdAt || Date.now();
   return {
     ...item,
-    createdAt: item.createdAt || Date.now(),
+    createdAt,
     plannedTimeline: item.plannedTimeline || '',
+    plannedDue: normalizePlannedDue(item, createdAt),
+    estimatedMinutes: item.estimatedMinutes || DEFAULT_ESTIMATE_MINUTES,
+    estimateOverridden: !!item.estimateOverridden,
+    why: item.why || '',
+    note: item.note || '',
+    steps: normalizeSteps(item.id, item.steps, undefined, createdAt),
+    updatedAt: item.updatedAt || createdAt,
+    revision: item.revision || 0,
   };
 }
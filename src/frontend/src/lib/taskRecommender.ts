@@ -0,0 +1,111 @@
+// Ranks backlog tasks for the user's current energy level to answer "what should I do next?"
+
+import type { BacklogTask } from './taskModels';
+import { daysUntilDue, dueStatus, type DueWindow } from './timelineParser';
+import { isTaskBlocked } from './taskDependencies';
+import { countDoneSteps } from './taskSteps';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface TaskRecommendation {
+  task: BacklogTask;
+  score: number;
+  reasons: string[];
+}
+
+interface RecommendOptions {
+  currentEnergy: string;
+  /** Energy keys from most to least demanding */
+  energyOrder: string[];
+  energyLabels: Record<string, string>;
+  /** Minutes the user has right now, or null when open-ended */
+  availableMinutes: number | null;
+  now?: number;
+  limit?: number;
+}
+
+/**
+ * Urgency of a task's parsed due window, from 0 (none or far off) to 4 (overdue)
+ */
+export function timelineUrgency(
+  due: DueWindow | null | undefined,
+  now: number = Date.now()
+): { level: number; label: string } {
+  const status = dueStatus(due, now);
+  if (status === 'overdue') return { level: 4, label: 'Overdue' };
+  if (status === 'today') return { level: 3, label: 'Due today' };
+  if (!due) return { level: 0, label: '' };
+  const daysLeft = daysUntilDue(due, now);
+  if (daysLeft <= 1) return { level: 2, label: 'Due tomorrow' };
+  if (daysLeft <= 7) return { level: 1, label: 'Due this week' };
+  return { level: 0, label: '' };
+}
+
+function scoreTask(task: BacklogTask, options: RecommendOptions, now: number): TaskRecommendation {
+  const reasons: string[] = [];
+  let score = 0;
+
+  // Energy fit: a matching task is ideal, an easier one is fine, a harder one is a stretch
+  const demand = options.energyOrder.indexOf(task.energy);
+  const capacity = options.energyOrder.indexOf(options.currentEnergy);
+  if (demand === capacity) {
+    score += 4;
+    reasons.push(`Matches your ${options.energyLabels[task.energy] || task.energy} energy`);
+  } else if (demand > capacity) {
+    score += 1;
+    reasons.push('An easy win at your current energy');
+  } else {
+    score -= 4;
+    reasons.push(`Needs ${options.energyLabels[task.energy] || task.energy} energy, so a stretch`);
+  }
+
+  const urgency = timelineUrgency(task.plannedDue, now);
+  if (urgency.level > 0) {
+    score += urgency.level;
+    reasons.push(urgency.label);
+  }
+
+  const ageDays = Math.floor((now - task.createdAt) / DAY_MS);
+  score += Math.min(ageDays / 7, 2);
+  if (ageDays >= 7) {
+    reasons.push(`Waiting for ${ageDays} days`);
+  }
+
+  const totalSteps = task.steps.length;
+  const doneSteps = countDoneSteps(task.steps);
+  if (totalSteps > 0 && doneSteps > 0) {
+    score += 2 * (doneSteps / totalSteps);
+    reasons.push(`${doneSteps} of ${totalSteps} steps already done`);
+  }
+
+  if (options.availableMinutes !== null) {
+    if (task.estimatedMinutes <= options.availableMinutes) {
+      score += 2;
+      reasons.push(`Fits in your ${options.availableMinutes} minutes`);
+    } else {
+      score -= 3;
+    }
+  }
+
+  // A recent skip makes the task less likely to stick right now
+  if (task.lastFriction) {
+    score -= 1.5;
+  }
+
+  return { task, score, reasons };
+}
+
+/**
+ * Top backlog picks for the current energy level, best first, each with its reasons
+ */
+export function recommendTasks(
+  backlog: BacklogTask[],
+  options: RecommendOptions
+): TaskRecommendation[] {
+  const now = options.now ?? Date.now();
+  return backlog
+    .filter((task) => !isTaskBlocked(task))
+    .map((task) => scoreTask(task, options, now))
+    .sort((a, b) => b.score - a.score || a.task.createdAt - b.task.createdAt)
+    .slice(0, options.limit ?? 3);
+}
@@ -0,0 +1,81 @@
+// Task steps with stable ids, so progress survives edits and reordering
+
+export interface TaskStep {
+  id: string;
+  text: string;
+  doneAt: number | null;
+}
+
+/**
+ * Create a new, not yet done step
+ */
+export function createStep(text: string, now: number = Date.now()): TaskStep {
+  return {
+    id: `step-${now}-${Math.random().toString(36).substr(2, 9)}`,
+    text,
+    doneAt: null,
+  };
+}
+
+/**
+ * Normalize steps loaded from storage. Older records store steps as strings with
+ * progress in `completedSteps` as indexes; those are migrated to step objects with ids
+ * derived from the task id so every device migrates a task to the same ids. The real
+ * completion time of migrated steps is unknown, so `doneAt` falls back to `fallbackTime`.
+ */
+export function normalizeSteps(
+  taskId: string,
+  steps: any[] | undefined,
+  completedSteps: number[] | undefined,
+  fallbackTime: number
+): TaskStep[] {
+  return (steps || []).map((step, index) => {
+    if (typeof step === 'string') {
+      return {
+        id: `${taskId}-step-${index}`,
+        text: step,
+        doneAt: completedSteps?.includes(index) ? fallbackTime : null,
+      };
+    }
+    return {
+      id: step.id || `${taskId}-step-${index}`,
+      text: step.text || '',
+      doneAt: step.doneAt || null,
+    };
+  });
+}
+
+/**
+ * Number of steps marked done
+ */
+export function countDoneSteps(steps: TaskStep[]): number {
+  return steps.filter((step) => step.doneAt !== null).length;
+}
+
+/**
+ * Mark a step done, or not done again
+ */
+export function toggleStep(steps: TaskStep[], stepId: string, now: number = Date.now()): TaskStep[] {
+  return steps.map((step) =>
+    step.id === stepId ? { ...step, doneAt: step.doneAt === null ? now : null } : step
+  );
+}
+
+/**
+ * Move a step one place up (-1) or down (1)
+ */
+export function moveStep(steps: TaskStep[], stepId: string, direction: -1 | 1): TaskStep[] {
+  const index = steps.findIndex((step) => step.id === stepId);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= steps.length) return steps;
+  const reordered = [...steps];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+/**
+ * Fresh, not yet done copies of steps for a new task such as the next recurring instance
+ */
+export function resetSteps(steps: TaskStep[], now: number = Date.now()): TaskStep[] {
+  return steps.map((step) => createStep(step.text, now));
+}
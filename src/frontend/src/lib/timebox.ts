@@ -0,0 +1,151 @@
+// Timeboxed focus modes (pomodoro cycles or a countdown from the task estimate) layered on the focus timer
+
+export type TimeboxMode = 'pomodoro' | 'countdown';
+
+export interface PomodoroSettings {
+  workMinutes: number;
+  breakMinutes: number;
+  longBreakMinutes: number;
+  cyclesBeforeLongBreak: number;
+}
+
+export interface Timebox {
+  mode: TimeboxMode;
+  phase: 'work' | 'break';
+  workStartSeconds: number; // focus timer reading when the current work interval started
+  breakEndsAt: number | null; // wall-clock end of the current break
+  completedCycles: number;
+  signaled: boolean; // countdown end already announced
+}
+
+export interface FocusInterval {
+  completedAt: number;
+  minutes: number;
+}
+
+export const DEFAULT_POMODORO_SETTINGS: PomodoroSettings = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4,
+};
+
+function positiveInt(value: any, fallback: number): number {
+  const parsed = Math.round(Number(value));
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Normalize pomodoro settings loaded from storage or typed in by the user
+ */
+export function normalizePomodoroSettings(settings: any): PomodoroSettings {
+  const defaults = DEFAULT_POMODORO_SETTINGS;
+  return {
+    workMinutes: positiveInt(settings?.workMinutes, defaults.workMinutes),
+    breakMinutes: positiveInt(settings?.breakMinutes, defaults.breakMinutes),
+    longBreakMinutes: positiveInt(settings?.longBreakMinutes, defaults.longBreakMinutes),
+    cyclesBeforeLongBreak: positiveInt(settings?.cyclesBeforeLongBreak, defaults.cyclesBeforeLongBreak),
+  };
+}
+
+/**
+ * Normalize a timebox stored with the current task
+ */
+export function normalizeTimebox(timebox: any): Timebox | null {
+  if (!timebox || (timebox.mode !== 'pomodoro' && timebox.mode !== 'countdown')) return null;
+  return {
+    mode: timebox.mode,
+    phase: timebox.phase === 'break' ? 'break' : 'work',
+    workStartSeconds: timebox.workStartSeconds || 0,
+    breakEndsAt: timebox.breakEndsAt || null,
+    completedCycles: timebox.completedCycles || 0,
+    signaled: !!timebox.signaled,
+  };
+}
+
+export function startTimebox(mode: TimeboxMode, elapsedSeconds: number): Timebox {
+  return {
+    mode,
+    phase: 'work',
+    workStartSeconds: elapsedSeconds,
+    breakEndsAt: null,
+    completedCycles: 0,
+    signaled: false,
+  };
+}
+
+/**
+ * Seconds left in the current work interval; negative once it has run over
+ */
+export function workSecondsLeft(
+  timebox: Timebox,
+  elapsedSeconds: number,
+  intervalMinutes: number
+): number {
+  return intervalMinutes * 60 - (elapsedSeconds - timebox.workStartSeconds);
+}
+
+/**
+ * Wall-clock time the current work interval was scheduled to end, so time the app
+ * spent closed or in the background past that point isn't counted as focus
+ */
+export function workIntervalEnd(
+  timebox: Timebox,
+  elapsedSeconds: number,
+  intervalMinutes: number,
+  now: number = Date.now()
+): number {
+  const overrunSeconds = Math.max(0, -workSecondsLeft(timebox, elapsedSeconds, intervalMinutes));
+  return now - overrunSeconds * 1000;
+}
+
+/**
+ * Whether the break after `completedCycles` work intervals is a long one
+ */
+export function isLongBreak(completedCycles: number, settings: PomodoroSettings): boolean {
+  return completedCycles > 0 && completedCycles % settings.cyclesBeforeLongBreak === 0;
+}
+
+export function beginBreak(timebox: Timebox, settings: PomodoroSettings, now: number = Date.now()): Timebox {
+  const completedCycles = timebox.completedCycles + 1;
+  const minutes = isLongBreak(completedCycles, settings)
+    ? settings.longBreakMinutes
+    : settings.breakMinutes;
+  return {
+    ...timebox,
+    phase: 'break',
+    breakEndsAt: now + minutes * 60 * 1000,
+    completedCycles,
+  };
+}
+
+export function endBreak(timebox: Timebox, elapsedSeconds: number): Timebox {
+  return { ...timebox, phase: 'work', breakEndsAt: null, workStartSeconds: elapsedSeconds };
+}
+
+/**
+ * Play a short chime to mark the end of an interval. Silently does nothing
+ * where Web Audio is unavailable or blocked.
+ */
+export function playIntervalSignal(): void {
+  try {
+    const AudioContextClass = window.AudioContext || (window as any).webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const context = new AudioContextClass();
+    [0, 0.25, 0.5].forEach((offset, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = index === 2 ? 880 : 660;
+      gain.gain.setValueAtTime(0.2, context.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + offset + 0.2);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.2);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (error) {
+    console.error('Error playing interval signal:', error);
+  }
+}
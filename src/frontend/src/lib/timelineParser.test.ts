@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { parsePlannedTimeline } from './timelineParser';
+
+// Monday, October 19 2026, mid-morning
+const ANCHOR = new Date(2026, 9, 19, 10).getTime();
+
+function dueDay(timeline: string): number | null {
+  return parsePlannedTimeline(timeline, ANCHOR)?.start ?? null;
+}
+
+describe('parsePlannedTimeline', () => {
+  it('reads same-day words as today', () => {
+    expect(dueDay('now')).toBe(new Date(2026, 9, 19).getTime());
+    expect(dueDay('urgent')).toBe(new Date(2026, 9, 19).getTime());
+    expect(dueDay('by end of day')).toBe(new Date(2026, 9, 19).getTime());
+  });
+
+  it('ignores same-day words that the clause negates', () => {
+    expect(dueDay('not now')).toBeNull();
+    expect(dueDay('not right now')).toBeNull();
+    expect(dueDay("don't need it today")).toBeNull();
+    expect(dueDay('no rush, not urgent')).toBeNull();
+  });
+
+  it('still reads the other clauses of a negated phrase', () => {
+    expect(dueDay('not today, friday')).toBe(new Date(2026, 9, 23).getTime());
+    expect(dueDay('not urgent at all, maybe next week')).toBe(new Date(2026, 9, 26).getTime());
+    expect(dueDay('not tuesday, but today')).toBe(new Date(2026, 9, 19).getTime());
+  });
+
+  it('does not match same-day words inside longer words', () => {
+    expect(dueDay('urgent-ish')).toBeNull();
+    expect(dueDay('nowhere near done')).toBeNull();
+  });
+});
@@ -0,0 +1,210 @@
+// Local natural-language parser that turns planned timeline phrases into due windows
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  differenceInCalendarDays,
+  endOfDay,
+  endOfMonth,
+  endOfWeek,
+  isValid,
+  setDay,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from 'date-fns';
+
+/** Inclusive window the task is due in; a single day spans that whole day */
+export interface DueWindow {
+  start: number;
+  end: number;
+}
+
+export type DueStatus = 'overdue' | 'today' | 'upcoming';
+
+export const DUE_STATUS_LABELS: Record<DueStatus, string> = {
+  overdue: 'Overdue',
+  today: 'Due today',
+  upcoming: 'Upcoming',
+};
+
+const WEEK = { weekStartsOn: 1 as const };
+
+const WEEKDAY_PATTERNS: [RegExp, number][] = [
+  [/\bsun(day)?\b/, 0],
+  [/\bmon(day)?\b/, 1],
+  [/\btue(s|sday)?\b/, 2],
+  [/\bwed(nesday)?\b/, 3],
+  [/\bthu(r|rs|rsday)?\b/, 4],
+  [/\bfri(day)?\b/, 5],
+  [/\bsat(urday)?\b/, 6],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+const COUNT_WORDS: Record<string, number> = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+function dayWindow(date: Date): DueWindow {
+  return { start: startOfDay(date).getTime(), end: endOfDay(date).getTime() };
+}
+
+function spanWindow(start: Date, end: Date): DueWindow {
+  return { start: startOfDay(start).getTime(), end: endOfDay(end).getTime() };
+}
+
+function weekWindow(date: Date): DueWindow {
+  return spanWindow(startOfWeek(date, WEEK), endOfWeek(date, WEEK));
+}
+
+function monthWindow(date: Date): DueWindow {
+  return spanWindow(startOfMonth(date), endOfMonth(date));
+}
+
+/**
+ * A calendar date without a year rolls over to next year once it has passed
+ */
+function calendarDate(base: Date, month: number, day: number, year?: number): DueWindow | null {
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  let date = new Date(year ?? base.getFullYear(), month, day);
+  if (!isValid(date) || date.getDate() !== day) return null;
+  if (year === undefined && date < startOfDay(base)) {
+    date = new Date(base.getFullYear() + 1, month, day);
+  }
+  return dayWindow(date);
+}
+
+const SAME_DAY_WORDS = /\b(today|tonight|asap|urgent|now|eod|end of (the )?day)(?![\w-])/;
+const NEGATION = /\b(not|no|don'?t)\b/;
+
+/**
+ * Whether a clause asks for today. A negation earlier in the same clause turns it
+ * around, as in "not right now" or "not urgent at all, maybe next week".
+ */
+function isDueSameDay(phrase: string): boolean {
+  return phrase.split(/[,;]|\bbut\b/).some((clause) => {
+    const match = clause.match(SAME_DAY_WORDS);
+    return !!match && !NEGATION.test(clause.slice(0, match.index));
+  });
+}
+
+function parseExplicitDate(phrase: string, base: Date): DueWindow | null {
+  const iso = phrase.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return calendarDate(base, Number(iso[2]) - 1, Number(iso[3]), Number(iso[1]));
+
+  // Month first, as in the en-US dates shown elsewhere in the app
+  const numeric = phrase.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (numeric) {
+    const year = numeric[3] ? Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]) : undefined;
+    return calendarDate(base, Number(numeric[1]) - 1, Number(numeric[2]), year);
+  }
+
+  const monthDay = phrase.match(new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s*(\\d{4}))?`));
+  if (monthDay) {
+    const year = monthDay[3] ? Number(monthDay[3]) : undefined;
+    return calendarDate(base, MONTHS.indexOf(monthDay[1]), Number(monthDay[2]), year);
+  }
+
+  const dayMonth = phrase.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}(?:\\s+(\\d{4}))?`));
+  if (dayMonth) {
+    const year = dayMonth[3] ? Number(dayMonth[3]) : undefined;
+    return calendarDate(base, MONTHS.indexOf(dayMonth[2]), Number(dayMonth[1]), year);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a planned timeline phrase such as "tomorrow", "by Friday" or "next week"
+ * into a due window, relative to when the phrase was written. Returns null when the
+ * phrase has no recognizable date.
+ */
+export function parsePlannedTimeline(
+  timeline: string | undefined,
+  anchor: number = Date.now()
+): DueWindow | null {
+  const phrase = (timeline || '').toLowerCase().trim();
+  if (!phrase) return null;
+  const base = new Date(anchor);
+
+  const explicit = parseExplicitDate(phrase, base);
+  if (explicit) return explicit;
+
+  if (isDueSameDay(phrase)) {
+    return dayWindow(base);
+  }
+  if (/\bday after tomorrow\b/.test(phrase)) return dayWindow(addDays(base, 2));
+  if (/\b(tomorrow|tmrw)\b/.test(phrase)) return dayWindow(addDays(base, 1));
+
+  const relative = phrase.match(/\bin\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/);
+  if (relative) {
+    const count = COUNT_WORDS[relative[1]] ?? Number(relative[1]);
+    if (relative[2] === 'day') return dayWindow(addDays(base, count));
+    if (relative[2] === 'week') return dayWindow(addWeeks(base, count));
+    return dayWindow(addMonths(base, count));
+  }
+
+  if (/\bweekend\b/.test(phrase)) {
+    const week = /\bnext\b/.test(phrase) ? addWeeks(base, 1) : base;
+    return spanWindow(setDay(week, 6, WEEK), setDay(week, 0, WEEK));
+  }
+  if (/\bnext week\b/.test(phrase)) return weekWindow(addWeeks(base, 1));
+  if (/\b(this week|end of (the )?week|eow)\b/.test(phrase)) return weekWindow(base);
+  if (/\bnext month\b/.test(phrase)) return monthWindow(addMonths(base, 1));
+  if (/\b(this month|end of (the )?month|eom)\b/.test(phrase)) return monthWindow(base);
+
+  for (const [pattern, weekday] of WEEKDAY_PATTERNS) {
+    if (!pattern.test(phrase)) continue;
+    if (/\bnext\b/.test(phrase)) return dayWindow(setDay(addWeeks(base, 1), weekday, WEEK));
+    // "Friday" means the coming Friday, or today when it is Friday
+    return dayWindow(addDays(base, (weekday - base.getDay() + 7) % 7));
+  }
+
+  return null;
+}
+
+/**
+ * Where a due window stands relative to today, or null when there is no due date
+ */
+export function dueStatus(due: DueWindow | null | undefined, now: number = Date.now()): DueStatus | null {
+  if (!due) return null;
+  if (due.end < startOfDay(now).getTime()) return 'overdue';
+  if (due.end <= endOfDay(now).getTime()) return 'today';
+  return 'upcoming';
+}
+
+/**
+ * Whole days from today until the window closes; negative once overdue
+ */
+export function daysUntilDue(due: DueWindow, now: number = Date.now()): number {
+  return differenceInCalendarDays(due.end, now);
+}
+
+/**
+ * Sort comparator that puts the soonest deadlines first and undated records last
+ */
+export function compareByDue<T extends { plannedDue?: DueWindow | null; createdAt: number }>(
+  a: T,
+  b: T
+): number {
+  if (a.plannedDue && b.plannedDue) {
+    return a.plannedDue.end - b.plannedDue.end || a.plannedDue.start - b.plannedDue.start;
+  }
+  if (a.plannedDue) return -1;
+  if (b.plannedDue) return 1;
+  return a.createdAt - b.createdAt;
+}
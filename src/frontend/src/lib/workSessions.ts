@@ -0,0 +1,54 @@
+// Per-task work session log built from the focus timer, kept across picks, skips and reloads
+
+import { EMPTY_TIMER, pauseTimer, type FocusTimer } from './focusTimer';
+import type { BacklogTask } from './taskModels';
+
+export interface WorkSession {
+  start: number;
+  end: number;
+  durationSeconds: number;
+  energy: string | null; // energy level selected when the session started
+}
+
+/**
+ * Normalize a work session loaded from storage
+ */
+export function normalizeWorkSession(session: any): WorkSession {
+  const start = session.start || 0;
+  const end = session.end || start;
+  return {
+    start,
+    end,
+    durationSeconds: session.durationSeconds ?? Math.round((end - start) / 1000),
+    energy: session.energy || null,
+  };
+}
+
+/**
+ * Turn timer segments into work sessions, closing a running segment at `now`
+ */
+export function sessionsFromTimer(timer: FocusTimer, now: number = Date.now()): WorkSession[] {
+  return pauseTimer(timer, now)
+    .segments.filter((segment) => segment.end! > segment.start)
+    .map((segment) => ({
+      start: segment.start,
+      end: segment.end!,
+      durationSeconds: Math.round((segment.end! - segment.start) / 1000),
+      energy: segment.energy,
+    }));
+}
+
+/**
+ * Move the task's timer segments into its session log and clear the timer
+ */
+export function logTimerSessions<T extends BacklogTask>(task: T, now: number = Date.now()): T {
+  return {
+    ...task,
+    workSessions: [...task.workSessions, ...sessionsFromTimer(task.timer || EMPTY_TIMER, now)],
+    timer: EMPTY_TIMER,
+  };
+}
+
+export function totalSessionSeconds(sessions: WorkSession[]): number {
+  return sessions.reduce((sum, session) => sum + session.durationSeconds, 0);
+}